@@ -10,16 +10,103 @@ const App = {
         currentChannel: null,
         channels: [],
         selectedChannels: [],
-        currentSection: 'home'
+        currentSection: 'home',
+        currentGroup: 'all',
+        livetvLimit: 100,
+        // Episodes of an opened series, shown in Live TV instead of a category
+        seriesView: null,
+        searchQuery: '',
+        searchResults: [],
+        // Query terms each search result matched
+        searchMatches: new Map(),
+        // Playlist prepared in the export dialog: { name, content }
+        pendingExport: null,
+        // Uploaded playlist waiting for review in the import report: { name, result }
+        pendingImport: null,
+        // Backup file waiting for confirmation in the restore dialog: { name, data, mode }
+        pendingRestore: null,
+        // Open PIN dialog: { verify, error, resolve, digits, returnFocus }
+        pinRequest: null,
+        // Profile picker that cannot be closed without a choice
+        profileRequired: false,
+        // PIN of the active profile was entered to change its locks
+        settingsUnlocked: false,
+        // Channel list open in the Lists section, and whether its channels are being moved
+        currentList: null,
+        listReorder: false,
+        // Channel the add-to-list dialog is open for
+        listPickerChannel: null,
+        // Channels prev/next steps through in the player: those of the list playback started from
+        zapList: null,
+        // Channel editor filters: group ('all' for every group), search text and channels listed
+        editorGroup: 'all',
+        editorQuery: '',
+        editorLimit: 100,
+        // Live TV facet filters, see Facets.createSelection
+        facetSelection: null,
+        // Facets listing all their values instead of the first facetValueLimit
+        expandedFacets: new Set()
     },
 
     // Configuration
     config: {
         loadingTimeout: 5000,
         channelCheckInterval: 30000,
-        minChannelsToLoad: 10
+        minChannelsToLoad: 10,
+        // Channel grid containers per section
+        sectionContainers: {
+            home: 'popular-channels-grid',
+            livetv: 'channel-grid',
+            favorites: 'favorites-grid',
+            lists: 'list-grid',
+            recent: 'recent-grid',
+            search: 'search-results-grid'
+        },
+        homeChannelLimit: 24,
+        homeCategoryLimit: 12,
+        // Rows listed per problem type in the import report
+        importReportRowLimit: 50,
+        livetvPageSize: 100,
+        editorPageSize: 100,
+        // Values listed per facet until expanded
+        facetValueLimit: 12,
+        // Delay between re-renders while playlist batches arrive (ms)
+        batchRenderDelay: 500,
+        // Refresh interval of now/next lines on channel cards (ms)
+        guideUpdateInterval: 60000,
+        // Interval of programme reminder checks (ms)
+        reminderCheckInterval: 30000,
+        // How long toasts stay, and toasts offering to switch channels (ms)
+        toastDuration: 4000,
+        toastActionDuration: 15000
     },
 
+    // Pending batch re-render
+    renderTimer: null,
+
+    // Loaded channels by key and URL, see getChannelLookup
+    channelLookup: null,
+
+    // Now/next lines of rendered channel cards per section: [{ element, channel }]
+    guideLines: {},
+
+    // Guide URLs of the last guide load, see updateGuide
+    guideUrls: null,
+
+    // Pending toast hide, the toast button's action and the focus to restore after it
+    toastTimer: null,
+    toastAction: null,
+    toastReturnFocus: null,
+
+    // Resolves the startup profile choice, see chooseStartupProfile
+    profileChosen: null,
+
+    // Focus to restore when the add-to-list dialog closes
+    listPickerReturnFocus: null,
+
+    // Enabled sources and their order as last merged, see syncSources
+    syncedSources: null,
+
     /**
      * Initialize the application
      */
@@ -28,16 +115,34 @@ const App = {
             console.log('Initializing IPTV Application...');
             
             // Initialize storage
-            this.initStorage();
+            await this.initStorage();
             
             // Setup UI event listeners
             this.setupUIListeners();
             
             // Initialize navigation system
             Navigation.init();
+
+            // Follow changes made in other windows of the app
+            this.setupSync();
+
+            // Nothing of a profile loads before it was picked
+            Profiles.init();
+            await this.chooseStartupProfile();
+            this.state.facetSelection = Facets.normalizeSelection(Storage.getSettings().facetSelection);
+            this.renderSettings();
             
+            // Channel database loads alongside playlists and enriches them when ready
+            this.loadEnrichment();
+
             // Load channels
             await this.loadChannels();
+
+            // Guides load after playlists, which announce their URLs
+            this.loadGuide();
+
+            // Reminders due or missed while the app was closed
+            this.checkReminders();
             
             // Initialize player
             if (window.Player && typeof Player.init === 'function') {
@@ -46,6 +151,10 @@ const App = {
             
             // Show main app
             this.showApp();
+
+            if (Storage.quarantinedCount > 0) {
+                this.showToast('Some saved data could not be read and was set aside, see Backup & Restore in Settings');
+            }
             
             // Setup auto-refresh for channels
             this.setupChannelRefresh();
@@ -59,20 +168,19 @@ const App = {
 
     /**
      * Initialize storage system
+     * Settings fall back to memory and IndexedDB data to memory when the browser refuses storage
      */
-    initStorage() {
+    async initStorage() {
         if (!window.Storage) {
             console.error('Storage module not loaded');
             return;
         }
-        
-        // Check if storage is accessible
+
         try {
-            const testKey = '__test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
+            await Storage.init();
+            await LogoCache.init();
         } catch (e) {
-            console.warn('localStorage not available, using in-memory fallback');
+            console.warn('Error preparing storage:', e.message);
         }
     },
 
@@ -116,279 +224,3440 @@ const App = {
             });
         }
 
-        // Playlist URL input
-        const playlistUrlBtn = document.getElementById('playlist-url-btn');
-        if (playlistUrlBtn) {
-            playlistUrlBtn.addEventListener('click', () => {
-                this.handlePlaylistUrlInput();
+        // Import report of a pending upload
+        document.getElementById('import-report-commit')?.addEventListener('click', () => {
+            const pending = this.state.pendingImport;
+            if (!pending) return;
+            document.getElementById('import-report-modal')?.classList.add('hidden');
+            this.commitImport(pending.name, pending.result);
+        });
+        document.getElementById('import-report-close')?.addEventListener('click', () => {
+            this.state.pendingImport = null;
+        });
+
+        // Playlist sources
+        const addSourceUrlBtn = document.getElementById('add-source-url-btn');
+        if (addSourceUrlBtn) {
+            addSourceUrlBtn.addEventListener('click', () => {
+                this.showSourceForm('m3u');
+            });
+        }
+
+        const addSourceXtreamBtn = document.getElementById('add-source-xtream-btn');
+        if (addSourceXtreamBtn) {
+            addSourceXtreamBtn.addEventListener('click', () => {
+                this.showSourceForm('xtream');
+            });
+        }
+
+        const refreshSourcesBtn = document.getElementById('refresh-sources-btn');
+        if (refreshSourcesBtn) {
+            refreshSourcesBtn.addEventListener('click', () => {
+                this.refreshSources();
+            });
+        }
+
+        const sourceForm = document.getElementById('source-form');
+        if (sourceForm) {
+            sourceForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSourceSubmit(e.target.elements);
+            });
+        }
+
+        // Search
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                this.searchChannels(searchInput.value);
             });
         }
+
+        document.getElementById('facet-clear-btn')?.addEventListener('click', () => {
+            this.setFacetSelection(Facets.createSelection());
+        });
+
+        // Export channel selections as playlists
+        document.querySelectorAll('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.exportSection(btn.dataset.export);
+            });
+        });
+
+        document.getElementById('export-download-m3u')?.addEventListener('click', () => {
+            this.downloadExport('m3u');
+        });
+        document.getElementById('export-download-m3u8')?.addEventListener('click', () => {
+            this.downloadExport('m3u8');
+        });
+        document.getElementById('export-copy-url')?.addEventListener('click', () => {
+            this.copyExportUrl();
+        });
+
+        // Relay server for rtmp/rtsp/udp streams
+        const relayInput = document.getElementById('relay-url-input');
+        if (relayInput) {
+            relayInput.addEventListener('change', () => {
+                const settings = Storage.getSettings();
+                settings.relayUrl = relayInput.value.trim();
+                Storage.saveSettings(settings);
+            });
+        }
+
+        document.getElementById('clear-cache-btn')?.addEventListener('click', async () => {
+            await Storage.clearCache();
+            await LogoCache.clear();
+            this.showToast('Cache cleared, playlists download again on next start');
+        });
+
+        this.setupNetworkSettings();
+        this.setupEnrichmentSettings();
+        this.setupGuideSettings();
+        this.setupNotifications();
+        this.setupProfiles();
+        this.setupBackup();
+        this.setupLists();
+        this.setupChannelEditor();
     },
 
     /**
-     * Load channels from M3U parser
+     * Show stored settings in the Settings section
      */
-    async loadChannels() {
-        try {
-            console.log('Loading channels...');
-            
-            if (!window.M3UParser) {
-                throw new Error('M3U Parser module not loaded');
+    renderSettings() {
+        const settings = Storage.getSettings();
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = value;
             }
+        };
+        const setToggle = (id, active) => {
+            document.getElementById(id)?.classList.toggle('active', active);
+        };
 
-            this.state.channels = await M3UParser.fetchPlaylist();
-            
-            if (this.state.channels.length > 0) {
-                console.log(`Loaded ${this.state.channels.length} channels`);
-                this.renderChannels('home');
-            } else {
-                console.warn('No channels loaded');
-                this.showError('No channels available');
-            }
-        } catch (error) {
-            console.error('Error loading channels:', error);
-            this.showError('Failed to load channels');
-        }
+        setValue('relay-url-input', settings.relayUrl || '');
+        setValue('proxy-list-input', FetchStrategy.getProxies().join('\n'));
+        setValue('fetch-timeout-input', FetchStrategy.getTimeout() / 1000);
+        setToggle('adaptive-routes-toggle', FetchStrategy.isAdaptive());
+        setValue('enrichment-url-input', settings.enrichmentUrl || '');
+        setValue('epg-urls-input', (settings.epgUrls || []).join('\n'));
+        setToggle('epg-playlist-toggle', settings.epgFromPlaylists !== false);
+        this.renderProxyStats();
+        this.renderProfile();
+        this.renderQuarantine();
     },
 
     /**
-     * Render channels in current section
+     * Wire the profile picker, profile settings, parental controls and the PIN dialog
      */
-    renderChannels(section = 'home') {
-        const container = document.getElementById(`${section}-channels`);
-        if (!container) {
-            console.warn(`Container for section ${section} not found`);
-            return;
+    setupProfiles() {
+        document.getElementById('profile-btn')?.addEventListener('click', () => {
+            this.showProfiles();
+        });
+        document.getElementById('profile-switch-btn')?.addEventListener('click', () => {
+            this.showProfiles();
+        });
+
+        const addForm = document.getElementById('profile-add-form');
+        if (addForm) {
+            addForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addProfile(addForm.elements.name.value);
+                addForm.reset();
+            });
         }
 
-        // Get channels based on section
-        let channelsToShow = this.state.channels;
-        
-        if (section === 'favorites') {
-            const favorites = Storage.getFavorites();
-            channelsToShow = this.state.channels.filter(ch => 
-                favorites.some(f => f.url === ch.url)
-            );
-        } else if (section === 'recent') {
-            const recent = Storage.getRecent();
-            channelsToShow = this.state.channels.filter(ch => 
-                recent.some(r => r.url === ch.url)
-            );
+        const nameInput = document.getElementById('profile-name-input');
+        if (nameInput) {
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim();
+                if (name) {
+                    Profiles.update(Profiles.getActive().id, { name: name });
+                }
+                this.renderProfile();
+            });
         }
 
-        container.innerHTML = '';
+        document.getElementById('profile-delete-btn')?.addEventListener('click', () => {
+            this.deleteProfile();
+        });
 
-        if (channelsToShow.length === 0) {
-            container.innerHTML = '<p class="text-gray-400 text-center py-8">No channels available</p>';
-            return;
-        }
+        document.getElementById('change-pin-btn')?.addEventListener('click', () => {
+            this.changePin();
+        });
 
-        channelsToShow.forEach((channel, index) => {
-            const isFavorite = Storage.getFavorites().some(f => f.url === channel.url);
-            const channelEl = document.createElement('div');
-            channelEl.className = 'channel-card focusable relative overflow-hidden rounded-lg cursor-pointer transition-all group';
-            channelEl.innerHTML = `
-                <div class="aspect-square bg-gradient-to-br from-surface-light to-surface overflow-hidden relative">
-                    ${channel.logo ? `<img src="${channel.logo}" alt="${channel.name}" class="w-full h-full object-cover">` : `<div class="w-full h-full flex items-center justify-center text-gray-500"><span class="text-center px-2">${channel.name}</span></div>`}
-                    <div class="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
-                        <button class="play-btn bg-primary rounded-full p-4 transform scale-0 group-hover:scale-100 transition-transform">
-                            <svg class="w-8 h-8 text-white" fill="currentColor" viewBox="0 0 24 24">
-                                <path d="M8 5v14l11-7z"/>
-                            </svg>
-                        </button>
-                    </div>
-                </div>
-                <div class="p-3 bg-surface-light group-hover:bg-surface transition-colors">
-                    <p class="text-tv-sm font-semibold truncate">${channel.name}</p>
-                    <div class="flex items-center justify-between mt-2">
-                        <p class="text-tv-xs text-gray-400 truncate">${channel.group || 'No Group'}</p>
-                        <button class="favorite-btn ${isFavorite ? 'text-primary' : 'text-gray-400'} hover:text-primary transition-colors">
-                            <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
-                                <path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/>
-                            </svg>
-                        </button>
-                    </div>
-                </div>
-            `;
+        document.getElementById('remove-pin-btn')?.addEventListener('click', async () => {
+            if (!(await this.unlockProfile())) return;
+            Profiles.setPin(Profiles.getActive().id, null);
+            this.renderProfile();
+            this.showToast('PIN removed, locks are off');
+        });
 
-            // Play button handler
-            const playBtn = channelEl.querySelector('.play-btn');
-            if (playBtn) {
-                playBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.playChannel(channel);
-                });
+        document.getElementById('pin-toggle')?.addEventListener('click', async () => {
+            const profile = Profiles.getActive();
+            if (!Profiles.hasPin(profile)) {
+                this.showError('Set a PIN first');
+                return;
             }
-
-            // Favorite button handler
-            const favoriteBtn = channelEl.querySelector('.favorite-btn');
-            if (favoriteBtn) {
-                favoriteBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.toggleFavorite(channel, favoriteBtn);
-                });
+            if (await this.unlockProfile()) {
+                Profiles.update(profile.id, { askPin: !profile.askPin });
             }
+            this.renderProfile();
+        });
+
+        document.getElementById('lock-nsfw-toggle')?.addEventListener('click', () => {
+            this.updateLocks(locks => ({ nsfw: !locks.nsfw }));
+        });
 
-            // Main click to play
-            channelEl.addEventListener('click', () => {
-                this.playChannel(channel);
+        const groupsInput = document.getElementById('locked-groups-input');
+        if (groupsInput) {
+            groupsInput.addEventListener('change', () => {
+                this.updateLocks(() => ({ groups: Profiles.parseGroups(groupsInput.value) }));
             });
+        }
 
-            container.appendChild(channelEl);
+        // PIN digits come from number keys, before Navigation treats Backspace as back
+        window.addEventListener('keydown', (e) => this.handlePinKey(e), true);
+        document.getElementById('pin-confirm')?.addEventListener('click', (e) => {
+            // Keep the focus restored on close
+            e.stopPropagation();
+            this.submitPin();
         });
+        document.getElementById('pin-cancel')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closePin(null);
+        });
+    },
 
-        // Re-initialize navigation after rendering
-        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
-            Navigation.updateFocusableElements();
+    /**
+     * Show the active profile in the header and its settings
+     */
+    renderProfile() {
+        const profile = Profiles.getActive();
+
+        const avatar = document.getElementById('profile-avatar');
+        if (avatar) {
+            avatar.textContent = Profiles.getInitial(profile);
+            avatar.style.background = profile.color;
+        }
+        const name = document.getElementById('profile-name');
+        if (name) {
+            name.textContent = profile.name;
+        }
+        const nameInput = document.getElementById('profile-name-input');
+        if (nameInput) {
+            nameInput.value = profile.name;
+        }
+        document.getElementById('profile-delete-btn')?.classList.toggle('hidden', Profiles.getAll().length <= 1);
+
+        const hasPin = Profiles.hasPin(profile);
+        const locks = profile.locks || {};
+        const changePinBtn = document.getElementById('change-pin-btn');
+        if (changePinBtn) {
+            changePinBtn.textContent = hasPin ? 'Change PIN' : 'Set PIN';
+        }
+        document.getElementById('remove-pin-btn')?.classList.toggle('hidden', !hasPin);
+        const status = document.getElementById('pin-status');
+        if (status) {
+            status.textContent = hasPin
+                ? 'Locks ask for the profile PIN before a channel plays'
+                : 'Set a PIN for this profile to use locks';
+        }
+        document.getElementById('pin-toggle')?.classList.toggle('active', Boolean(profile.askPin));
+        document.getElementById('lock-nsfw-toggle')?.classList.toggle('active', Boolean(locks.nsfw));
+        const groupsInput = document.getElementById('locked-groups-input');
+        if (groupsInput) {
+            groupsInput.value = (locks.groups || []).join('\n');
         }
     },
 
     /**
-     * Play a channel
+     * Show the profile picker at startup when several people share the TV, and wait for a choice
      */
-    playChannel(channel) {
-        console.log('Playing channel:', channel.name);
-        
-        this.state.currentChannel = channel;
-        
-        // Add to recent
-        Storage.addRecent(channel);
-        
-        // Switch to player section
-        this.switchSection('player');
-        
-        // Start playback
-        if (window.Player && typeof Player.play === 'function') {
-            Player.play(channel);
-        } else {
-            // Fallback: open URL
-            console.warn('Player module not loaded, opening URL directly');
-            window.open(channel.url, '_blank');
+    chooseStartupProfile() {
+        if (!Profiles.needsPicker()) return Promise.resolve();
+
+        return new Promise(resolve => {
+            this.profileChosen = resolve;
+            this.showProfiles(true);
+        });
+    },
+
+    /**
+     * Open the profile picker; a required choice cannot be closed without picking a profile
+     */
+    showProfiles(required = false) {
+        const modal = document.getElementById('profiles-modal');
+        if (!modal) return;
+
+        this.state.profileRequired = required;
+        document.getElementById('profiles-close')?.classList.toggle('hidden', required);
+        this.renderProfiles();
+        modal.classList.remove('hidden');
+
+        const active = document.querySelector('#profiles-list .profile-tile.active');
+        if (active && window.Navigation) {
+            Navigation.setFocus(active);
         }
     },
 
     /**
-     * Toggle favorite status
+     * Render the profiles of the picker
      */
-    toggleFavorite(channel, btnElement) {
-        const favorites = Storage.getFavorites();
-        const isFavorite = favorites.some(f => f.url === channel.url);
-        
-        if (isFavorite) {
-            Storage.removeFavorite(channel);
-            btnElement?.classList.remove('text-primary');
-            btnElement?.classList.add('text-gray-400');
-        } else {
-            Storage.addFavorite(channel);
-            btnElement?.classList.remove('text-gray-400');
-            btnElement?.classList.add('text-primary');
+    renderProfiles() {
+        const list = document.getElementById('profiles-list');
+        if (!list) return;
+
+        const active = Profiles.getActive();
+        list.innerHTML = '';
+        Profiles.getAll().forEach(profile => {
+            const locked = profile.askPin && Profiles.hasPin(profile);
+            const tile = document.createElement('button');
+            tile.className = `focusable profile-tile ${profile.id === active.id ? 'active' : ''}`;
+            tile.dataset.profile = profile.id;
+            tile.innerHTML = `
+                <span class="profile-avatar"></span>
+                <span class="flex items-center gap-2 text-tv-sm font-semibold">
+                    <span></span>
+                    <svg class="w-5 h-5 text-gray-400 ${locked ? '' : 'hidden'}" fill="currentColor" viewBox="0 0 24 24"><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/></svg>
+                </span>
+            `;
+            tile.children[0].textContent = Profiles.getInitial(profile);
+            tile.children[0].style.background = profile.color;
+            tile.children[1].children[0].textContent = profile.name;
+            tile.addEventListener('click', () => this.selectProfile(profile));
+            list.appendChild(tile);
+        });
+    },
+
+    /**
+     * Open a profile from the picker, after its PIN when it asks for one
+     */
+    async selectProfile(profile) {
+        const modal = document.getElementById('profiles-modal');
+        const startup = Boolean(this.profileChosen);
+
+        if (!startup && !this.state.profileRequired && profile.id === Profiles.getActive().id) {
+            modal?.classList.add('hidden');
+            return;
         }
-        
-        // Re-render if in favorites section
-        if (this.state.currentSection === 'favorites') {
-            this.renderChannels('favorites');
+
+        if (profile.askPin && Profiles.hasPin(profile)) {
+            const pin = await this.requestPin(`PIN for ${profile.name}`, entered => Profiles.checkPin(profile, entered));
+            if (pin === null) return;
+        }
+
+        modal?.classList.add('hidden');
+        this.state.profileRequired = false;
+
+        if (startup) {
+            const resolve = this.profileChosen;
+            this.profileChosen = null;
+            Storage.setProfileId(profile.id);
+            resolve();
+        } else {
+            await this.switchProfile(profile.id);
         }
     },
 
     /**
-     * Switch to a section
+     * Add a profile from the picker
      */
-    switchSection(section) {
-        // Hide all sections
-        document.querySelectorAll('[id$="-section"]').forEach(el => {
-            el.classList.add('hidden');
-        });
-        
-        // Show selected section
-        const sectionEl = document.getElementById(`${section}-section`);
-        if (sectionEl) {
-            sectionEl.classList.remove('hidden');
+    addProfile(name) {
+        name = String(name || '').trim();
+        if (!name) return;
+
+        const profile = Profiles.add(name);
+        if (!profile) {
+            this.showError(`No more than ${Profiles.MAX_PROFILES} profiles`);
+            return;
         }
-        
-        // Update nav buttons
-        document.querySelectorAll('.nav-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.section === section) {
-                btn.classList.add('active');
-            }
-        });
-        
-        this.state.currentSection = section;
-        
-        // Re-initialize navigation
-        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
-            Navigation.updateFocusableElements();
-            Navigation.focusFirst();
+
+        this.renderProfiles();
+        this.renderProfile();
+        const tile = document.querySelector(`#profiles-list [data-profile="${profile.id}"]`);
+        if (tile && window.Navigation) {
+            Navigation.setFocus(tile);
         }
     },
 
     /**
-     * Handle playlist file upload
+     * Make another profile the active one without reloading the page
      */
-    async handlePlaylistUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    async switchProfile(id) {
+        Storage.setProfileId(id);
+        this.state.settingsUnlocked = false;
+        this.showToast(`Switched to ${Profiles.getActive().name}`);
+        this.switchSection('home');
+        await this.reloadUserData();
+    },
 
-        try {
-            const content = await file.text();
-            const channels = M3UParser.parse(content);
-            
-            if (channels.length > 0) {
-                this.state.channels = channels;
-                Storage.setCachedChannels(channels);
-                this.renderChannels('home');
-                this.showMessage(`Loaded ${channels.length} channels`);
-            } else {
-                this.showError('No channels found in file');
-            }
-        } catch (error) {
-            console.error('Error reading playlist file:', error);
-            this.showError('Failed to read playlist file');
+    /**
+     * Delete the active profile with its data, then let the household pick the next one
+     */
+    async deleteProfile() {
+        const profile = Profiles.getActive();
+        if (Profiles.getAll().length <= 1) return;
+        if (!(await this.unlockProfile())) return;
+        if (!confirm(`Delete ${profile.name} with its favorites, history and settings?`)) return;
+
+        await Profiles.remove(profile.id);
+        this.state.settingsUnlocked = false;
+        this.showProfiles(true);
+    },
+
+    /**
+     * Ask for the PIN of the active profile once per profile session before lock settings change
+     */
+    async unlockProfile() {
+        const profile = Profiles.getActive();
+        if (!Profiles.hasPin(profile) || this.state.settingsUnlocked) return true;
+
+        const pin = await this.requestPin('Enter profile PIN', entered => Profiles.checkPin(profile, entered));
+        this.state.settingsUnlocked = pin !== null;
+        return this.state.settingsUnlocked;
+    },
+
+    /**
+     * Change lock rules of the active profile, changes(locks) returns the changed fields
+     */
+    async updateLocks(changes) {
+        if (await this.unlockProfile()) {
+            const profile = Profiles.getActive();
+            const locks = Object.assign({ groups: [], nsfw: false }, profile.locks);
+            Profiles.update(profile.id, { locks: Object.assign(locks, changes(locks)) });
         }
+        this.renderProfile();
     },
 
     /**
-     * Handle playlist URL input
+     * Set or change the PIN of the active profile, entered twice
      */
-    async handlePlaylistUrlInput() {
-        const url = prompt('Enter playlist URL (M3U/M3U8):');
-        if (!url) return;
+    async changePin() {
+        if (!(await this.unlockProfile())) return;
 
-        try {
-            const channels = await M3UParser.fetchPlaylist(url);
-            
-            if (channels.length > 0) {
-                this.state.channels = channels;
-                Storage.setCachedChannels(channels);
-                this.renderChannels('home');
-                this.showMessage(`Loaded ${channels.length} channels`);
-            } else {
-                this.showError('No channels found in playlist');
+        const pin = await this.requestPin('Enter a new PIN', () => true);
+        if (pin === null) return;
+        const repeated = await this.requestPin('Repeat the new PIN', entered => entered === pin, 'PINs do not match');
+        if (repeated === null) return;
+
+        Profiles.setPin(Profiles.getActive().id, pin);
+        this.state.settingsUnlocked = true;
+        this.renderProfile();
+        this.showToast('PIN saved');
+    },
+
+    /**
+     * Ask for a PIN, resolves with it once verify(pin) accepts it, or null when cancelled
+     */
+    requestPin(title, verify, error = 'Wrong PIN') {
+        const modal = document.getElementById('pin-modal');
+        if (!modal) return Promise.resolve(null);
+
+        // Only one request at a time
+        this.closePin(null);
+
+        return new Promise(resolve => {
+            this.state.pinRequest = {
+                verify: verify,
+                error: error,
+                resolve: resolve,
+                digits: '',
+                returnFocus: window.Navigation ? Navigation.focusedElement : null
+            };
+
+            document.getElementById('pin-title').textContent = title;
+            document.getElementById('pin-error')?.classList.add('hidden');
+            this.renderPinDigits();
+            modal.classList.remove('hidden');
+
+            const confirmBtn = document.getElementById('pin-confirm');
+            if (confirmBtn && window.Navigation) {
+                Navigation.setFocus(confirmBtn);
             }
-        } catch (error) {
-            console.error('Error loading playlist:', error);
-            this.showError('Failed to load playlist');
+        });
+    },
+
+    /**
+     * Type PIN digits while the PIN dialog is open
+     */
+    handlePinKey(e) {
+        const request = this.state.pinRequest;
+        if (!request) return;
+
+        if (/^\d$/.test(e.key)) {
+            if (request.digits.length < Profiles.PIN_LENGTH) {
+                request.digits += e.key;
+                this.renderPinDigits();
+            }
+            if (request.digits.length === Profiles.PIN_LENGTH) {
+                this.submitPin();
+            }
+        } else if (e.key === 'Backspace') {
+            request.digits = request.digits.slice(0, -1);
+            this.renderPinDigits();
+        } else if (e.key === 'Escape') {
+            this.closePin(null);
+        } else {
+            return;
         }
+
+        e.preventDefault();
+        e.stopPropagation();
     },
 
     /**
-     * Setup automatic channel refresh
+     * Show entered digits as filled PIN boxes
      */
-    setupChannelRefresh() {
-        setInterval(() => {
-            console.log('Checking for channel updates...');
-            // Could refresh channels periodically
-        }, this.config.channelCheckInterval);
+    renderPinDigits() {
+        const digits = this.state.pinRequest ? this.state.pinRequest.digits : '';
+        document.querySelectorAll('#pin-modal .pin-input').forEach((input, index) => {
+            input.value = digits[index] || '';
+        });
+    },
+
+    /**
+     * Check the entered PIN, closing the dialog when it is accepted
+     */
+    submitPin() {
+        const request = this.state.pinRequest;
+        if (!request) return;
+
+        const complete = Profiles.isValidPin(request.digits);
+        if (complete && request.verify(request.digits)) {
+            this.closePin(request.digits);
+            return;
+        }
+
+        request.digits = '';
+        this.renderPinDigits();
+        const error = document.getElementById('pin-error');
+        if (error) {
+            error.textContent = complete ? request.error : `Enter ${Profiles.PIN_LENGTH} digits`;
+            error.classList.remove('hidden');
+        }
+    },
+
+    /**
+     * Close the PIN dialog and resolve its request with pin (null when cancelled)
+     */
+    closePin(pin) {
+        const request = this.state.pinRequest;
+        if (!request) return;
+
+        this.state.pinRequest = null;
+        document.getElementById('pin-modal')?.classList.add('hidden');
+        if (request.returnFocus && document.contains(request.returnFocus) && window.Navigation) {
+            Navigation.setFocus(request.returnFocus);
+        }
+        request.resolve(pin);
+    },
+
+    /**
+     * Wire backup export and the restore dialog
+     */
+    setupBackup() {
+        document.getElementById('backup-export-btn')?.addEventListener('click', () => {
+            this.exportBackup();
+        });
+
+        const fileInput = document.getElementById('backup-file');
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                this.handleBackupFile(e);
+            });
+        }
+
+        document.getElementById('quarantine-download-btn')?.addEventListener('click', () => {
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(JSON.stringify(Storage.getQuarantine(), null, 2),
+                `free-tv-quarantine-${date}.json`, 'application/json;charset=utf-8');
+        });
+        document.getElementById('quarantine-clear-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (!confirm('Discard the data that could not be read? It cannot be recovered afterwards.')) return;
+            Storage.clearQuarantine();
+            this.renderQuarantine();
+            Navigation.setFocus(document.getElementById('backup-export-btn'));
+        });
+
+        document.getElementById('restore-merge')?.addEventListener('click', () => {
+            this.setRestoreMode('merge');
+        });
+        document.getElementById('restore-replace')?.addEventListener('click', () => {
+            this.setRestoreMode('replace');
+        });
+        document.getElementById('restore-commit')?.addEventListener('click', () => {
+            this.commitRestore();
+        });
+        document.getElementById('restore-cancel')?.addEventListener('click', () => {
+            this.state.pendingRestore = null;
+        });
+    },
+
+    /**
+     * Wire the proxy chain, timeout and route order settings
+     */
+    setupNetworkSettings() {
+        const saveSetting = (key, value) => {
+            const settings = Storage.getSettings();
+            settings[key] = value;
+            Storage.saveSettings(settings);
+            this.renderProxyStats();
+        };
+
+        const proxyInput = document.getElementById('proxy-list-input');
+        if (proxyInput) {
+            proxyInput.addEventListener('change', () => {
+                const proxies = FetchStrategy.parseProxies(proxyInput.value);
+                saveSetting('proxies', proxies);
+                proxyInput.value = FetchStrategy.getProxies().join('\n');
+            });
+        }
+
+        const timeoutInput = document.getElementById('fetch-timeout-input');
+        if (timeoutInput) {
+            timeoutInput.addEventListener('change', () => {
+                const seconds = parseInt(timeoutInput.value, 10);
+                saveSetting('fetchTimeout', seconds > 0 ? seconds : FetchStrategy.DEFAULT_TIMEOUT);
+                timeoutInput.value = FetchStrategy.getTimeout() / 1000;
+            });
+        }
+
+        const adaptiveToggle = document.getElementById('adaptive-routes-toggle');
+        if (adaptiveToggle) {
+            adaptiveToggle.addEventListener('click', () => {
+                const adaptive = !FetchStrategy.isAdaptive();
+                adaptiveToggle.classList.toggle('active', adaptive);
+                saveSetting('adaptiveRoutes', adaptive);
+            });
+        }
+
+        document.getElementById('proxy-reset-btn')?.addEventListener('click', () => {
+            saveSetting('proxies', []);
+            if (proxyInput) {
+                proxyInput.value = FetchStrategy.getProxies().join('\n');
+            }
+        });
+
+        document.getElementById('proxy-stats-reset-btn')?.addEventListener('click', () => {
+            FetchStrategy.resetStats();
+            this.renderProxyStats();
+        });
+    },
+
+    /**
+     * Render health stats of the proxy chain, in the order routes are tried
+     */
+    renderProxyStats() {
+        const list = document.getElementById('proxy-stats');
+        if (!list) return;
+
+        const stats = FetchStrategy.getStats();
+        list.innerHTML = '';
+
+        FetchStrategy.getRoutes('').forEach((route, index) => {
+            const entry = stats[route.id];
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-3 bg-surface rounded-lg px-4 py-2';
+            row.innerHTML = `
+                <span class="text-tv-xs text-gray-400 w-6">${index + 1}.</span>
+                <span class="text-tv-sm font-semibold flex-shrink-0"></span>
+                <span class="text-tv-xs truncate ${entry && entry.lastError ? 'text-red-400' : 'text-gray-400'}">${FetchStrategy.describeStats(entry)}</span>
+            `;
+            row.children[1].textContent = route.name;
+            row.title = route.id;
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Wire the channel database settings
+     */
+    setupEnrichmentSettings() {
+        const urlInput = document.getElementById('enrichment-url-input');
+        if (urlInput) {
+            urlInput.addEventListener('change', () => {
+                const settings = Storage.getSettings();
+                settings.enrichmentUrl = urlInput.value.trim();
+                Storage.saveSettings(settings);
+            });
+        }
+
+        document.getElementById('enrichment-refresh-btn')?.addEventListener('click', () => {
+            this.loadEnrichment({ force: true });
+        });
+
+        const fileInput = document.getElementById('enrichment-files');
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                if (fileInput.files.length === 0) return;
+                try {
+                    const imported = await Enrichment.importFiles(fileInput.files);
+                    this.showMessage(`Imported ${imported.map(name => name + '.json').join(', ')}`);
+                    this.applyEnrichment();
+                } catch (error) {
+                    this.showError(error.message);
+                }
+                fileInput.value = '';
+                this.renderEnrichmentStatus();
+            });
+        }
+
+        document.getElementById('enrichment-clear-btn')?.addEventListener('click', async () => {
+            await Enrichment.clear();
+            this.applyEnrichment();
+            this.renderEnrichmentStatus();
+        });
+
+        this.renderEnrichmentStatus();
+    },
+
+    /**
+     * Load the channel database and enrich channels loaded so far
+     */
+    async loadEnrichment(options = {}) {
+        const status = document.getElementById('enrichment-status');
+        if (status) {
+            status.textContent = 'Loading...';
+        }
+
+        const ready = await Enrichment.init(options);
+        this.renderEnrichmentStatus();
+        if (ready && Sources.channels.length > 0) {
+            this.applyEnrichment();
+        }
+    },
+
+    /**
+     * Re-enrich loaded channels and rebuild what depends on their fields
+     */
+    applyEnrichment() {
+        const channels = Sources.enrich();
+        // Enriched fields changed in place, so every channel is indexed again
+        SearchIndex.clear();
+        this.applySources(channels);
+    },
+
+    /**
+     * Show which channel database is loaded
+     */
+    renderEnrichmentStatus() {
+        const status = document.getElementById('enrichment-status');
+        if (status) {
+            status.textContent = Enrichment.describe();
+        }
+    },
+
+    /**
+     * Wire the programme guide settings
+     */
+    setupGuideSettings() {
+        const saveSetting = (key, value) => {
+            const settings = Storage.getSettings();
+            settings[key] = value;
+            Storage.saveSettings(settings);
+            this.loadGuide();
+        };
+
+        const urlsInput = document.getElementById('epg-urls-input');
+        if (urlsInput) {
+            urlsInput.addEventListener('change', () => {
+                const urls = EPG.parseUrls(urlsInput.value);
+                urlsInput.value = urls.join('\n');
+                saveSetting('epgUrls', urls);
+            });
+        }
+
+        const playlistToggle = document.getElementById('epg-playlist-toggle');
+        if (playlistToggle) {
+            playlistToggle.addEventListener('click', () => {
+                const enabled = !playlistToggle.classList.contains('active');
+                playlistToggle.classList.toggle('active', enabled);
+                saveSetting('epgFromPlaylists', enabled);
+            });
+        }
+
+        document.getElementById('epg-refresh-btn')?.addEventListener('click', () => {
+            this.loadGuide({ force: true });
+        });
+
+        document.getElementById('epg-clear-btn')?.addEventListener('click', async () => {
+            await EPG.clear();
+            this.renderGuideStatus();
+            this.updateGuideLines();
+        });
+    },
+
+    /**
+     * Show stored guides right away, then download the stale ones
+     */
+    async loadGuide(options = {}) {
+        this.guideUrls = EPG.getUrls().join('\n');
+        await EPG.init();
+        this.updateGuideLines();
+
+        const status = document.getElementById('epg-status');
+        if (status) {
+            status.textContent = 'Updating...';
+        }
+
+        try {
+            await EPG.refresh({
+                force: options.force,
+                onProgress: (progress) => {
+                    if (status) {
+                        status.textContent = `Loading ${progress.programmes} programmes...`;
+                    }
+                }
+            });
+        } catch (error) {
+            console.warn('Guide update failed:', error.message);
+        }
+
+        this.renderGuideStatus();
+        this.updateGuideLines();
+        if (this.state.currentSection === 'guide') {
+            Guide.open();
+        }
+        // has:epg results depend on the loaded guides
+        if (this.state.searchQuery) {
+            this.searchChannels(this.state.searchQuery);
+        }
+    },
+
+    /**
+     * Load guides again when sources announce different guide URLs
+     */
+    updateGuide() {
+        if (this.guideUrls !== null && EPG.getUrls().join('\n') !== this.guideUrls) {
+            this.loadGuide();
+        }
+    },
+
+    /**
+     * Show loaded guides and their status
+     */
+    renderGuideStatus() {
+        const status = document.getElementById('epg-status');
+        if (status) {
+            status.textContent = EPG.describe();
+        }
+
+        const list = document.getElementById('epg-sources');
+        if (!list) return;
+
+        list.innerHTML = '';
+        EPG.getUrls().forEach(url => {
+            const meta = EPG.sources.get(url);
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-3 bg-surface rounded-lg px-4 py-2';
+            row.innerHTML = `
+                <span class="text-tv-sm font-semibold truncate flex-shrink-0 max-w-md"></span>
+                <span class="text-tv-xs truncate ${meta && meta.error ? 'text-red-400' : 'text-gray-400'}"></span>
+            `;
+            row.children[0].textContent = url.replace(/^https?:\/\//, '');
+            row.children[1].textContent = EPG.describeSource(url);
+            row.title = url;
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Fill now/next lines of rendered channel cards, loading their programmes when needed
+     */
+    updateGuideLines(entries = [].concat(...Object.values(this.guideLines))) {
+        const fill = () => entries.forEach(({ element, channel }) => {
+            element.textContent = EPG.describeNowNext(EPG.getNowNext(channel));
+        });
+
+        fill();
+        EPG.prime(entries.map(entry => entry.channel)).then(loaded => {
+            if (loaded) fill();
+        });
+    },
+
+    /**
+     * Wire the notification badge, notification list and toast button
+     */
+    setupNotifications() {
+        document.getElementById('notification-badge')?.addEventListener('click', () => {
+            this.showNotifications();
+        });
+
+        document.getElementById('notifications-clear')?.addEventListener('click', () => {
+            Reminders.clearNotifications();
+            this.renderNotifications();
+            this.renderNotificationBadge();
+        });
+
+        document.getElementById('toast-action')?.addEventListener('click', (e) => {
+            // Focus goes back to where it was, not to the hidden button
+            e.stopPropagation();
+            const action = this.toastAction;
+            this.hideToast();
+            if (action) action();
+        });
+
+        this.renderNotificationBadge();
+    },
+
+    /**
+     * Raise due reminders as toasts, offering to switch to programmes that start
+     */
+    async checkReminders() {
+        let events = [];
+        try {
+            await EPG.init();
+            events = await Reminders.check(ref => this.resolveChannelRefs([ref])[0]);
+        } catch (error) {
+            console.warn('Error checking reminders:', error.message);
+        }
+
+        const latest = type => events.filter(event => event.type === type).pop();
+        const starting = latest('starting');
+        const upcoming = latest('upcoming');
+        const missed = events.filter(event => event.type === 'missed');
+
+        if (starting) {
+            const notification = starting.notification;
+            this.showToast(`${notification.title} · ${Reminders.describe(notification)}`, {
+                actionLabel: 'Switch Now',
+                action: () => this.playReminded(notification)
+            });
+        } else if (upcoming) {
+            this.showToast(`${upcoming.notification.title} · ${Reminders.describe(upcoming.notification)}`);
+        } else if (missed.length > 0) {
+            this.showToast(missed.length === 1
+                ? `Missed reminder: ${missed[0].notification.title}`
+                : `${missed.length} missed reminders`);
+        }
+
+        if (events.length > 0) {
+            this.renderNotificationBadge();
+            if (this.state.currentSection === 'guide') {
+                Guide.render();
+            }
+        }
+    },
+
+    /**
+     * Tune the channel of a reminder notification
+     */
+    playReminded(notification) {
+        const [channel] = this.resolveChannelRefs([notification.channel]);
+        if (window.Player && Player.state.currentChannel && Player.state.currentChannel.key === channel.key) return;
+        this.playChannel(channel);
+    },
+
+    /**
+     * Show the unread count on the notification badge, hidden without notifications
+     */
+    renderNotificationBadge() {
+        const badge = document.getElementById('notification-badge');
+        const count = document.getElementById('notification-count');
+        if (!badge) return;
+
+        const unread = Reminders.getUnreadCount();
+        badge.classList.toggle('hidden', Reminders.getNotifications().length === 0 && Reminders.getAll().length === 0);
+        if (count) {
+            count.textContent = unread > 99 ? '99+' : String(unread);
+            count.classList.toggle('hidden', unread === 0);
+        }
+        Navigation.updateFocusableElements();
+    },
+
+    /**
+     * Open the notification list, marking notifications as read
+     */
+    showNotifications() {
+        this.renderNotifications();
+        Reminders.markAllRead();
+        this.renderNotificationBadge();
+
+        document.getElementById('notifications-modal')?.classList.remove('hidden');
+        const first = document.querySelector('#notifications-modal .focusable');
+        if (first) {
+            Navigation.setFocus(first);
+        }
+    },
+
+    /**
+     * Render notifications and pending reminders
+     * Titles come from guides, so they are set as text
+     */
+    renderNotifications() {
+        const createRow = (title, detail, label, onClick) => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between gap-4 bg-surface rounded-lg px-4 py-3';
+            row.innerHTML = `
+                <div class="min-w-0">
+                    <p class="text-tv-sm font-medium truncate"></p>
+                    <p class="text-tv-xs text-gray-400 truncate"></p>
+                </div>
+                <button class="focusable setting-btn flex-shrink-0"></button>
+            `;
+            row.querySelector('.text-tv-sm').textContent = title;
+            row.querySelector('.text-tv-xs').textContent = detail;
+            const btn = row.querySelector('button');
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            return row;
+        };
+
+        const list = document.getElementById('notifications-list');
+        if (list) {
+            list.innerHTML = '';
+            const notifications = Reminders.getNotifications();
+            if (notifications.length === 0) {
+                list.innerHTML = '<p class="text-tv-sm text-gray-400">No notifications</p>';
+            }
+            notifications.forEach(notification => {
+                list.appendChild(createRow(notification.title, Reminders.describe(notification), 'Watch', () => {
+                    document.getElementById('notifications-modal')?.classList.add('hidden');
+                    this.playReminded(notification);
+                }));
+            });
+        }
+
+        const reminders = document.getElementById('reminders-list');
+        if (reminders) {
+            reminders.innerHTML = '';
+            // Episodes of series reminders are listed through their series
+            const entries = Reminders.getAll().filter(reminder => !reminder.seriesId);
+            if (entries.length === 0) {
+                reminders.innerHTML = '<p class="text-tv-sm text-gray-400">No reminders set</p>';
+            }
+            entries.forEach(reminder => {
+                const detail = reminder.type === 'series'
+                    ? `Every episode on ${reminder.channel.name}`
+                    : `${new Date(reminder.start).toLocaleDateString()} ${EPG.formatTime(reminder.start)} on ${reminder.channel.name}`;
+                reminders.appendChild(createRow(reminder.title, detail, 'Remove', () => {
+                    Reminders.remove(reminder.id);
+                    this.renderNotifications();
+                    this.renderNotificationBadge();
+                }));
+            });
+        }
+    },
+
+    /**
+     * Show a toast; options.action adds a button, focused until the toast hides
+     */
+    showToast(message, options = {}) {
+        const toast = document.getElementById('toast');
+        const messageEl = document.getElementById('toast-message');
+        if (!toast || !messageEl) {
+            this.showMessage(message);
+            return;
+        }
+
+        clearTimeout(this.toastTimer);
+        messageEl.textContent = message;
+
+        const action = document.getElementById('toast-action');
+        this.toastAction = action && options.action ? options.action : null;
+        if (action) {
+            action.textContent = options.actionLabel || '';
+            action.classList.toggle('hidden', !this.toastAction);
+        }
+
+        toast.classList.remove('hidden');
+        requestAnimationFrame(() => toast.classList.remove('translate-x-full'));
+
+        if (this.toastAction) {
+            if (Navigation.focusedElement !== action) {
+                this.toastReturnFocus = Navigation.focusedElement;
+            }
+            Navigation.setFocus(action);
+        }
+
+        const duration = this.toastAction ? this.config.toastActionDuration : this.config.toastDuration;
+        this.toastTimer = setTimeout(() => this.hideToast(), duration);
+    },
+
+    /**
+     * Slide the toast out, giving focus back if its button had it
+     */
+    hideToast() {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+
+        clearTimeout(this.toastTimer);
+        toast.classList.add('translate-x-full');
+        this.toastTimer = setTimeout(() => toast.classList.add('hidden'), 300);
+
+        const action = document.getElementById('toast-action');
+        if (action && Navigation.focusedElement === action) {
+            action.classList.remove('focused');
+            Navigation.focusedElement = null;
+            if (this.toastReturnFocus && document.body.contains(this.toastReturnFocus)) {
+                Navigation.setFocus(this.toastReturnFocus);
+            } else {
+                Navigation.focusFirst();
+            }
+        }
+        this.toastAction = null;
+        this.toastReturnFocus = null;
+    },
+
+    /**
+     * Load channels from all enabled playlist sources
+     */
+    async loadChannels() {
+        try {
+            console.log('Loading channels...');
+            
+            if (!window.M3UParser || !window.Sources) {
+                throw new Error('M3U Parser module not loaded');
+            }
+
+            Sources.init();
+
+            this.state.channels = await Sources.loadAll({
+                onUpdate: (channels) => this.handleChannelsUpdate(channels),
+                onProgress: (progress) => this.updateLoadingProgress(progress)
+            });
+            this.hideLoadingIndicator();
+            this.syncedSources = this.getSourcesSignature();
+            this.renderSources();
+            SearchIndex.update(this.state.channels);
+            Storage.migrateChannelRefs(this.state.channels);
+            
+            if (this.state.channels.length > 0) {
+                console.log(`Loaded ${this.state.channels.length} channels`);
+                this.renderCategories();
+                this.renderChannels('home');
+            } else {
+                console.warn('No channels loaded');
+                this.showError('No channels available');
+            }
+        } catch (error) {
+            console.error('Error loading channels:', error);
+            this.hideLoadingIndicator();
+            this.showError('Failed to load channels');
+        }
+    },
+
+    /**
+     * Handle merged channels while sources are streaming in
+     */
+    handleChannelsUpdate(channels) {
+        this.state.channels = channels;
+
+        // Show the first categories while the rest is still loading
+        if (this.state.isLoading && channels.length > 0) {
+            this.showApp();
+            this.showLoadingIndicator();
+        }
+
+        this.scheduleRender();
+    },
+
+    /**
+     * Re-render categories and channels at most once per batchRenderDelay
+     */
+    scheduleRender() {
+        if (this.renderTimer) return;
+
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            SearchIndex.update(this.state.channels);
+            this.renderCategories();
+            this.renderChannels(this.state.currentSection === 'livetv' ? 'livetv' : 'home');
+        }, this.config.batchRenderDelay);
+    },
+
+    /**
+     * Update playlist download progress on loading screen and header
+     */
+    updateLoadingProgress(progress) {
+        const percent = progress.total ? Math.min(100, Math.round(progress.loaded / progress.total * 100)) : null;
+        const text = `Loading channels... ${progress.channels.toLocaleString()} found` +
+            (percent !== null ? ` (${percent}%)` : '');
+
+        const status = document.getElementById('loading-status');
+        if (status) {
+            status.textContent = text;
+        }
+
+        const bar = document.getElementById('loading-progress-bar');
+        if (bar && percent !== null) {
+            bar.style.width = percent + '%';
+        }
+
+        const indicatorText = document.getElementById('loading-indicator-text');
+        if (indicatorText) {
+            indicatorText.textContent = text;
+        }
+    },
+
+    /**
+     * Show header loading indicator
+     */
+    showLoadingIndicator() {
+        document.getElementById('loading-indicator')?.classList.remove('hidden');
+    },
+
+    /**
+     * Hide header loading indicator
+     */
+    hideLoadingIndicator() {
+        document.getElementById('loading-indicator')?.classList.add('hidden');
+    },
+
+    /**
+     * Render category cards (home) and category sidebar (Live TV)
+     */
+    renderCategories() {
+        const groups = M3UParser.getGroups(this.state.channels);
+
+        const grid = document.getElementById('categories-grid');
+        if (grid) {
+            grid.innerHTML = '';
+            groups.slice(0, this.config.homeCategoryLimit).forEach(group => {
+                const card = document.createElement('button');
+                card.className = 'category-card focusable';
+                card.innerHTML = `
+                    <svg fill="currentColor" viewBox="0 0 24 24"><path d="M21 6h-7.59l3.29-3.29L16 2l-4 4-4-4-.71.71L10.59 6H3c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm0 14H3V8h18v12z"/></svg>
+                    <span class="truncate max-w-full"></span>
+                    <p class="text-tv-xs text-gray-400 mt-1">${group.count} channels</p>
+                `;
+                // Group names come from the playlist, so they are set as text
+                card.querySelector('span').textContent = group.name;
+                card.addEventListener('click', () => this.selectGroup(group.name));
+                grid.appendChild(card);
+            });
+        }
+
+        const list = document.getElementById('category-list');
+        if (list) {
+            list.innerHTML = '';
+            [{ name: 'all', label: 'All Channels', count: this.state.channels.length }]
+                .concat(groups.map(group => ({ name: group.name, label: group.name, count: group.count })))
+                .forEach(group => {
+                    const btn = document.createElement('button');
+                    btn.className = 'category-btn focusable' + (group.name === this.state.currentGroup ? ' active' : '');
+                    btn.dataset.category = group.name;
+                    btn.innerHTML = `
+                        <span class="truncate"></span>
+                        <span class="channel-count">${group.count}</span>
+                    `;
+                    btn.querySelector('.truncate').textContent = group.label;
+                    btn.addEventListener('click', () => this.selectGroup(group.name));
+                    list.appendChild(btn);
+                });
+        }
+
+        this.renderFacets();
+    },
+
+    /**
+     * Render the Live TV facet filters with counts for the current category
+     */
+    renderFacets() {
+        const panel = document.getElementById('facet-panel');
+        if (!panel) return;
+
+        const selection = this.state.facetSelection;
+        const channels = M3UParser.filterByGroup(this.state.channels, this.state.currentGroup);
+        const { counts } = Facets.compute(channels, selection);
+
+        const clearBtn = document.getElementById('facet-clear-btn');
+        if (clearBtn) {
+            clearBtn.classList.toggle('hidden', Facets.isEmpty(selection));
+        }
+
+        panel.innerHTML = '';
+        Object.entries(Facets.FACETS).forEach(([facet, definition]) => {
+            const values = Facets.getSortedValues(counts[facet]).filter(value => value.count > 0 || value.selected);
+            if (values.length === 0) return;
+
+            const expanded = this.state.expandedFacets.has(facet);
+            const shown = expanded ? values : values.slice(0, Math.max(this.config.facetValueLimit,
+                values.filter(value => value.selected).length));
+
+            const group = document.createElement('div');
+            group.innerHTML = `<h4 class="text-tv-xs font-bold uppercase tracking-wide text-gray-400 mb-2">${definition.label}</h4>`;
+
+            shown.forEach(value => {
+                const btn = document.createElement('button');
+                btn.className = 'category-btn focusable py-2' + (value.selected ? ' active' : '') +
+                    (value.count === 0 ? ' opacity-50' : '');
+                btn.innerHTML = `
+                    <span class="truncate"></span>
+                    <span class="channel-count">${value.count}</span>
+                `;
+                btn.firstElementChild.textContent = value.label;
+                btn.addEventListener('click', () => this.toggleFacet(facet, value.key));
+                group.appendChild(btn);
+            });
+
+            if (values.length > shown.length || expanded) {
+                const more = document.createElement('button');
+                more.className = 'focusable setting-btn mt-2';
+                more.textContent = expanded ? 'Show less' : `Show all ${values.length}`;
+                more.addEventListener('click', () => {
+                    if (expanded) {
+                        this.state.expandedFacets.delete(facet);
+                    } else {
+                        this.state.expandedFacets.add(facet);
+                    }
+                    this.renderFacets();
+                });
+                group.appendChild(more);
+            }
+
+            panel.appendChild(group);
+        });
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Select or unselect a facet value and save the selection
+     */
+    toggleFacet(facet, key) {
+        this.setFacetSelection(Facets.toggle(this.state.facetSelection, facet, key));
+    },
+
+    /**
+     * Apply and save Live TV facet filters
+     */
+    setFacetSelection(selection) {
+        this.state.facetSelection = selection;
+        this.state.livetvLimit = this.config.livetvPageSize;
+
+        const settings = Storage.getSettings();
+        settings.facetSelection = selection;
+        Storage.saveSettings(settings);
+
+        this.renderFacets();
+        if (this.state.currentSection === 'livetv') {
+            this.renderChannels('livetv');
+        }
+    },
+
+    /**
+     * Show a category in the Live TV section
+     */
+    selectGroup(group) {
+        this.state.currentGroup = group;
+        this.state.seriesView = null;
+        this.state.livetvLimit = this.config.livetvPageSize;
+
+        if (this.state.currentSection === 'livetv') {
+            this.renderCategories();
+            this.renderChannels('livetv');
+        } else {
+            this.switchSection('livetv');
+        }
+    },
+
+    /**
+     * Render channels in current section
+     */
+    renderChannels(section = 'home') {
+        const containerId = this.config.sectionContainers[section] || `${section}-channels`;
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.warn(`Container for section ${section} not found`);
+            return;
+        }
+
+        if (section === 'home') {
+            this.renderPinnedLists();
+        }
+
+        const channelsToShow = this.getSectionChannels(section);
+        if (section === 'livetv') {
+            this.updateLivetvHeader(channelsToShow.length);
+        }
+
+        // Large playlists are rendered a page at a time
+        const limit = section === 'home' ? this.config.homeChannelLimit
+            : section === 'livetv' ? this.state.livetvLimit
+            : channelsToShow.length;
+
+        container.innerHTML = '';
+        this.guideLines[section] = [];
+
+        if (channelsToShow.length === 0) {
+            container.innerHTML = '<p class="text-gray-400 text-center py-8">No channels available</p>';
+            return;
+        }
+
+        const isFavoriteChannel = Storage.createRefMatcher(Storage.getFavorites());
+        const reordering = section === 'lists' && this.state.listReorder;
+
+        channelsToShow.slice(0, limit).forEach((channel, index) => {
+            const channelEl = this.createChannelCard(channel, {
+                isFavorite: isFavoriteChannel(channel),
+                matchedTerms: section === 'search' ? this.state.searchMatches.get(channel) || [] : [],
+                zapList: channelsToShow,
+                // OK puts a moved channel down
+                onSelect: reordering ? () => this.setListReorder(false) : null
+            });
+            channelEl.dataset.index = index;
+
+            if (!channel.unavailable) {
+                this.guideLines[section].push({ element: channelEl.querySelector('.channel-guide'), channel });
+            }
+
+            container.appendChild(channelEl);
+        });
+
+        this.updateGuideLines(this.guideLines[section]);
+        LogoCache.apply(container);
+
+        if (section === 'livetv' && channelsToShow.length > limit) {
+            const moreBtn = document.createElement('button');
+            moreBtn.className = 'category-card focusable';
+            moreBtn.innerHTML = `<span>Show more</span><p class="text-tv-xs text-gray-400 mt-1">${channelsToShow.length - limit} remaining</p>`;
+            moreBtn.addEventListener('click', () => {
+                this.state.livetvLimit += this.config.livetvPageSize;
+                this.renderChannels('livetv');
+            });
+            container.appendChild(moreBtn);
+        }
+
+        // Re-initialize navigation after rendering
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Create a channel card
+     * options: isFavorite, matchedTerms of a search, zapList to step through in the player,
+     * onSelect(channel) replacing playback on click
+     */
+    createChannelCard(channel, options = {}) {
+        const isFavorite = options.isFavorite;
+        const playbackBadge = this.getPlaybackBadge(channel);
+        const infoBadge = this.getInfoBadge(channel);
+        const flag = channel.info && channel.info.countryFlag ? `${channel.info.countryFlag} ` : '';
+        const matchedTerms = options.matchedTerms || [];
+        const number = channel.tvgChno === null || channel.tvgChno === undefined ? null : channel.tvgChno;
+        const channelEl = document.createElement('div');
+        channelEl.className = 'channel-card focusable relative overflow-hidden rounded-lg cursor-pointer transition-all group' +
+            (channel.unavailable ? ' opacity-60' : '');
+        channelEl.title = this.describeChannelInfo(channel);
+        channelEl.innerHTML = `
+            <div class="aspect-square bg-gradient-to-br from-surface-light to-surface overflow-hidden relative">
+                ${channel.logo ? `<img src="${LogoCache.getUrl(channel.logo)}" data-logo="${channel.logo}" alt="${channel.name}" class="w-full h-full object-cover">` : `<div class="w-full h-full flex items-center justify-center text-gray-500"><span class="text-center px-2">${channel.name}</span></div>`}
+                ${playbackBadge ? `<span class="absolute top-2 left-2 px-2 py-1 rounded text-tv-xs ${playbackBadge.className}">${playbackBadge.label}</span>` : ''}
+                ${infoBadge ? `<span class="absolute top-2 right-2 px-2 py-1 rounded text-tv-xs ${infoBadge.className}">${infoBadge.label}</span>` : ''}
+                <div class="absolute inset-0 bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity flex items-center justify-center">
+                    <button class="play-btn bg-primary rounded-full p-4 transform scale-0 group-hover:scale-100 transition-transform">
+                        <svg class="w-8 h-8 text-white" fill="currentColor" viewBox="0 0 24 24">
+                            <path d="M8 5v14l11-7z"/>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+            <div class="p-3 bg-surface-light group-hover:bg-surface transition-colors">
+                <p class="text-tv-sm font-semibold truncate">${number !== null ? `<span class="text-gray-400 mr-1">${number}</span>` : ''}${channel.name}</p>
+                ${matchedTerms.length > 0 ? `<p class="text-tv-xs text-primary truncate">${matchedTerms.map(term => ChannelSearch.describeTerm(term)).join(' · ')}</p>` : ''}
+                <p class="channel-guide text-tv-xs text-gray-300 truncate"></p>
+                <div class="flex items-center justify-between mt-2">
+                    <p class="text-tv-xs text-gray-400 truncate">${flag}${channel.group || 'No Group'}</p>
+                    <div class="flex items-center gap-2 flex-shrink-0">
+                        <button class="list-btn text-gray-400 hover:text-primary transition-colors" data-action="list" title="Add to list">
+                            <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                                <path d="M14 10H3v2h11v-2zm0-4H3v2h11V6zm4 8v-4h-2v4h-4v2h4v4h2v-4h4v-2h-4zM3 16h7v-2H3v2z"/>
+                            </svg>
+                        </button>
+                        <button class="favorite-btn ${isFavorite ? 'text-primary' : 'text-gray-400'} hover:text-primary transition-colors" data-action="favorite">
+                            <svg class="w-5 h-5" fill="currentColor" viewBox="0 0 24 24">
+                                <path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Play button handler
+        const playBtn = channelEl.querySelector('.play-btn');
+        if (playBtn) {
+            playBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.playChannel(channel, { zapList: options.zapList });
+            });
+        }
+
+        // Favorite button handler
+        const favoriteBtn = channelEl.querySelector('.favorite-btn');
+        if (favoriteBtn) {
+            favoriteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleFavorite(channel, favoriteBtn);
+            });
+        }
+
+        // List button handler
+        channelEl.querySelector('.list-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showListPicker(channel);
+        });
+
+        // Main click to play
+        channelEl.addEventListener('click', (e) => {
+            if (options.onSelect) {
+                // onSelect may re-render the card, keep the focus it sets
+                e.stopPropagation();
+                options.onSelect(channel);
+            } else {
+                this.playChannel(channel, { zapList: options.zapList });
+            }
+        });
+
+        return channelEl;
+    },
+
+    /**
+     * Get channels shown in a section
+     */
+    getSectionChannels(section) {
+        if (section === 'favorites') {
+            return this.resolveChannelRefs(Storage.getFavorites());
+        }
+        if (section === 'recent') {
+            return this.resolveChannelRefs(Storage.getRecent());
+        }
+        if (section === 'lists') {
+            const list = ChannelLists.get(this.state.currentList);
+            return list ? this.resolveChannelRefs(list.channels) : [];
+        }
+        if (section === 'livetv' && this.state.seriesView) {
+            return this.state.seriesView.channels;
+        }
+        if (section === 'livetv') {
+            const channels = M3UParser.filterByGroup(this.state.channels, this.state.currentGroup);
+            return Facets.isEmpty(this.state.facetSelection)
+                ? channels
+                : Facets.compute(channels, this.state.facetSelection).channels;
+        }
+        if (section === 'search') {
+            return this.state.searchResults;
+        }
+        return this.state.channels;
+    },
+
+    /**
+     * Find loaded channels for stored favorites/recent entries
+     * Entries whose channel is not loaded stay visible as unavailable
+     */
+    resolveChannelRefs(refs) {
+        const lookup = this.getChannelLookup();
+        return refs.map(ref => (ref.key ? lookup.byKey.get(ref.key) : lookup.byUrl.get(ref.url)) ||
+            this.createUnavailableChannel(ref));
+    },
+
+    /**
+     * Get key and URL maps of loaded channels, rebuilt when the channel list changes
+     * The first channel in source priority order wins a key
+     */
+    getChannelLookup() {
+        if (!this.channelLookup || this.channelLookup.channels !== this.state.channels) {
+            const byKey = new Map();
+            const byUrl = new Map();
+            this.state.channels.forEach(channel => {
+                if (!byKey.has(channel.key)) {
+                    byKey.set(channel.key, channel);
+                }
+                if (!byUrl.has(channel.url)) {
+                    byUrl.set(channel.url, channel);
+                }
+            });
+            this.channelLookup = { channels: this.state.channels, byKey, byUrl };
+        }
+        return this.channelLookup;
+    },
+
+    /**
+     * Placeholder card for a stored entry missing from loaded playlists
+     */
+    createUnavailableChannel(ref) {
+        return Object.assign(M3UParser.createChannel(), ref, { unavailable: true });
+    },
+
+    /**
+     * Search channels and show results
+     */
+    searchChannels(query) {
+        this.state.searchQuery = query.trim();
+
+        const clauses = ChannelSearch.parse(this.state.searchQuery);
+        SearchIndex.update(this.state.channels);
+        const results = ChannelSearch.search(this.state.channels, clauses, this.getSearchContext());
+        this.state.searchResults = results.map(result => result.channel);
+        this.state.searchMatches = new Map(results.map(result => [result.channel, result.terms]));
+
+        const hasQuery = clauses.length > 0;
+        document.getElementById('search-results')?.classList.toggle('hidden', !hasQuery);
+        document.getElementById('search-empty')?.classList.toggle('hidden', hasQuery);
+
+        if (hasQuery) {
+            this.renderSearchTerms(clauses, results);
+            this.renderChannels('search');
+        }
+    },
+
+    /**
+     * Context for is:/has: search filters
+     */
+    getSearchContext() {
+        return {
+            isFavorite: Storage.createRefMatcher(Storage.getFavorites()),
+            isRecent: Storage.createRefMatcher(Storage.getRecent()),
+            // Before any guide is loaded, a tvg-id is the best hint
+            hasEpg: EPG.isReady() ? (channel) => EPG.hasGuide(channel) : (channel) => Boolean(channel.tvgId),
+            index: SearchIndex
+        };
+    },
+
+    /**
+     * Show query terms with the number of results each one matched
+     */
+    renderSearchTerms(clauses, results) {
+        const container = document.getElementById('search-terms');
+        if (!container) return;
+
+        const counts = new Map();
+        results.forEach(result => {
+            result.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        });
+
+        container.innerHTML = '';
+        clauses.forEach((clause, index) => {
+            if (index > 0) {
+                const or = document.createElement('span');
+                or.className = 'text-tv-xs text-gray-500 font-bold';
+                or.textContent = 'OR';
+                container.appendChild(or);
+            }
+
+            clause.forEach(term => {
+                const count = counts.get(term) || 0;
+                const chip = document.createElement('span');
+                chip.className = 'px-3 py-1 rounded-full text-tv-xs ' + (term.negate
+                    ? 'bg-red-900/60 text-red-300 line-through'
+                    : count > 0 ? 'bg-primary/30 text-white' : 'bg-gray-700 text-gray-400');
+                chip.textContent = term.negate
+                    ? ChannelSearch.describeTerm(term)
+                    : `${ChannelSearch.describeTerm(term)} · ${count}`;
+                chip.title = term.negate ? 'Excluded' : `Matched ${count} channels`;
+                container.appendChild(chip);
+            });
+        });
+
+        const total = document.getElementById('search-count');
+        if (total) {
+            total.textContent = `${results.length} channels`;
+        }
+    },
+
+    /**
+     * Update Live TV title and channel count
+     */
+    updateLivetvHeader(count) {
+        const title = document.getElementById('current-category-title');
+        if (title) {
+            title.textContent = this.state.seriesView ? this.state.seriesView.name
+                : this.state.currentGroup === 'all' ? 'All Channels'
+                : this.state.currentGroup;
+        }
+
+        const countEl = document.getElementById('channel-count');
+        if (countEl) {
+            const filtered = !this.state.seriesView && !Facets.isEmpty(this.state.facetSelection);
+            countEl.textContent = `${count} channels${filtered ? ' (filtered)' : ''}`;
+        }
+    },
+
+    /**
+     * Get badge for channels that cannot play directly in the browser
+     */
+    getPlaybackBadge(channel) {
+        if (channel.unavailable) {
+            return { label: 'Unavailable', className: 'bg-red-900 text-red-200' };
+        }
+
+        switch (channel.playback) {
+            case 'relay':
+                return { label: 'Relay', className: 'bg-yellow-600 text-white' };
+            case 'unsupported':
+                return { label: 'Unsupported', className: 'bg-gray-700 text-gray-300' };
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Describe channel database info for tooltips: names, country, language, categories, website
+     */
+    describeChannelInfo(channel) {
+        const info = channel.info;
+        if (!info) {
+            return channel.name;
+        }
+        return [
+            [channel.name].concat(info.altNames || []).join(' / '),
+            [info.countryFlag, info.countryName].filter(Boolean).join(' '),
+            info.languageName,
+            (info.categories || []).join(', '),
+            info.closed ? `Closed ${info.closed}` : '',
+            info.blocked ? `Blocked (${info.blocked})` : '',
+            info.website
+        ].filter(Boolean).join('\n');
+    },
+
+    /**
+     * Get badge for channels the channel database flags as closed, blocked or NSFW
+     */
+    getInfoBadge(channel) {
+        const info = channel.info;
+        if (!info) {
+            return null;
+        }
+        if (info.blocked) {
+            return { label: 'Blocked', className: 'bg-red-900 text-red-200' };
+        }
+        if (info.closed) {
+            return { label: 'Closed', className: 'bg-gray-700 text-gray-300' };
+        }
+        if (info.nsfw) {
+            return { label: '18+', className: 'bg-red-600 text-white' };
+        }
+        return null;
+    },
+
+    /**
+     * Play a channel
+     * options.archive plays a catch-up programme, see Player.play
+     * options.zapList: channels the player's prev/next steps through, all channels when missing
+     */
+    playChannel(channel, options = {}) {
+        if (channel.unavailable) {
+            this.showError(`${channel.name} is not in any loaded playlist`);
+            return;
+        }
+
+        // Series open their episode list instead of playing
+        if (channel.kind === 'series') {
+            this.openSeries(channel);
+            return;
+        }
+
+        // Locked channels play once the profile PIN was entered
+        if (!options.unlocked && Profiles.isLocked(channel)) {
+            const profile = Profiles.getActive();
+            this.requestPin(`PIN for ${channel.name}`, pin => Profiles.checkPin(profile, pin)).then(pin => {
+                if (pin !== null) {
+                    this.playChannel(channel, Object.assign({}, options, { unlocked: true }));
+                }
+            });
+            return;
+        }
+
+        console.log('Playing channel:', channel.name);
+        
+        this.state.currentChannel = channel;
+        this.state.zapList = options.zapList || null;
+        
+        // Add to recent
+        Storage.addRecent(channel);
+        
+        // Start playback in the player overlay
+        if (window.Player && typeof Player.play === 'function') {
+            Player.play(channel, options);
+        } else {
+            // Fallback: open URL
+            console.warn('Player module not loaded, opening URL directly');
+            window.open(channel.url, '_blank');
+        }
+    },
+
+    /**
+     * Play the previous (-1) or next (+1) channel of the list playback started from
+     */
+    zapChannel(delta) {
+        const current = this.state.currentChannel;
+        const channels = (this.state.zapList || this.state.channels)
+            .filter(channel => !channel.unavailable && channel.kind !== 'series');
+        if (!current || channels.length === 0) return;
+
+        const index = channels.findIndex(channel => channel === current || channel.key === current.key);
+        const next = index === -1
+            ? channels[delta > 0 ? 0 : channels.length - 1]
+            : channels[(index + delta + channels.length) % channels.length];
+        if (next !== channels[index]) {
+            this.playChannel(next, { zapList: this.state.zapList });
+        }
+    },
+
+    /**
+     * Toggle favorite status
+     */
+    toggleFavorite(channel, btnElement) {
+        const isFavorite = Storage.isFavorite(channel);
+        
+        if (isFavorite) {
+            Storage.removeFavorite(channel);
+            btnElement?.classList.remove('text-primary');
+            btnElement?.classList.add('text-gray-400');
+        } else {
+            Storage.addFavorite(channel);
+            btnElement?.classList.remove('text-gray-400');
+            btnElement?.classList.add('text-primary');
+        }
+        
+        // Re-render if in favorites section
+        if (this.state.currentSection === 'favorites') {
+            this.renderChannels('favorites');
+        }
+    },
+
+    /**
+     * Setup channel lists: the Lists section, the add-to-list dialog and moving channels with the remote
+     */
+    setupLists() {
+        // These move the focus, which the click must not take back
+        document.getElementById('list-new-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showListForm();
+        });
+        document.getElementById('list-rename-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const list = ChannelLists.get(this.state.currentList);
+            if (list) {
+                this.showListForm(list);
+            }
+        });
+        document.getElementById('list-delete-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteList();
+        });
+        document.getElementById('list-reorder-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setListReorder(!this.state.listReorder);
+        });
+        document.getElementById('list-pin-btn')?.addEventListener('click', () => this.togglePinList());
+
+        document.getElementById('list-name-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleListFormSubmit(e.target.elements);
+        });
+        document.getElementById('list-picker-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createListFromPicker(e.target.elements.name);
+        });
+        document.querySelector('#list-picker-modal [data-close]')?.addEventListener('click', (e) => {
+            // Keep the focus restored on close
+            e.stopPropagation();
+            this.closeListPicker();
+        });
+
+        if (window.Navigation && typeof Navigation.addDirectionHandler === 'function') {
+            Navigation.addDirectionHandler('#list-grid.reordering', (direction, element) => this.moveListChannel(direction, element));
+            Navigation.addDirectionHandler('#list-picker-modal', (direction, element) => this.moveModalFocus(direction, element));
+        }
+    },
+
+    /**
+     * Render the Lists section: a tab per list and the channels of the selected one
+     */
+    renderLists() {
+        const lists = ChannelLists.getAll();
+        if (!lists.some(list => list.id === this.state.currentList)) {
+            this.state.currentList = lists.length > 0 ? lists[0].id : null;
+        }
+        const current = lists.find(list => list.id === this.state.currentList);
+        const reordering = this.state.listReorder;
+
+        const tabs = document.getElementById('list-tabs');
+        if (tabs) {
+            tabs.innerHTML = '';
+            lists.forEach(list => {
+                const tab = document.createElement('button');
+                tab.className = `focusable setting-btn ${list === current ? 'active' : ''}`;
+                tab.dataset.list = list.id;
+                tab.textContent = `${list.name} (${list.channels.length})`;
+                tab.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.selectList(list.id);
+                });
+                tabs.appendChild(tab);
+            });
+        }
+
+        document.getElementById('no-lists')?.classList.toggle('hidden', Boolean(current));
+        document.getElementById('list-toolbar')?.classList.toggle('hidden', !current);
+        document.getElementById('list-reorder-hint')?.classList.toggle('hidden', !reordering);
+
+        const pinBtn = document.getElementById('list-pin-btn');
+        if (pinBtn) {
+            pinBtn.classList.toggle('active', Boolean(current && current.pinned));
+            pinBtn.textContent = current && current.pinned ? 'Pinned to Home' : 'Pin to Home';
+        }
+        const reorderBtn = document.getElementById('list-reorder-btn');
+        if (reorderBtn) {
+            reorderBtn.classList.toggle('active', reordering);
+            reorderBtn.textContent = reordering ? 'Done' : 'Reorder';
+        }
+
+        const grid = document.getElementById('list-grid');
+        if (grid) {
+            grid.classList.toggle('hidden', !current);
+            grid.classList.toggle('reordering', reordering);
+        }
+        this.renderChannels('lists');
+    },
+
+    /**
+     * Open a list in the Lists section
+     */
+    selectList(id) {
+        this.state.currentList = id;
+        this.setListReorder(false);
+
+        const tab = document.querySelector(`#list-tabs [data-list="${id}"]`);
+        if (tab && window.Navigation) {
+            Navigation.setFocus(tab);
+        }
+    },
+
+    /**
+     * Start or stop moving channels of the open list
+     * While moving, arrow keys move the focused channel instead of the focus
+     */
+    setListReorder(reorder) {
+        const card = window.Navigation && Navigation.focusedElement &&
+            Navigation.focusedElement.closest('#list-grid .channel-card');
+
+        this.state.listReorder = reorder;
+        this.renderLists();
+
+        if (this.state.currentSection === 'lists' && (reorder || card)) {
+            this.focusListCard(card ? Number(card.dataset.index) : 0);
+        }
+    },
+
+    /**
+     * Move the focused channel of the open list, see Navigation.addDirectionHandler
+     */
+    moveListChannel(direction, element) {
+        const card = element.closest('.channel-card');
+        if (!card) return false;
+
+        // Up/down move by a row of the grid
+        const cards = [...document.querySelectorAll('#list-grid .channel-card')];
+        const top = cards[0].getBoundingClientRect().top;
+        const columns = cards.filter(c => c.getBoundingClientRect().top === top).length;
+        const delta = { left: -1, right: 1, up: -columns, down: columns }[direction];
+
+        const index = ChannelLists.moveChannel(this.state.currentList, Number(card.dataset.index), delta);
+        this.renderChannels('lists');
+        this.renderPinnedLists();
+        this.focusListCard(index);
+        return true;
+    },
+
+    focusListCard(index) {
+        const card = document.querySelectorAll('#list-grid .channel-card')[index];
+        if (card && window.Navigation) {
+            Navigation.setFocus(card);
+        }
+    },
+
+    /**
+     * Show the form creating a list, or renaming one
+     */
+    showListForm(list = null) {
+        const modal = document.getElementById('list-name-modal');
+        const form = document.getElementById('list-name-form');
+        if (!modal || !form) return;
+
+        form.reset();
+        form.elements.id.value = list ? list.id : '';
+        form.elements.name.value = list ? list.name : '';
+        document.getElementById('list-name-title').textContent = list ? `Rename ${list.name}` : 'New List';
+        modal.classList.remove('hidden');
+
+        if (window.Navigation) {
+            Navigation.setFocus(form.elements.name);
+        }
+        form.elements.name.focus();
+    },
+
+    /**
+     * Create or rename a list from the list form
+     */
+    handleListFormSubmit(fields) {
+        const name = fields.name.value.trim();
+        if (!name) {
+            this.showError('Enter a list name');
+            return;
+        }
+
+        let id = fields.id.value;
+        if (id) {
+            if (!ChannelLists.rename(id, name)) {
+                this.showError(`A list named ${name} already exists`);
+                return;
+            }
+        } else {
+            const list = ChannelLists.create(name);
+            if (!list) {
+                this.showError(`A list named ${name} already exists`);
+                return;
+            }
+            id = list.id;
+        }
+
+        document.getElementById('list-name-modal')?.classList.add('hidden');
+        this.renderPinnedLists();
+        this.selectList(id);
+    },
+
+    /**
+     * Show or hide the open list on the home screen
+     */
+    togglePinList() {
+        const list = ChannelLists.get(this.state.currentList);
+        if (!list) return;
+
+        ChannelLists.setPinned(list.id, !list.pinned);
+        this.renderLists();
+        this.renderPinnedLists();
+        this.showToast(list.pinned ? `${list.name} removed from Home` : `${list.name} pinned to Home`);
+    },
+
+    /**
+     * Delete the open list
+     */
+    deleteList() {
+        const list = ChannelLists.get(this.state.currentList);
+        if (!list || !confirm(`Delete the list ${list.name}?`)) return;
+
+        ChannelLists.remove(list.id);
+        this.state.currentList = null;
+        this.setListReorder(false);
+        this.renderPinnedLists();
+
+        if (window.Navigation) {
+            Navigation.setFocus(document.getElementById('list-new-btn'));
+        }
+    },
+
+    /**
+     * Show the lists a channel is in, to add it to or remove it from lists
+     */
+    showListPicker(channel) {
+        const modal = document.getElementById('list-picker-modal');
+        if (!modal) return;
+
+        this.state.listPickerChannel = channel;
+        this.listPickerReturnFocus = window.Navigation ? Navigation.focusedElement : null;
+        document.getElementById('list-picker-channel').textContent = channel.name;
+        document.getElementById('list-picker-form')?.reset();
+        this.renderListPicker();
+        modal.classList.remove('hidden');
+
+        if (window.Navigation) {
+            Navigation.setFocus(modal.querySelector('.focusable'));
+        }
+    },
+
+    /**
+     * Render the lists of the add-to-list dialog
+     */
+    renderListPicker() {
+        const options = document.getElementById('list-picker-options');
+        const channel = this.state.listPickerChannel;
+        if (!options || !channel) return;
+
+        options.innerHTML = '';
+        const lists = ChannelLists.getAll();
+        if (lists.length === 0) {
+            options.innerHTML = '<p class="text-gray-400 text-center py-4">No lists yet, create one below</p>';
+            return;
+        }
+
+        lists.forEach(list => {
+            const inList = ChannelLists.has(list, channel);
+            const option = document.createElement('button');
+            option.className = `focusable setting-btn w-full flex items-center justify-between gap-4 ${inList ? 'active' : ''}`;
+            option.dataset.list = list.id;
+            option.innerHTML = '<span class="truncate"></span><span class="text-tv-xs flex-shrink-0"></span>';
+            option.children[0].textContent = list.name;
+            option.children[1].textContent = inList ? '✓ In list' : 'Add';
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleListChannel(list.id);
+            });
+            options.appendChild(option);
+        });
+    },
+
+    /**
+     * Add the channel of the add-to-list dialog to a list, or remove it
+     */
+    toggleListChannel(id) {
+        ChannelLists.toggleChannel(id, this.state.listPickerChannel);
+        this.renderListPicker();
+        this.refreshLists();
+
+        const option = document.querySelector(`#list-picker-options [data-list="${id}"]`);
+        if (option && window.Navigation) {
+            Navigation.setFocus(option);
+        }
+    },
+
+    /**
+     * Create a list from the add-to-list dialog with its channel in it
+     */
+    createListFromPicker(input) {
+        const name = input.value.trim();
+        if (!name) {
+            this.showError('Enter a list name');
+            return;
+        }
+
+        const list = ChannelLists.create(name);
+        if (!list) {
+            this.showError(`A list named ${name} already exists`);
+            return;
+        }
+        input.value = '';
+        this.toggleListChannel(list.id);
+    },
+
+    /**
+     * Close the add-to-list dialog, focusing the channel it was opened for
+     */
+    closeListPicker() {
+        document.getElementById('list-picker-modal')?.classList.add('hidden');
+        this.state.listPickerChannel = null;
+
+        const returnFocus = this.listPickerReturnFocus;
+        this.listPickerReturnFocus = null;
+        if (!window.Navigation) return;
+        if (returnFocus && document.contains(returnFocus)) {
+            Navigation.setFocus(returnFocus);
+        } else {
+            Navigation.focusFirst();
+        }
+    },
+
+    /**
+     * Move the focus through the dialog of element, one element at a time
+     */
+    moveModalFocus(direction, element) {
+        const modal = element.closest('[id$="-modal"]');
+        const focusables = [...modal.querySelectorAll('.focusable')];
+        const step = direction === 'up' || direction === 'left' ? -1 : 1;
+        const next = focusables[focusables.indexOf(element) + step];
+        if (next) {
+            Navigation.setFocus(next);
+            if (next.tagName === 'INPUT') {
+                next.focus();
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Re-render list views after a list changed
+     */
+    refreshLists() {
+        this.renderPinnedLists();
+        if (this.state.currentSection === 'lists') {
+            this.renderLists();
+        }
+    },
+
+    /**
+     * Render lists pinned to the home screen, a row of channels each
+     * Playing from a row steps through that list in the player
+     */
+    renderPinnedLists() {
+        const container = document.getElementById('pinned-lists');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.guideLines.pinned = [];
+        const isFavoriteChannel = Storage.createRefMatcher(Storage.getFavorites());
+
+        ChannelLists.getPinned().forEach(list => {
+            const channels = this.resolveChannelRefs(list.channels);
+            const row = document.createElement('div');
+            row.className = 'mb-8';
+            row.innerHTML = `
+                <h2 class="text-tv-lg font-bold mb-4 text-gray-200"></h2>
+                <div class="grid grid-cols-6 gap-4"></div>
+            `;
+            row.children[0].textContent = list.name;
+
+            const grid = row.children[1];
+            if (channels.length === 0) {
+                grid.innerHTML = '<p class="col-span-6 text-gray-400 py-4">No channels in this list yet</p>';
+            }
+            channels.slice(0, this.config.homeChannelLimit).forEach(channel => {
+                const card = this.createChannelCard(channel, {
+                    isFavorite: isFavoriteChannel(channel),
+                    zapList: channels
+                });
+                if (!channel.unavailable) {
+                    this.guideLines.pinned.push({ element: card.querySelector('.channel-guide'), channel });
+                }
+                grid.appendChild(card);
+            });
+
+            container.appendChild(row);
+        });
+
+        this.updateGuideLines(this.guideLines.pinned);
+        LogoCache.apply(container);
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Setup the channel editor section and its edit dialog
+     */
+    setupChannelEditor() {
+        const search = document.getElementById('editor-search');
+        if (search) {
+            search.addEventListener('input', () => {
+                this.state.editorQuery = search.value.trim();
+                this.state.editorLimit = this.config.editorPageSize;
+                this.renderEditorChannels();
+            });
+        }
+
+        document.getElementById('channel-edit-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveChannelEdit(e.target.elements);
+        });
+        document.getElementById('channel-edit-hidden')?.addEventListener('click', (e) => {
+            e.currentTarget.classList.toggle('active');
+        });
+        document.getElementById('channel-edit-reset')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const key = document.getElementById('channel-edit-form').elements.key.value;
+            ChannelEdits.resetChannel(key);
+            this.applyChannelEdits();
+            this.closeChannelEdit(key);
+        });
+        document.querySelector('#channel-edit-modal [data-close]')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeChannelEdit(document.getElementById('channel-edit-form').elements.key.value);
+        });
+
+        if (window.Navigation && typeof Navigation.addDirectionHandler === 'function') {
+            Navigation.addDirectionHandler('#channel-edit-modal', (direction, element) => this.moveModalFocus(direction, element));
+        }
+    },
+
+    /**
+     * Get loaded channels for the editor, once per key: [{ channel, edited, hidden }]
+     * channel is the playlist's, edited the one shown everywhere else
+     */
+    getEditorChannels() {
+        const index = ChannelEdits.getIndex();
+        const seen = new Set();
+        const entries = [];
+
+        Sources.allChannels.forEach(channel => {
+            if (seen.has(channel.key)) return;
+            seen.add(channel.key);
+
+            const edited = ChannelEdits.edit(channel, index);
+            entries.push({ channel, edited, hidden: ChannelEdits.isHidden(edited, index) });
+        });
+        return entries;
+    },
+
+    /**
+     * Render the channel editor: groups with their hide toggles and the channels of the selected group
+     */
+    renderEditor() {
+        this.renderEditorGroups();
+        this.renderEditorChannels();
+    },
+
+    renderEditorGroups() {
+        const list = document.getElementById('editor-groups');
+        if (!list) return;
+
+        const entries = this.getEditorChannels();
+        const groups = M3UParser.getGroups(entries.map(entry => entry.edited));
+        if (this.state.editorGroup !== 'all' && !groups.some(group => group.name === this.state.editorGroup)) {
+            this.state.editorGroup = 'all';
+        }
+
+        list.innerHTML = '';
+        [{ name: 'all', label: 'All Channels', count: entries.length }]
+            .concat(groups.map(group => ({ name: group.name, label: group.name, count: group.count })))
+            .forEach(group => {
+                const hidden = group.name !== 'all' && ChannelEdits.isGroupHidden(group.name);
+                const row = document.createElement('div');
+                row.className = 'flex gap-2';
+                row.innerHTML = `
+                    <button class="category-btn focusable flex-1 min-w-0 ${group.name === this.state.editorGroup ? 'active' : ''} ${hidden ? 'opacity-50' : ''}">
+                        <span class="truncate"></span>
+                        <span class="channel-count">${group.count}</span>
+                    </button>
+                `;
+                row.children[0].children[0].textContent = group.label;
+                row.children[0].addEventListener('click', () => {
+                    this.state.editorGroup = group.name;
+                    this.state.editorLimit = this.config.editorPageSize;
+                    this.renderEditor();
+                });
+
+                if (group.name !== 'all') {
+                    const toggle = document.createElement('button');
+                    toggle.className = `focusable setting-btn ${hidden ? 'active' : ''}`;
+                    toggle.dataset.group = group.name;
+                    toggle.textContent = hidden ? 'Hidden' : 'Hide';
+                    toggle.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.toggleGroupHidden(group.name);
+                    });
+                    row.appendChild(toggle);
+                }
+
+                list.appendChild(row);
+            });
+    },
+
+    renderEditorChannels() {
+        const list = document.getElementById('editor-channels');
+        if (!list) return;
+
+        const query = this.state.editorQuery.toLowerCase();
+        const entries = this.getEditorChannels().filter(entry =>
+            (this.state.editorGroup === 'all' || (entry.edited.group || 'Uncategorized') === this.state.editorGroup) &&
+            (!query || entry.edited.name.toLowerCase().includes(query) || entry.channel.name.toLowerCase().includes(query)));
+
+        const summary = document.getElementById('editor-summary');
+        if (summary) {
+            const edited = entries.filter(entry => entry.edited !== entry.channel).length;
+            const hidden = entries.filter(entry => entry.hidden).length;
+            summary.textContent = `${entries.length} channels · ${edited} edited · ${hidden} hidden`;
+        }
+
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="text-gray-400 text-center py-8">No channels found</p>';
+        }
+
+        entries.slice(0, this.state.editorLimit).forEach(entry => {
+            const { channel, edited } = entry;
+            const row = document.createElement('button');
+            row.className = 'focusable w-full flex items-center gap-4 p-3 rounded-lg bg-surface-light text-left' +
+                (entry.hidden ? ' opacity-50' : '');
+            row.dataset.key = channel.key;
+            row.innerHTML = `
+                <span class="w-12 flex-shrink-0 text-tv-sm text-gray-400 text-right"></span>
+                ${edited.logo ? `<img src="${LogoCache.getUrl(edited.logo)}" alt="" class="w-10 h-10 flex-shrink-0 object-contain">` : '<span class="w-10 h-10 flex-shrink-0"></span>'}
+                <span class="flex-1 min-w-0">
+                    <span class="block text-tv-sm font-semibold truncate"></span>
+                    <span class="block text-tv-xs text-gray-400 truncate"></span>
+                </span>
+                <span class="text-tv-xs flex-shrink-0 ${entry.hidden ? 'text-gray-400' : 'text-primary'}"></span>
+            `;
+            const [number, , text, badge] = row.children;
+            number.textContent = edited.tvgChno === null || edited.tvgChno === undefined ? '' : edited.tvgChno;
+            text.children[0].textContent = edited.name;
+            text.children[1].textContent = [
+                edited.name !== channel.name ? channel.name : '',
+                edited.group || 'No Group',
+                channel.sourceName
+            ].filter(Boolean).join(' · ');
+            badge.textContent = entry.hidden ? 'Hidden' : edited !== channel ? 'Edited' : '';
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showChannelEdit(entry);
+            });
+            list.appendChild(row);
+        });
+
+        if (entries.length > this.state.editorLimit) {
+            const moreBtn = document.createElement('button');
+            moreBtn.className = 'focusable setting-btn w-full';
+            moreBtn.textContent = `Show more (${entries.length - this.state.editorLimit} remaining)`;
+            moreBtn.addEventListener('click', () => {
+                this.state.editorLimit += this.config.editorPageSize;
+                this.renderEditorChannels();
+            });
+            list.appendChild(moreBtn);
+        }
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Show the edit dialog of a channel, fields left empty keep the playlist's values
+     */
+    showChannelEdit(entry) {
+        const modal = document.getElementById('channel-edit-modal');
+        const form = document.getElementById('channel-edit-form');
+        if (!modal || !form) return;
+
+        const { channel } = entry;
+        const edit = ChannelEdits.getChannel(channel.key) || {};
+        const fields = form.elements;
+        form.reset();
+        fields.key.value = channel.key;
+        fields.name.value = edit.name || '';
+        fields.name.placeholder = channel.name;
+        fields.number.value = edit.number === undefined ? '' : edit.number;
+        fields.number.placeholder = channel.tvgChno === null || channel.tvgChno === undefined ? 'Number' : channel.tvgChno;
+        fields.group.value = edit.group || '';
+        fields.group.placeholder = channel.group || 'Group';
+        fields.logo.value = edit.logo || '';
+        fields.logo.placeholder = channel.logo || 'Logo URL';
+        document.getElementById('channel-edit-hidden')?.classList.toggle('active', Boolean(edit.hidden));
+
+        document.getElementById('channel-edit-title').textContent = `Edit ${entry.edited.name}`;
+        document.getElementById('channel-edit-original').textContent = [
+            channel.name,
+            channel.tvgChno === null || channel.tvgChno === undefined ? '' : `tvg-chno ${channel.tvgChno}`,
+            channel.group
+        ].filter(Boolean).join(' · ');
+
+        const groups = document.getElementById('channel-edit-groups');
+        if (groups) {
+            groups.innerHTML = '';
+            M3UParser.getGroups(this.getEditorChannels().map(e => e.edited)).forEach(group => {
+                const option = document.createElement('option');
+                option.value = group.name;
+                groups.appendChild(option);
+            });
+        }
+
+        modal.classList.remove('hidden');
+        if (window.Navigation) {
+            Navigation.setFocus(fields.name);
+        }
+        fields.name.focus();
+    },
+
+    /**
+     * Save the edit dialog and apply it to the loaded channels
+     * Edits of locked channels, or moving a channel into a locked group, need the profile PIN
+     */
+    async saveChannelEdit(fields) {
+        const key = fields.key.value;
+        const entry = this.getEditorChannels().find(e => e.channel.key === key);
+        const locked = (entry && (Profiles.isLocked(entry.channel) || Profiles.isLocked(entry.edited))) ||
+            Profiles.isGroupLocked(fields.group.value.trim());
+        if (locked && !(await this.unlockProfile())) return;
+
+        ChannelEdits.setChannel(key, {
+            name: fields.name.value,
+            number: fields.number.value,
+            group: fields.group.value,
+            logo: fields.logo.value,
+            hidden: document.getElementById('channel-edit-hidden')?.classList.contains('active')
+        });
+        this.applyChannelEdits();
+        this.closeChannelEdit(key);
+    },
+
+    /**
+     * Close the edit dialog, focusing the channel's row
+     */
+    closeChannelEdit(key) {
+        document.getElementById('channel-edit-modal')?.classList.add('hidden');
+
+        const row = [...document.querySelectorAll('#editor-channels [data-key]')].find(el => el.dataset.key === key);
+        if (row && window.Navigation) {
+            Navigation.setFocus(row);
+        }
+    },
+
+    /**
+     * Hide or show a whole group, locked groups need the profile PIN
+     */
+    async toggleGroupHidden(group) {
+        if (Profiles.isGroupLocked(group) && !(await this.unlockProfile())) return;
+
+        ChannelEdits.setGroupHidden(group, !ChannelEdits.isGroupHidden(group));
+        this.applyChannelEdits();
+
+        const toggle = [...document.querySelectorAll('#editor-groups [data-group]')].find(el => el.dataset.group === group);
+        if (toggle && window.Navigation) {
+            Navigation.setFocus(toggle);
+        }
+    },
+
+    /**
+     * Merge loaded playlists again with the current edits and show the result everywhere
+     */
+    applyChannelEdits() {
+        this.applySources(Sources.merge());
+        if (this.state.currentSection === 'editor') {
+            this.renderEditor();
+        }
+    },
+
+    /**
+     * Switch to a section
+     */
+    switchSection(section) {
+        // Hide all sections
+        document.querySelectorAll('[id$="-section"]').forEach(el => {
+            el.classList.add('hidden');
+            el.classList.remove('active');
+        });
+        
+        // Show selected section
+        const sectionEl = document.getElementById(`${section}-section`);
+        if (sectionEl) {
+            sectionEl.classList.remove('hidden');
+            sectionEl.classList.add('active');
+        }
+        
+        // Update nav buttons
+        document.querySelectorAll('.nav-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.section === section) {
+                btn.classList.add('active');
+            }
+        });
+        
+        this.state.currentSection = section;
+
+        // Render channel sections on entry
+        if (section === 'lists') {
+            this.setListReorder(false);
+        }
+        if (['livetv', 'favorites', 'recent'].includes(section)) {
+            if (section === 'livetv') {
+                this.renderCategories();
+            }
+            this.renderChannels(section);
+        }
+        if (section === 'guide') {
+            Guide.open();
+        }
+        if (section === 'editor') {
+            this.state.editorLimit = this.config.editorPageSize;
+            this.renderEditor();
+        }
+        
+        // Re-initialize navigation
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+            Navigation.focusFirst();
+        }
+    },
+
+    /**
+     * Handle playlist file upload
+     */
+    async handlePlaylistUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const encoding = document.getElementById('playlist-encoding-select')?.value || 'auto';
+            const content = await PlaylistFormats.readFile(file, { encoding: encoding });
+            const format = PlaylistFormats.detect(content, file.name);
+
+            // M3U is parsed by the linter to report problems by line
+            const result = format === 'm3u'
+                ? PlaylistLint.parse(content)
+                : PlaylistFormats.parse(content, { format: format });
+            const lint = PlaylistLint.lint(result);
+
+            if (result.channels.length === 0) {
+                this.showError('No channels found in file');
+                this.showImportReport(result.report, lint);
+                return;
+            }
+
+            // Let the user review problems and apply fixes before the channels are used
+            if (PlaylistLint.hasProblems(lint)) {
+                this.state.pendingImport = { name: file.name, result: result };
+                this.showImportReport(result.report, lint);
+                return;
+            }
+
+            this.commitImport(file.name, result);
+        } catch (error) {
+            console.error('Error reading playlist file:', error);
+            this.showError(`Failed to read playlist file: ${error.message}`);
+        } finally {
+            // Allow uploading the same file again
+            event.target.value = '';
+        }
+    },
+
+    /**
+     * Add an uploaded playlist as a file source
+     */
+    commitImport(name, result) {
+        this.state.pendingImport = null;
+        Sources.addFileSource(name, result);
+        this.applySources(Sources.channels);
+        this.showMessage(this.formatImportMessage(result.report));
+    },
+
+    /**
+     * Apply a lint fix to the pending import and show the updated report
+     */
+    applyImportFix(fixId) {
+        const pending = this.state.pendingImport;
+        if (!pending) return;
+
+        pending.result = PlaylistLint.applyFix(pending.result, fixId);
+        this.showImportReport(pending.result.report, PlaylistLint.lint(pending.result));
+    },
+
+    /**
+     * Show add/edit form for a playlist source
+     */
+    showSourceForm(type, source = null) {
+        const modal = document.getElementById('source-modal');
+        const form = document.getElementById('source-form');
+        if (!modal || !form) return;
+
+        form.reset();
+        const fields = form.elements;
+        fields.id.value = source ? source.id : '';
+        fields.type.value = type;
+
+        document.getElementById('source-form-title').textContent = source
+            ? `Edit ${source.name}`
+            : `Add ${Sources.TYPES[type]}`;
+
+        // Only show fields of this source type
+        form.querySelectorAll('[data-source-fields]').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.sourceFields !== type);
+        });
+
+        if (source) {
+            fields.name.value = source.name || '';
+            fields.url.value = source.url || '';
+            fields.server.value = source.server || '';
+            fields.username.value = source.username || '';
+            fields.password.value = source.password || '';
+            fields.output.value = source.output || 'm3u8';
+            ['live', 'vod', 'series'].forEach(kind => {
+                fields[kind].checked = !source.include || source.include[kind] !== false;
+            });
+        }
+
+        modal.classList.remove('hidden');
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Save a playlist source from the source form and load it
+     */
+    async handleSourceSubmit(fields) {
+        const type = fields.type.value;
+        const data = { name: fields.name.value.trim() };
+
+        if (type === 'm3u') {
+            data.url = fields.url.value.trim();
+            if (!data.url) {
+                this.showError('Enter a playlist URL');
+                return;
+            }
+            data.name = data.name || data.url.replace(/^https?:\/\//, '').split(/[/?]/)[0];
+        } else if (type === 'xtream') {
+            Object.assign(data, {
+                server: XtreamClient.normalizeServer(fields.server.value),
+                username: fields.username.value.trim(),
+                password: fields.password.value,
+                output: fields.output.value,
+                include: {
+                    live: fields.live.checked,
+                    vod: fields.vod.checked,
+                    series: fields.series.checked
+                }
+            });
+            if (!data.server || !data.username) {
+                this.showError('Enter server and username');
+                return;
+            }
+            data.name = data.name || data.server.replace(/^https?:\/\//, '');
+        }
+
+        const source = fields.id.value
+            ? Sources.updateSource(fields.id.value, data)
+            : Sources.addSource(Object.assign({ type: type }, data));
+
+        document.getElementById('source-modal')?.classList.add('hidden');
+        this.renderSources();
+
+        // Renaming a file source does not need a reload
+        if (type === 'file') {
+            Sources.tagChannels(source, Sources.results[source.id]?.channels || []);
+            this.applySources(Sources.merge());
+            return;
+        }
+
+        await this.refreshSource(source.id);
+    },
+
+    /**
+     * Reload one source bypassing its cache
+     */
+    async refreshSource(id) {
+        const source = Sources.getSource(id);
+        if (!source) return;
+
+        this.updateSourceStatus(id, 'Loading...');
+
+        try {
+            const result = await Sources.loadSource(source, { force: true });
+            this.applySources(Sources.merge());
+            if (result.report) {
+                this.showMessage(`${source.name}: ${this.formatImportMessage(result.report)}`);
+            }
+        } catch (error) {
+            console.error('Error loading source:', error);
+            this.renderSources();
+            this.showError(`${source.name}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Reload all enabled sources bypassing their caches
+     */
+    async refreshSources() {
+        for (const source of Sources.getSources().filter(s => s.enabled)) {
+            await this.refreshSource(source.id);
+        }
+    },
+
+    /**
+     * Use merged channels of all sources
+     */
+    applySources(channels) {
+        this.state.channels = channels;
+        this.syncedSources = this.getSourcesSignature();
+        SearchIndex.update(channels);
+        Storage.migrateChannelRefs(channels);
+        this.renderSources();
+        if (this.state.searchQuery) {
+            this.searchChannels(this.state.searchQuery);
+        }
+        this.renderCategories();
+        this.renderChannels(this.state.currentSection === 'livetv' ? 'livetv' : 'home');
+        this.updateGuide();
+    },
+
+    /**
+     * Render playlist sources manager in Settings
+     */
+    renderSources() {
+        const list = document.getElementById('sources-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const sources = Sources.getSources();
+
+        if (sources.length === 0) {
+            list.innerHTML = '<p class="text-gray-400 text-center py-4">No playlist sources</p>';
+        }
+
+        sources.forEach((source, index) => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-3 bg-surface rounded-lg px-4 py-3';
+            row.dataset.sourceId = source.id;
+            row.innerHTML = `
+                <button class="focusable toggle-btn flex-shrink-0 ${source.enabled ? 'active' : ''}" data-action="toggle">
+                    <span class="toggle-slider"></span>
+                </button>
+                <div class="flex-1 min-w-0">
+                    <p class="text-tv-sm font-semibold truncate"><span class="source-name"></span> <span class="source-type text-tv-xs text-gray-400 font-normal"></span></p>
+                    <p class="source-status text-tv-xs truncate ${source.lastError ? 'text-red-400' : 'text-gray-400'}"></p>
+                </div>
+                <button class="focusable setting-btn" data-action="up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="focusable setting-btn" data-action="down" ${index === sources.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="focusable setting-btn" data-action="refresh">Refresh</button>
+                <button class="focusable setting-btn" data-action="edit">Edit</button>
+                <button class="focusable setting-btn" data-action="report">Report</button>
+                <button class="focusable setting-btn" data-action="remove">Remove</button>
+            `;
+            // Names come from the user or the playlist URL and errors from the server, so they are set as text
+            row.querySelector('.source-name').textContent = source.name;
+            row.querySelector('.source-type').textContent = Sources.TYPES[source.type] || source.type;
+            row.querySelector('.source-status').textContent = this.formatSourceStatus(source);
+
+            row.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.handleSourceAction(source, btn.dataset.action);
+                });
+            });
+
+            list.appendChild(row);
+        });
+
+        // Loads change route stats as well
+        this.renderProxyStats();
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Handle a button in a source row
+     */
+    async handleSourceAction(source, action) {
+        switch (action) {
+            case 'toggle':
+                this.applySources(await Sources.setEnabled(source.id, !source.enabled));
+                break;
+            case 'up':
+                this.applySources(Sources.moveSource(source.id, -1));
+                break;
+            case 'down':
+                this.applySources(Sources.moveSource(source.id, 1));
+                break;
+            case 'refresh':
+                if (source.type === 'file') {
+                    this.showMessage('Upload the file again to update it');
+                } else {
+                    await this.refreshSource(source.id);
+                }
+                break;
+            case 'edit':
+                this.showSourceForm(source.type, source);
+                break;
+            case 'report': {
+                const result = Sources.results[source.id];
+                this.showImportReport(result?.report, result && PlaylistLint.lint(result));
+                break;
+            }
+            case 'remove':
+                if (confirm(`Remove ${source.name}?`)) {
+                    this.applySources(Sources.removeSource(source.id));
+                }
+                break;
+        }
+    },
+
+    /**
+     * Format last-updated/error status of a source
+     */
+    formatSourceStatus(source) {
+        if (!source.enabled) {
+            return 'Disabled';
+        }
+        if (source.lastError) {
+            return `Error: ${source.lastError}`;
+        }
+        if (!source.lastUpdated) {
+            return 'Not loaded yet';
+        }
+        const route = source.lastRoute ? ` via ${source.lastRoute}` : '';
+        return `${source.channelCount} channels · updated ${new Date(source.lastUpdated).toLocaleString()}${route}`;
+    },
+
+    /**
+     * Show temporary status text on a source row
+     */
+    updateSourceStatus(id, text) {
+        const status = document.querySelector(`[data-source-id="${id}"] .source-status`);
+        if (status) {
+            status.textContent = text;
+        }
+    },
+
+    /**
+     * Format import summary message
+     */
+    formatImportMessage(report) {
+        let message = `Loaded ${report.imported} channels`;
+        if (report.skipped.length > 0) {
+            message += ` (${report.skipped.length} skipped)`;
+        }
+        return message;
+    },
+
+    /**
+     * Show import report modal with playlist problems
+     * While an upload is pending, fixes and the import button are offered too
+     */
+    showImportReport(report, lint) {
+        const modal = document.getElementById('import-report-modal');
+        if (!modal) return;
+
+        if (!report) {
+            this.showMessage('No import report available');
+            return;
+        }
+
+        const summary = document.getElementById('import-report-summary');
+        if (summary) {
+            const { browser, relay, unsupported } = report.playback;
+            summary.textContent = `${report.entries} entries: ${report.imported} imported, ${report.skipped.length} skipped. ` +
+                `${browser} play in browser, ${relay} need a relay, ${unsupported} unsupported.`;
+        }
+
+        const list = document.getElementById('import-report-list');
+        if (list) {
+            this.renderLintIssues(list, lint.issues);
+        }
+
+        const pending = this.state.pendingImport;
+
+        const fixes = document.getElementById('import-report-fixes');
+        if (fixes) {
+            fixes.innerHTML = '';
+            (pending ? lint.fixes : []).forEach(fix => {
+                const btn = document.createElement('button');
+                btn.className = 'focusable setting-btn';
+                btn.textContent = `${fix.label} (${fix.count})`;
+                btn.addEventListener('click', () => this.applyImportFix(fix.id));
+                fixes.appendChild(btn);
+            });
+        }
+
+        const commitBtn = document.getElementById('import-report-commit');
+        if (commitBtn) {
+            commitBtn.classList.toggle('hidden', !pending);
+            if (pending) {
+                commitBtn.textContent = `Import ${pending.result.channels.length} channels`;
+            }
+        }
+
+        modal.classList.remove('hidden');
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Export the channels of a section (favorites, lists, livetv, search or all)
+     */
+    exportSection(section) {
+        let name = 'channels';
+        if (section === 'favorites') {
+            name = 'favorites';
+        } else if (section === 'lists') {
+            name = ChannelLists.get(this.state.currentList)?.name || 'list';
+        } else if (section === 'livetv') {
+            name = this.state.seriesView ? this.state.seriesView.name
+                : this.state.currentGroup === 'all' ? 'all-channels'
+                : this.state.currentGroup;
+        } else if (section === 'search') {
+            name = `search-${this.state.searchQuery}`;
+        } else if (section === 'all') {
+            name = 'all-channels';
+        }
+
+        this.exportChannels(this.getSectionChannels(section), name);
+    },
+
+    /**
+     * Serialize channels to M3U and open the export dialog
+     */
+    exportChannels(channels, name) {
+        if (channels.length === 0) {
+            this.showError('No channels to export');
+            return;
+        }
+
+        // Unavailable favorites only have a last known URL
+        channels = channels.filter(channel => !channel.unavailable);
+        if (channels.length === 0) {
+            this.showError('No available channels to export');
+            return;
+        }
+
+        const content = M3UParser.serialize(channels, { header: Sources.getHeader(channels) });
+        const fileName = name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'channels';
+        this.state.pendingExport = { name: fileName, content: content };
+
+        const summary = document.getElementById('export-summary');
+        if (summary) {
+            summary.textContent = `${channels.length} channels from "${name}"`;
+        }
+
+        // The data: URL can be several times the playlist size, it is only built on copy
+        const urlInput = document.getElementById('export-url');
+        if (urlInput) {
+            urlInput.value = '';
+        }
+
+        document.getElementById('export-modal')?.classList.remove('hidden');
+
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Build a data: URL other players can open without a server
+     */
+    getExportUrl(content) {
+        const bytes = new TextEncoder().encode(content);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return `data:audio/x-mpegurl;charset=utf-8;base64,${btoa(binary)}`;
+    },
+
+    /**
+     * Download the prepared playlist as .m3u or .m3u8
+     */
+    downloadExport(extension) {
+        const pending = this.state.pendingExport;
+        if (!pending) return;
+
+        this.downloadFile(pending.content, `${pending.name}.${extension}`, 'audio/x-mpegurl;charset=utf-8');
+    },
+
+    /**
+     * Save text content as a file
+     */
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    /**
+     * Copy the data: URL of the prepared playlist
+     */
+    async copyExportUrl() {
+        const pending = this.state.pendingExport;
+        if (!pending) return;
+
+        const url = this.getExportUrl(pending.content);
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showMessage('Playlist URL copied');
+        } catch (error) {
+            // Clipboard API needs a secure context, let the user copy by hand
+            const urlInput = document.getElementById('export-url');
+            if (!urlInput) return;
+            urlInput.value = url;
+            urlInput.select();
+            this.showError('Copy the selected URL manually');
+        }
+    },
+
+    /**
+     * Show data set aside because it could not be read, see Storage.quarantine
+     */
+    renderQuarantine() {
+        const notice = document.getElementById('quarantine-notice');
+        if (!notice) return;
+
+        const entries = Storage.getQuarantine();
+        notice.classList.toggle('hidden', entries.length === 0);
+        if (entries.length === 0) return;
+
+        const latest = new Date(entries[entries.length - 1].quarantinedAt).toLocaleString();
+        document.getElementById('quarantine-summary').textContent =
+            `${entries.length} saved ${entries.length === 1 ? 'entry' : 'entries'} could not be read and ` +
+            `${entries.length === 1 ? 'was' : 'were'} set aside, last on ${latest}. ` +
+            'Download them to repair by hand, or discard them.';
+    },
+
+    /**
+     * Download a backup of all user data
+     */
+    async exportBackup() {
+        try {
+            const data = await Backup.create();
+            this.downloadFile(JSON.stringify(data, null, 2), Backup.getFileName(data), 'application/json;charset=utf-8');
+            this.showToast('Backup exported');
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            this.showError(`Failed to export backup: ${error.message}`);
+        }
+    },
+
+    /**
+     * Read a backup file and preview what restoring it changes
+     */
+    async handleBackupFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const data = Backup.parse(await file.text());
+            this.state.pendingRestore = { name: file.name, data: data, mode: 'merge' };
+            this.showRestorePreview();
+        } catch (error) {
+            console.error('Error reading backup file:', error);
+            this.showError(error.message);
+        } finally {
+            // Allow choosing the same file again
+            event.target.value = '';
+        }
+    },
+
+    /**
+     * Show the restore dialog for the pending backup
+     */
+    showRestorePreview() {
+        const pending = this.state.pendingRestore;
+        const modal = document.getElementById('restore-modal');
+        if (!pending || !modal) return;
+
+        const summary = document.getElementById('restore-summary');
+        if (summary) {
+            const created = pending.data.createdAt ? new Date(pending.data.createdAt).toLocaleString() : 'unknown date';
+            summary.textContent = `${pending.name} · ${created}`;
+        }
+
+        this.renderRestorePreview();
+        modal.classList.remove('hidden');
+
+        const commitBtn = document.getElementById('restore-commit');
+        if (commitBtn && window.Navigation) {
+            Navigation.setFocus(commitBtn);
+        }
+    },
+
+    /**
+     * Choose between merging the backup into this device's data or replacing it
+     */
+    setRestoreMode(mode) {
+        if (!this.state.pendingRestore) return;
+        this.state.pendingRestore.mode = mode;
+        this.renderRestorePreview();
+    },
+
+    /**
+     * List the changes per section for the chosen restore mode
+     */
+    renderRestorePreview() {
+        const pending = this.state.pendingRestore;
+        if (!pending) return;
+
+        document.getElementById('restore-merge')?.classList.toggle('active', pending.mode === 'merge');
+        document.getElementById('restore-replace')?.classList.toggle('active', pending.mode === 'replace');
+
+        const hint = document.getElementById('restore-mode-hint');
+        if (hint) {
+            hint.textContent = pending.mode === 'merge'
+                ? 'Adds entries from the backup and updates matching ones, keeps everything else on this device.'
+                : 'Replaces this device\'s data with the backup for every section in the file.';
+        }
+
+        const list = document.getElementById('restore-preview');
+        if (!list) return;
+
+        list.innerHTML = '';
+        Backup.preview(pending.data, pending.mode).forEach(change => {
+            const parts = [];
+            if (change.added) parts.push(`${change.added} added`);
+            if (change.updated) parts.push(`${change.updated} updated`);
+            if (change.removed) parts.push(`${change.removed} removed`);
+            if (change.unchanged) parts.push(`${change.unchanged} unchanged`);
+
+            const changed = change.added + change.updated + change.removed > 0;
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between gap-4 bg-surface rounded-lg px-4 py-3';
+            row.innerHTML = `
+                <span class="text-tv-sm font-semibold">${change.label}</span>
+                <span class="text-tv-xs ${changed ? 'text-primary' : 'text-gray-400'}">${parts.join(', ') || 'Empty'}</span>
+            `;
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Restore the pending backup and reload what depends on the restored data
+     */
+    async commitRestore() {
+        const pending = this.state.pendingRestore;
+        if (!pending) return;
+
+        // Restored channel edits can rename and regroup locked channels
+        if (pending.data.sections.edits && !(await this.unlockProfile())) return;
+
+        this.state.pendingRestore = null;
+        document.getElementById('restore-modal')?.classList.add('hidden');
+
+        try {
+            await Backup.apply(pending.data, pending.mode);
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showError(`Failed to restore backup: ${error.message}`);
+            return;
+        }
+
+        this.showToast(pending.mode === 'merge' ? 'Backup merged' : 'Backup restored');
+        await this.reloadUserData();
+    },
+
+    /**
+     * Reload everything read from stored user data, after a profile switch or a restore
+     */
+    async reloadUserData() {
+        Reminders.reload();
+        this.state.facetSelection = Facets.normalizeSelection(Storage.getSettings().facetSelection);
+        this.state.seriesView = null;
+        this.state.currentGroup = 'all';
+        this.state.currentList = null;
+        this.renderSettings();
+        this.renderNotificationBadge();
+
+        if (window.Player && typeof Player.applySettings === 'function') {
+            Player.applySettings();
+        }
+
+        // Sources may have changed, load them again from their caches
+        Sources.results = {};
+        await this.loadChannels();
+        this.loadGuide();
+        this.checkReminders();
+    },
+
+    /**
+     * Show changes another window of the app made to the data of the active profile, see Storage.onChange
+     * Changes made in this window are shown where they are made
+     */
+    setupSync() {
+        Storage.onChange(change => {
+            if (change.name === 'QUARANTINE') {
+                this.renderQuarantine();
+                return;
+            }
+            if (!change.remote || (change.profileId && change.profileId !== Storage.getProfileId())) return;
+
+            switch (change.name) {
+                case 'FAVORITES':
+                case 'RECENT':
+                    this.keepFocus(() => this.refreshChannelSection());
+                    break;
+                case 'LISTS':
+                    this.keepFocus(() => this.refreshLists());
+                    break;
+                case 'CHANNEL_EDITS':
+                    this.keepFocus(() => this.applyChannelEdits());
+                    break;
+                case 'SETTINGS':
+                    this.state.facetSelection = Facets.normalizeSelection(Storage.getSettings().facetSelection);
+                    this.keepFocus(() => {
+                        this.renderSettings();
+                        this.refreshChannelSection();
+                    });
+                    break;
+                case 'SOURCES':
+                    this.syncSources();
+                    break;
+                case 'CACHE':
+                    this.syncCache(change.sourceId);
+                    break;
+                case 'REMINDERS':
+                case 'NOTIFICATIONS':
+                    Reminders.reload();
+                    this.renderNotificationBadge();
+                    if (!document.getElementById('notifications-modal')?.classList.contains('hidden')) {
+                        this.keepFocus(() => this.renderNotifications());
+                    }
+                    break;
+                case 'PROFILES':
+                    this.renderProfile();
+                    break;
+                case 'FETCH_STATS':
+                    this.renderProxyStats();
+                    break;
+            }
+        });
+    },
+
+    /**
+     * Render the open channel section again, after the stored data it shows changed
+     */
+    refreshChannelSection() {
+        const section = this.state.currentSection;
+        if (['home', 'livetv', 'favorites', 'recent', 'lists'].includes(section)) {
+            this.renderChannels(section);
+        }
+    },
+
+    /**
+     * Run render, then focus what took the place of the focused element when render replaced it
+     */
+    keepFocus(render) {
+        const focused = Navigation.focusedElement;
+        const container = focused && focused.parentElement ? focused.parentElement.closest('[id]') : null;
+        const index = container ? [...container.querySelectorAll('.focusable')].indexOf(focused) : -1;
+
+        render();
+        if (!focused || focused.isConnected) return;
+
+        const current = container && document.getElementById(container.id);
+        const candidates = current ? [...current.querySelectorAll('.focusable')] : [];
+        if (candidates.length > 0) {
+            Navigation.setFocus(candidates[Math.min(index, candidates.length - 1)] || candidates[0]);
+        } else {
+            Navigation.focusFirst();
+        }
+    },
+
+    /**
+     * Show playlist sources changed in another window
+     * Channels are only merged again when sources were added, removed, reordered or switched,
+     * new sources are read from the cache the other window writes, see syncCache
+     */
+    async syncSources() {
+        if (this.getSourcesSignature() === this.syncedSources) {
+            this.renderSources();
+            return;
+        }
+
+        for (const source of Sources.getSources().filter(s => s.enabled && !Sources.results[s.id])) {
+            await Sources.loadCached(source);
+        }
+        this.keepFocus(() => this.applySources(Sources.merge()));
+    },
+
+    getSourcesSignature() {
+        return Sources.getSources().map(source => `${source.id}:${source.enabled}`).join('|');
+    },
+
+    /**
+     * Use a playlist another window downloaded
+     */
+    async syncCache(sourceId) {
+        const source = Sources.getSource(sourceId);
+        if (!source || !source.enabled || !(await Sources.loadCached(source))) return;
+
+        this.keepFocus(() => this.applySources(Sources.merge()));
+    },
+
+    /**
+     * List lint issues grouped by rule, each group capped at importReportRowLimit rows
+     */
+    renderLintIssues(list, issues) {
+        list.innerHTML = '';
+
+        if (issues.length === 0) {
+            list.innerHTML = '<p class="text-gray-400 text-center py-4">No problems found</p>';
+            return;
+        }
+
+        const severityClass = { error: 'text-red-400', warning: 'text-yellow-400', info: 'text-gray-400' };
+
+        Object.entries(PlaylistLint.RULES).forEach(([ruleId, rule]) => {
+            const ruleIssues = issues.filter(entry => entry.rule === ruleId);
+            if (ruleIssues.length === 0) return;
+
+            const heading = document.createElement('p');
+            heading.className = `text-tv-sm font-bold pt-2 ${severityClass[rule.severity]}`;
+            heading.textContent = `${rule.label} (${ruleIssues.length})`;
+            list.appendChild(heading);
+
+            ruleIssues.slice(0, this.config.importReportRowLimit).forEach(entry => {
+                const row = document.createElement('div');
+                row.className = 'bg-surface rounded-lg px-4 py-2';
+                // Names, messages and URLs come from the playlist, so they are set as text
+                const title = [entry.line ? `Line ${entry.line}` : '', entry.name].filter(Boolean).join(': ');
+                if (title) {
+                    const titleEl = document.createElement('p');
+                    titleEl.className = 'text-tv-xs font-semibold truncate';
+                    titleEl.textContent = title;
+                    row.appendChild(titleEl);
+                }
+                const detail = document.createElement('p');
+                detail.className = 'text-tv-xs text-gray-400 truncate';
+                detail.textContent = `${entry.message}${entry.url ? ` — ${entry.url}` : ''}`;
+                row.appendChild(detail);
+                list.appendChild(row);
+            });
+
+            if (ruleIssues.length > this.config.importReportRowLimit) {
+                const more = document.createElement('p');
+                more.className = 'text-tv-xs text-gray-500 px-4';
+                more.textContent = `and ${ruleIssues.length - this.config.importReportRowLimit} more`;
+                list.appendChild(more);
+            }
+        });
+    },
+
+    /**
+     * Open a series and list its episodes in Live TV
+     */
+    async openSeries(series) {
+        const source = Sources.getSource(series.sourceId);
+        if (!source || source.type !== 'xtream') {
+            this.showError('The Xtream source of this series was removed');
+            return;
+        }
+
+        try {
+            const episodes = await XtreamClient.fetchSeriesEpisodes(source, series);
+            Sources.tagChannels(source, episodes);
+            if (episodes.length === 0) {
+                this.showError('No episodes available');
+                return;
+            }
+
+            this.state.seriesView = { name: series.name, channels: episodes };
+            if (this.state.currentSection === 'livetv') {
+                this.renderChannels('livetv');
+            } else {
+                this.switchSection('livetv');
+            }
+        } catch (error) {
+            console.error('Error loading series:', error);
+            this.showError('Failed to load episodes');
+        }
+    },
+
+    /**
+     * Setup automatic channel refresh
+     */
+    setupChannelRefresh() {
+        setInterval(() => {
+            console.log('Checking for channel updates...');
+            // Could refresh channels periodically
+        }, this.config.channelCheckInterval);
+
+        // Keep now/next lines current
+        setInterval(() => this.updateGuideLines(), this.config.guideUpdateInterval);
+
+        setInterval(() => this.checkReminders(), this.config.reminderCheckInterval);
     },
 
     /**
      * Show main app
      */
     showApp() {
+        this.state.isLoading = false;
         document.getElementById('loading-screen').classList.add('hidden');
         document.getElementById('app').classList.remove('hidden');
         
         // Render home section by default
+        this.renderCategories();
         this.renderChannels('home');
     },
 
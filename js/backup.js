@@ -0,0 +1,359 @@
+/**
+ * Backup and Restore for IPTV UI
+ * Writes user data to one versioned JSON file and restores it by merging or replacing
+ */
+
+const Backup = {
+    FORMAT: 'free-tv-backup',
+
+    // Bump when the file layout changes, files of newer versions are refused
+    VERSION: 1,
+
+    // PIN settings of versions without profiles, never written to the file
+    // Profile PINs and lock rules live with the profile and stay on the device
+    LOCAL_SETTINGS: ['pin', 'pinEnabled'],
+
+    // Source fields describing the last load, not compared when previewing
+    SOURCE_STATUS: ['lastUpdated', 'lastError', 'lastRoute', 'timezone', 'channelCount'],
+
+    /**
+     * Backed up data, in file order
+     * read() and write(list) work on lists of entries, getId(entry) matches entries across devices
+     * pack/unpack convert sections stored as objects, finish(list) trims a list before it is written
+     */
+    SECTIONS: {
+        favorites: {
+            label: 'Favorites',
+            read: () => Storage.getFavorites(),
+            write: list => Storage.saveFavorites(list),
+            getId: ref => ref.key || ref.url,
+            isValid: ref => Backup.isChannelRef(ref)
+        },
+        recent: {
+            label: 'Recently Watched',
+            read: () => Storage.getRecent(),
+            write: list => Storage.saveRecent(list),
+            getId: ref => ref.key || ref.url,
+            isValid: ref => Backup.isChannelRef(ref),
+            finish: list => list
+                .sort((a, b) => (b.watchedAt || 0) - (a.watchedAt || 0))
+                .slice(0, Storage.MAX_RECENT)
+        },
+        settings: {
+            label: 'Settings',
+            read: () => Backup.unpackSettings(Storage.getSettings()),
+            write: list => Storage.saveSettings(Backup.packSettings(list)),
+            getId: entry => entry.key,
+            isValid: entry => typeof entry.key === 'string',
+            pack: list => Backup.packSettings(list, false),
+            unpack: value => Backup.unpackSettings(value)
+        },
+        sources: {
+            label: 'Playlist Sources',
+            read: () => Storage.getSources() || [],
+            write: list => Storage.saveSources(list),
+            getId: source => Backup.getSourceId(source),
+            isValid: source => Backup.isSource(source),
+            // A source already on the device keeps its id and load status, so its cache stays in use
+            adopt: (source, existing) => Object.assign({}, existing, Backup.stripStatus(source), { id: existing.id }),
+            compare: source => Backup.stripStatus(source)
+        },
+        lists: {
+            label: 'Channel Lists',
+            read: () => Storage.getLists(),
+            write: list => Storage.saveLists(list),
+            // List names are unique, ids differ between devices
+            getId: list => ChannelLists.normalizeName(list.name),
+            isValid: list => typeof list.id === 'string' &&
+                typeof list.name === 'string' && list.name.trim() !== '' &&
+                Array.isArray(list.channels) && list.channels.every(ref => Backup.isChannelRef(ref)),
+            adopt: (list, existing) => Object.assign({}, list, { id: existing.id })
+        },
+        edits: {
+            label: 'Channel Edits',
+            read: () => Storage.getChannelEdits(),
+            write: list => Storage.saveChannelEdits(list),
+            getId: entry => entry.type === 'group' ? `group|${entry.group}` : `channel|${entry.key}`,
+            isValid: entry => (entry.type === 'channel' && typeof entry.key === 'string' && entry.key !== '') ||
+                (entry.type === 'group' && typeof entry.group === 'string')
+        },
+        reminders: {
+            label: 'Reminders',
+            read: () => Reminders.getAll(),
+            write: list => Reminders.save(list),
+            getId: reminder => reminder.id,
+            isValid: reminder => typeof reminder.id === 'string' &&
+                (reminder.type === 'once' || reminder.type === 'series') &&
+                Backup.isChannelRef(reminder.channel)
+        }
+    },
+
+    /**
+     * Collect all backed up data, with the channels of uploaded playlists which cannot be downloaded again
+     */
+    async create() {
+        const data = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: Date.now(),
+            sections: {},
+            playlists: {}
+        };
+
+        Object.entries(this.SECTIONS).forEach(([name, section]) => {
+            const list = section.read();
+            data.sections[name] = section.pack ? section.pack(list) : list;
+        });
+
+        for (const source of data.sections.sources.filter(source => source.type === 'file')) {
+            const cached = await Storage.getCachedPlaylist(source.id);
+            if (cached) {
+                data.playlists[source.id] = cached;
+            }
+        }
+
+        return data;
+    },
+
+    /**
+     * Get the file name of a backup, e.g. free-tv-backup-2024-05-01.json
+     */
+    getFileName(data) {
+        return `${this.FORMAT}-${new Date(data.createdAt).toISOString().slice(0, 10)}.json`;
+    },
+
+    /**
+     * Parse and validate a backup file, throws with a message for the user
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a backup file: invalid JSON');
+        }
+        return this.validate(data);
+    },
+
+    /**
+     * Check the layout of backup data and return it with sections as entry lists
+     * Unknown sections are ignored, sections missing from the file are left alone when restoring
+     */
+    validate(data) {
+        if (!this.isObject(data) || data.format !== this.FORMAT) {
+            throw new Error('Not a backup file');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Backup file has no valid version');
+        }
+        if (data.version > this.VERSION) {
+            throw new Error(`Backup file is from a newer version (${data.version}), update the app first`);
+        }
+        if (!this.isObject(data.sections)) {
+            throw new Error('Backup file has no data');
+        }
+
+        const sections = {};
+        Object.entries(this.SECTIONS).forEach(([name, section]) => {
+            if (!(name in data.sections)) return;
+
+            let value = data.sections[name];
+            if (section.unpack) {
+                if (!this.isObject(value)) {
+                    throw new Error(`${section.label}: not an object`);
+                }
+                value = section.unpack(value);
+            }
+            if (!Array.isArray(value)) {
+                throw new Error(`${section.label}: not a list`);
+            }
+
+            const invalid = value.findIndex(entry => !this.isObject(entry) || !section.isValid(entry));
+            if (invalid !== -1) {
+                throw new Error(`${section.label}: entry ${invalid + 1} is invalid`);
+            }
+            sections[name] = value;
+        });
+
+        if (Object.keys(sections).length === 0) {
+            throw new Error('Backup file has no data');
+        }
+
+        const playlists = {};
+        if (this.isObject(data.playlists)) {
+            Object.entries(data.playlists).forEach(([id, playlist]) => {
+                if (this.isObject(playlist) && Array.isArray(playlist.channels)) {
+                    playlists[id] = { channels: playlist.channels, header: playlist.header || null };
+                }
+            });
+        }
+
+        return {
+            version: data.version,
+            createdAt: Number(data.createdAt) || null,
+            sections: sections,
+            playlists: playlists
+        };
+    },
+
+    /**
+     * Work out the data of a section after restoring
+     * merge keeps entries of this device and adds or updates those of the file,
+     * replace uses the entries of the file only
+     */
+    plan(name, imported, mode) {
+        const section = this.SECTIONS[name];
+        const current = section.read();
+        const existing = new Map(current.map(entry => [section.getId(entry), entry]));
+        const adopt = entry => {
+            const match = existing.get(section.getId(entry));
+            return match && section.adopt ? section.adopt(entry, match) : entry;
+        };
+
+        let next;
+        if (mode === 'replace') {
+            next = imported.map(adopt);
+        } else {
+            const incoming = new Map(imported.map(entry => [section.getId(entry), entry]));
+            next = current
+                .map(entry => incoming.has(section.getId(entry)) ? adopt(incoming.get(section.getId(entry))) : entry)
+                .concat(imported.filter(entry => !existing.has(section.getId(entry))));
+        }
+
+        return { current, next: section.finish ? section.finish(next) : next };
+    },
+
+    /**
+     * Describe what restoring would change, per section:
+     * [{ name, label, added, updated, removed, unchanged }]
+     */
+    preview(data, mode) {
+        return Object.keys(data.sections).map(name => {
+            const section = this.SECTIONS[name];
+            const { current, next } = this.plan(name, data.sections[name], mode);
+            const compare = entry => JSON.stringify(section.compare ? section.compare(entry) : entry);
+            const before = new Map(current.map(entry => [section.getId(entry), entry]));
+            const counts = { name, label: section.label, added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+            next.forEach(entry => {
+                const id = section.getId(entry);
+                if (!before.has(id)) {
+                    counts.added++;
+                } else if (compare(before.get(id)) === compare(entry)) {
+                    counts.unchanged++;
+                } else {
+                    counts.updated++;
+                }
+                before.delete(id);
+            });
+            counts.removed = before.size;
+
+            return counts;
+        });
+    },
+
+    /**
+     * Restore backup data, mode is 'merge' or 'replace'
+     * Returns the preview of the applied changes
+     */
+    async apply(data, mode) {
+        const changes = this.preview(data, mode);
+        const previousSources = Storage.getSources() || [];
+
+        Object.keys(data.sections).forEach(name => {
+            this.SECTIONS[name].write(this.plan(name, data.sections[name], mode).next);
+        });
+
+        if (data.sections.sources) {
+            const sources = Storage.getSources() || [];
+            const ids = new Set(sources.map(source => source.id));
+
+            // Uploaded playlists only live in their cache
+            for (const source of sources.filter(source => source.type === 'file')) {
+                const playlist = data.playlists[source.id];
+                if (playlist) {
+                    await Storage.cacheChannels(playlist.channels, null, playlist.header, source.id);
+                }
+            }
+            for (const source of previousSources.filter(source => !ids.has(source.id))) {
+                await Storage.removeCachedPlaylist(source.id);
+            }
+        }
+
+        return changes;
+    },
+
+    /**
+     * Turn settings into entries, leaving out those kept on the device
+     */
+    unpackSettings(settings) {
+        return Object.keys(settings)
+            .filter(key => !this.LOCAL_SETTINGS.includes(key))
+            .map(key => ({ key: key, value: settings[key] }));
+    },
+
+    /**
+     * Turn setting entries back into settings
+     * For storing, missing settings take their defaults and the device keeps its own PIN
+     */
+    packSettings(list, forStorage = true) {
+        const settings = forStorage ? Storage.getDefaultSettings() : {};
+        list.forEach(entry => {
+            settings[entry.key] = entry.value;
+        });
+
+        if (forStorage) {
+            const current = Storage.getSettings();
+            this.LOCAL_SETTINGS.forEach(key => {
+                if (key in current) {
+                    settings[key] = current[key];
+                }
+            });
+        }
+        return settings;
+    },
+
+    /**
+     * Key matching the same source on another device
+     * Uploaded files have nothing but their id, other sources are matched by where they load from
+     */
+    getSourceId(source) {
+        switch (source.type) {
+            case 'm3u':
+                return `m3u|${String(source.url).trim()}`;
+            case 'xtream':
+                return `xtream|${XtreamClient.normalizeServer(source.server)}|${source.username || ''}`;
+            default:
+                return `${source.type}|${source.id}`;
+        }
+    },
+
+    /**
+     * Copy a source without its load status
+     */
+    stripStatus(source) {
+        const copy = Object.assign({}, source);
+        this.SOURCE_STATUS.forEach(key => delete copy[key]);
+        return copy;
+    },
+
+    isSource(source) {
+        if (typeof source.id !== 'string' || !(source.type in Sources.TYPES)) return false;
+        if (source.type === 'm3u') return typeof source.url === 'string' && source.url !== '';
+        if (source.type === 'xtream') return typeof source.server === 'string' && source.server !== '';
+        return true;
+    },
+
+    isChannelRef(ref) {
+        return this.isObject(ref) &&
+            (typeof ref.key === 'string' || typeof ref.url === 'string') &&
+            Boolean(ref.key || ref.url);
+    },
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+};
+
+// Export for use
+window.Backup = Backup;
@@ -0,0 +1,233 @@
+/**
+ * Catch-up TV for IPTV UI
+ * Builds archive URLs from a channel's catchup, catchup-days and catchup-source attributes
+ */
+
+const Catchup = {
+    // Catch-up types and the spellings playlists use for them
+    TYPES: ['default', 'append', 'shift', 'flussonic', 'xtream'],
+    ALIASES: {
+        'fs': 'flussonic',
+        'flussonic-hls': 'flussonic',
+        'flussonic-ts': 'flussonic',
+        'xc': 'xtream',
+        'timeshift': 'shift'
+    },
+
+    // Archive length when the playlist leaves out catchup-days
+    DEFAULT_DAYS: 5,
+
+    DAY: 24 * 60 * 60 * 1000,
+
+    /**
+     * Get the catch-up type of a channel, '' without archive
+     * A catchup-source without a type is a full URL template
+     */
+    getType(channel) {
+        if (!channel || channel.kind === 'vod' || channel.kind === 'series') return '';
+
+        const type = String(channel.catchup || '').trim().toLowerCase();
+        const normalized = this.ALIASES[type] || type;
+        if (this.TYPES.includes(normalized)) {
+            // These types only add a time template to the live URL
+            if ((normalized === 'default' || normalized === 'append') && !channel.catchupSource) return '';
+            return normalized;
+        }
+        return !type && channel.catchupSource ? 'default' : '';
+    },
+
+    /**
+     * Check if a channel has an archive
+     */
+    supports(channel) {
+        return this.getType(channel) !== '';
+    },
+
+    /**
+     * Oldest time the archive of a channel reaches back to (ms)
+     */
+    getArchiveStart(channel, now = Date.now()) {
+        const days = Number(channel.catchupDays) > 0 ? Number(channel.catchupDays) : this.DEFAULT_DAYS;
+        return now - days * this.DAY;
+    },
+
+    /**
+     * Check if a programme can be watched from the archive: it has started and is not too old
+     */
+    isAvailable(channel, programme, now = Date.now()) {
+        return this.supports(channel) &&
+            programme.start < now &&
+            programme.start >= this.getArchiveStart(channel, now);
+    },
+
+    /**
+     * Build the archive URL of a channel from start to stop (ms), null when the live URL has no known form
+     */
+    buildUrl(channel, start, stop, now = Date.now()) {
+        const times = { start, stop: Math.max(stop, start + 60 * 1000), now };
+
+        switch (this.getType(channel)) {
+            case 'default':
+                return this.fillTemplate(channel.catchupSource, times);
+            case 'append':
+                return channel.url + this.fillTemplate(channel.catchupSource, times);
+            case 'shift':
+                return channel.url + (channel.url.includes('?') ? '&' : '?') +
+                    this.fillTemplate('utc={utc}&lutc={lutc}', times);
+            case 'flussonic':
+                return this.buildFlussonicUrl(channel.url, times);
+            case 'xtream':
+                return channel.catchupSource
+                    ? this.fillTemplate(channel.catchupSource, times)
+                    : this.buildXtreamUrl(channel.url, times, this.getTimezone(channel));
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Timezone of the Xtream panel a channel came from, saved with its source at login
+     */
+    getTimezone(channel) {
+        if (!window.Sources || !channel.sourceId) return '';
+        const source = Sources.getSource(channel.sourceId);
+        return source && source.timezone ? source.timezone : '';
+    },
+
+    /**
+     * Flussonic archives: .../index.m3u8 becomes .../index-{start}-{duration}.m3u8
+     * and .../mpegts becomes .../timeshift_abs-{start}.ts
+     */
+    buildFlussonicUrl(url, times) {
+        const match = String(url).match(/^(.*\/)([^/?#]*)([?#].*)?$/);
+        if (!match) return null;
+
+        const [, base, file, query = ''] = match;
+        const start = Math.floor(times.start / 1000);
+        const duration = Math.floor((times.stop - times.start) / 1000);
+
+        if (file === 'mpegts') {
+            return `${base}timeshift_abs-${start}.ts${query}`;
+        }
+        if (/\.m3u8$/i.test(file)) {
+            return `${base}${file.replace(/\.m3u8$/i, '')}-${start}-${duration}.m3u8${query}`;
+        }
+        // Stream name only, e.g. http://host/channel
+        if (file && !file.includes('.')) {
+            return `${base}${file}/index-${start}-${duration}.m3u8${query}`;
+        }
+        return null;
+    },
+
+    /**
+     * Xtream Codes archives: /live/user/pass/id.ext becomes
+     * /timeshift/user/pass/{minutes}/{Y-m-d:H-M}/id.ext, times in the panel's timezone
+     */
+    buildXtreamUrl(url, times, timeZone = '') {
+        const match = String(url).match(/^(https?:\/\/[^/]+(?:\/[^/]+)*?)\/(?:live\/)?([^/]+)\/([^/]+)\/(\d+)(\.\w+)?$/i);
+        if (!match) return null;
+
+        const [, server, username, password, streamId, extension = '.ts'] = match;
+        return this.fillTemplate(
+            `${server}/timeshift/${username}/${password}/{duration:60}/{Y}-{m}-{d}:{H}-{M}/${streamId}${extension}`,
+            Object.assign({}, times, { timeZone })
+        );
+    },
+
+    /**
+     * Fill a catch-up template:
+     * {utc} ${start} start, {utcend} ${end} end, {lutc} ${now} ${timestamp} now (unix seconds)
+     * {duration} {duration:60} ${duration} length in seconds or divided, {offset:60} time since start
+     * {Y} {m} {d} {H} {M} {S} start in UTC or times.timeZone, {utc:Y-m-d H:M:S} {utcend:...} {lutc:...} formatted
+     */
+    fillTemplate(template, times) {
+        const seconds = time => Math.floor(time / 1000);
+        const values = {
+            utc: times.start,
+            start: times.start,
+            utcend: times.stop,
+            end: times.stop,
+            lutc: times.now,
+            now: times.now,
+            timestamp: times.now
+        };
+
+        return String(template || '').replace(/\$?\{(\w+)(?::([^}]*))?\}/g, (placeholder, name, argument) => {
+            if (name in values) {
+                return argument ? this.formatTime(values[name], argument) : String(seconds(values[name]));
+            }
+
+            const divisor = Number(argument) > 0 ? Number(argument) : 1;
+            switch (name) {
+                case 'duration':
+                    return String(Math.floor(seconds(times.stop - times.start) / divisor));
+                case 'offset':
+                    return String(Math.floor(seconds(times.now - times.start) / divisor));
+                case 'Y':
+                case 'm':
+                case 'd':
+                case 'H':
+                case 'M':
+                case 'S':
+                    return this.formatTime(times.start, name, times.timeZone);
+                default:
+                    return placeholder;
+            }
+        });
+    },
+
+    /**
+     * Format a time in UTC or an IANA timeZone, replacing Y m d H M S in pattern
+     */
+    formatTime(time, pattern, timeZone = '') {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        let parts = {
+            Y: String(date.getUTCFullYear()),
+            m: pad(date.getUTCMonth() + 1),
+            d: pad(date.getUTCDate()),
+            H: pad(date.getUTCHours()),
+            M: pad(date.getUTCMinutes()),
+            S: pad(date.getUTCSeconds())
+        };
+        if (timeZone) {
+            parts = this.getZonedParts(date, timeZone) || parts;
+        }
+        return pattern.replace(/[YmdHMS]/g, part => parts[part]);
+    },
+
+    /**
+     * Split a date into Y m d H M S in timeZone, null for an unknown timezone
+     */
+    getZonedParts(date, timeZone) {
+        let formatted;
+        try {
+            formatted = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }).formatToParts(date);
+        } catch (error) {
+            console.warn('Unknown panel timezone, using UTC:', timeZone);
+            return null;
+        }
+
+        const value = type => formatted.find(part => part.type === type).value;
+        return {
+            Y: value('year'),
+            m: value('month'),
+            d: value('day'),
+            H: value('hour'),
+            M: value('minute'),
+            S: value('second')
+        };
+    }
+};
+
+// Export for use
+window.Catchup = Catchup;
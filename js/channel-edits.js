@@ -0,0 +1,142 @@
+/**
+ * Channel Edits for IPTV UI
+ * A local overlay on loaded playlists: renamed, renumbered, regrouped, re-logoed and hidden channels
+ * Edits are keyed by channel key (see M3UParser.getChannelKey) and kept apart from playlist caches,
+ * so they apply again after every refresh
+ */
+
+const ChannelEdits = {
+    /**
+     * Get edits:
+     * { type: 'channel', key, name?, number?, group?, logo?, hidden? } per edited channel,
+     * { type: 'group', group, hidden } per hidden group
+     */
+    getAll() {
+        return Storage.getChannelEdits();
+    },
+
+    /**
+     * Index edits for applying them to many channels
+     */
+    getIndex() {
+        const index = { channels: new Map(), hiddenGroups: new Set() };
+        this.getAll().forEach(entry => {
+            if (entry.type === 'channel') {
+                index.channels.set(entry.key, entry);
+            } else if (entry.type === 'group' && entry.hidden) {
+                index.hiddenGroups.add(entry.group);
+            }
+        });
+        return index;
+    },
+
+    /**
+     * Apply edits to merged channels, leaving out hidden ones
+     * Edited channels are copies, playlist results keep their original data
+     */
+    apply(channels, index = this.getIndex()) {
+        if (index.channels.size === 0 && index.hiddenGroups.size === 0) {
+            return channels;
+        }
+
+        const edited = [];
+        channels.forEach(channel => {
+            const result = this.edit(channel, index);
+            if (!this.isHidden(result, index)) {
+                edited.push(result);
+            }
+        });
+        return edited;
+    },
+
+    /**
+     * Get a channel with its edit applied, the channel itself when it has none
+     * The channel number defaults to the playlist's tvg-chno
+     */
+    edit(channel, index = this.getIndex()) {
+        const entry = index.channels.get(channel.key);
+        if (!entry) return channel;
+
+        const copy = Object.assign({}, channel, { edited: true });
+        if (entry.name) copy.name = entry.name;
+        if (entry.number !== undefined) copy.tvgChno = entry.number;
+        if (entry.group) {
+            // Profile locks still apply to the playlist group, see Profiles.isLocked
+            copy.originalGroup = channel.group;
+            copy.group = entry.group;
+        }
+        if (entry.logo) copy.logo = entry.logo;
+        return copy;
+    },
+
+    /**
+     * Check if an edited channel is hidden, by itself or by its group
+     */
+    isHidden(channel, index = this.getIndex()) {
+        const entry = index.channels.get(channel.key);
+        return Boolean(entry && entry.hidden) || index.hiddenGroups.has(channel.group);
+    },
+
+    /**
+     * Get the edit of a channel
+     */
+    getChannel(key) {
+        return this.getAll().find(entry => entry.type === 'channel' && entry.key === key) || null;
+    },
+
+    /**
+     * Save the edit of a channel: { name, number, group, logo, hidden }
+     * Empty fields fall back to the playlist, an edit without fields is removed
+     */
+    setChannel(key, changes) {
+        const entry = { type: 'channel', key: key };
+        ['name', 'group', 'logo'].forEach(field => {
+            const value = String(changes[field] || '').trim();
+            if (value) {
+                entry[field] = value;
+            }
+        });
+        const number = parseInt(changes.number, 10);
+        if (Number.isInteger(number) && number >= 0) {
+            entry.number = number;
+        }
+        if (changes.hidden) {
+            entry.hidden = true;
+        }
+
+        const entries = this.getAll().filter(e => !(e.type === 'channel' && e.key === key));
+        if (Object.keys(entry).length > 2) {
+            entries.push(entry);
+        }
+        Storage.saveChannelEdits(entries);
+        return entry;
+    },
+
+    /**
+     * Remove the edit of a channel
+     */
+    resetChannel(key) {
+        Storage.saveChannelEdits(this.getAll().filter(e => !(e.type === 'channel' && e.key === key)));
+    },
+
+    /**
+     * Check if a group is hidden
+     */
+    isGroupHidden(group) {
+        return this.getAll().some(entry => entry.type === 'group' && entry.group === group && entry.hidden);
+    },
+
+    /**
+     * Hide or show a whole group
+     */
+    setGroupHidden(group, hidden) {
+        const entries = this.getAll().filter(e => !(e.type === 'group' && e.group === group));
+        if (hidden) {
+            entries.push({ type: 'group', group: group, hidden: true });
+        }
+        Storage.saveChannelEdits(entries);
+    }
+};
+
+// Export for use
+window.ChannelEdits = ChannelEdits;
@@ -0,0 +1,148 @@
+/**
+ * Channel Lists for IPTV UI
+ * Named lists of channels in the user's order, e.g. "Morning news" or "Kids"
+ */
+
+const ChannelLists = {
+    MAX_NAME_LENGTH: 40,
+
+    /**
+     * Get lists: [{ id, name, pinned, channels, createdAt }]
+     * channels are entries from Storage.createChannelRef in list order
+     */
+    getAll() {
+        return Storage.getLists();
+    },
+
+    /**
+     * Get list by id
+     */
+    get(id) {
+        return this.getAll().find(list => list.id === id) || null;
+    },
+
+    /**
+     * Find a list by name, ignoring case
+     */
+    findByName(name) {
+        const normalized = this.normalizeName(name);
+        return this.getAll().find(list => this.normalizeName(list.name) === normalized) || null;
+    },
+
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    },
+
+    /**
+     * Create a list and return it, null when the name is empty or taken
+     */
+    create(name) {
+        name = String(name || '').trim().slice(0, this.MAX_NAME_LENGTH);
+        if (!name || this.findByName(name)) return null;
+
+        const list = {
+            id: 'lst_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: name,
+            // Shown as a row on the home screen
+            pinned: false,
+            channels: [],
+            createdAt: Date.now()
+        };
+        Storage.saveLists(this.getAll().concat(list));
+        return list;
+    },
+
+    /**
+     * Change a list with changes(list) and return it
+     */
+    update(id, changes) {
+        const lists = this.getAll();
+        const list = lists.find(l => l.id === id);
+        if (!list) return null;
+
+        changes(list);
+        Storage.saveLists(lists);
+        return list;
+    },
+
+    /**
+     * Rename a list, false when the name is empty or taken by another list
+     */
+    rename(id, name) {
+        name = String(name || '').trim().slice(0, this.MAX_NAME_LENGTH);
+        const existing = this.findByName(name);
+        if (!name || (existing && existing.id !== id)) return false;
+
+        return Boolean(this.update(id, list => {
+            list.name = name;
+        }));
+    },
+
+    /**
+     * Remove a list
+     */
+    remove(id) {
+        Storage.saveLists(this.getAll().filter(list => list.id !== id));
+    },
+
+    /**
+     * Show or hide a list on the home screen
+     */
+    setPinned(id, pinned) {
+        return this.update(id, list => {
+            list.pinned = pinned;
+        });
+    },
+
+    /**
+     * Get lists shown on the home screen
+     */
+    getPinned() {
+        return this.getAll().filter(list => list.pinned);
+    },
+
+    /**
+     * Check if a channel is in a list
+     */
+    has(list, channel) {
+        return list.channels.some(ref => Storage.refMatches(ref, channel));
+    },
+
+    /**
+     * Add a channel to the end of a list, or remove it when it is in the list
+     * Returns whether the channel is in the list afterwards
+     */
+    toggleChannel(id, channel) {
+        let added = false;
+        this.update(id, list => {
+            if (this.has(list, channel)) {
+                list.channels = list.channels.filter(ref => !Storage.refMatches(ref, channel));
+            } else {
+                list.channels.push(Object.assign(Storage.createChannelRef(channel), {
+                    addedAt: Date.now()
+                }));
+                added = true;
+            }
+        });
+        return added;
+    },
+
+    /**
+     * Move the channel at index by delta positions, returns its new index
+     * Moves past either end of the list are ignored
+     */
+    moveChannel(id, index, delta) {
+        let target = index;
+        this.update(id, list => {
+            if (index + delta < 0 || index + delta >= list.channels.length) return;
+
+            target = index + delta;
+            const [ref] = list.channels.splice(index, 1);
+            list.channels.splice(target, 0, ref);
+        });
+        return target;
+    }
+};
+
+// Export for use
+window.ChannelLists = ChannelLists;
@@ -0,0 +1,373 @@
+/**
+ * Channel Enrichment for IPTV UI
+ * Joins channels with the iptv-org database (channels, countries, languages, categories, blocklist) on tvg-id
+ */
+
+const Enrichment = {
+    // Database files, by name without .json
+    DATASETS: ['channels', 'countries', 'languages', 'categories', 'blocklist'],
+
+    // Copies shipped with the app (the API files placed in data/iptv-org/), then the public API
+    BUNDLED_URL: 'data/iptv-org/',
+    REMOTE_URL: 'https://iptv-org.github.io/api/',
+
+    // Downloaded databases are refreshed after a week, uploaded ones are kept
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+
+    // IndexedDB store and key holding the compacted datasets
+    STORE: 'enrichment',
+    KEY: 'datasets',
+
+    // Fields kept from channels.json records
+    CHANNEL_FIELDS: ['id', 'name', 'alt_names', 'country', 'languages', 'categories', 'is_nsfw', 'closed', 'replaced_by', 'website'],
+
+    // Lookup tables, filled by build()
+    channels: new Map(),
+    countries: new Map(),
+    languages: new Map(),
+    // Lowercase language name -> code
+    languageCodes: new Map(),
+    categories: new Map(),
+    blocked: new Map(),
+
+    // Where the loaded data came from: { origin, loadedAt, counts }
+    meta: null,
+
+    /**
+     * Check if a database is loaded
+     */
+    isReady() {
+        return this.meta !== null;
+    },
+
+    /**
+     * Load the stored database, downloading it when missing or outdated
+     * Returns true when a database is ready
+     */
+    async init(options = {}) {
+        let stored = null;
+        try {
+            stored = await IDBStore.get(this.STORE, this.KEY);
+        } catch (error) {
+            console.warn('Error reading channel database:', error.message);
+        }
+
+        const fresh = stored && (stored.meta.origin === 'upload' || Date.now() - stored.meta.loadedAt < this.MAX_AGE);
+        if (stored && fresh && !options.force) {
+            this.build(stored.datasets, stored.meta);
+            return true;
+        }
+
+        try {
+            await this.download();
+            return true;
+        } catch (error) {
+            console.warn('Channel database unavailable:', error.message);
+            // An outdated copy is better than none
+            if (stored) {
+                this.build(stored.datasets, stored.meta);
+                return true;
+            }
+            return false;
+        }
+    },
+
+    /**
+     * Get base URLs tried for the database files, in order
+     */
+    getBaseUrls() {
+        const custom = (Storage.getSettings().enrichmentUrl || '').trim();
+        const urls = [custom, this.BUNDLED_URL, this.REMOTE_URL].filter(Boolean)
+            .map(url => url.endsWith('/') ? url : url + '/');
+        return urls.filter((url, index) => urls.indexOf(url) === index);
+    },
+
+    /**
+     * Download the database from the first base URL that has channels.json
+     */
+    async download() {
+        let lastError = null;
+
+        for (const base of this.getBaseUrls()) {
+            try {
+                const datasets = {};
+                datasets.channels = await this.fetchJson(base + 'channels.json');
+
+                // Only channels.json is required, the rest adds names and flags
+                for (const name of this.DATASETS.filter(dataset => dataset !== 'channels')) {
+                    try {
+                        datasets[name] = await this.fetchJson(base + name + '.json');
+                    } catch (error) {
+                        console.warn(`Channel database: ${name}.json unavailable at ${base}:`, error.message);
+                        datasets[name] = [];
+                    }
+                }
+
+                await this.save(datasets, base);
+                return;
+            } catch (error) {
+                console.warn('Channel database failed:', base, error.message);
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error('No channel database source');
+    },
+
+    /**
+     * Fetch a JSON array, through the proxy chain for other origins
+     */
+    async fetchJson(url) {
+        const absolute = new URL(url, location.href);
+        let data;
+
+        if (absolute.origin === location.origin) {
+            const deadline = FetchStrategy.createDeadline(FetchStrategy.getTimeout());
+            try {
+                const response = await fetch(absolute.href, { signal: deadline.signal });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                data = await response.json();
+            } catch (error) {
+                throw deadline.explain(error);
+            } finally {
+                deadline.clear();
+            }
+        } else {
+            data = (await FetchStrategy.fetch(absolute.href, {
+                accept: 'application/json',
+                directFirst: true,
+                read: response => response.json()
+            })).data;
+        }
+
+        if (!Array.isArray(data)) {
+            throw new Error('Expected a JSON array');
+        }
+        return data;
+    },
+
+    /**
+     * Import user-supplied database files, matched by file name (channels.json, countries.json, ...)
+     * Files not given keep their stored copy. Returns the names of the imported datasets
+     */
+    async importFiles(files) {
+        const stored = await IDBStore.get(this.STORE, this.KEY);
+        const datasets = Object.assign({}, stored ? stored.datasets : {});
+        const imported = [];
+
+        for (const file of Array.from(files)) {
+            const name = file.name.toLowerCase().replace(/\.json$/, '');
+            if (!this.DATASETS.includes(name)) {
+                throw new Error(`Unknown database file: ${file.name}`);
+            }
+
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error(`${file.name} is not valid JSON`);
+            }
+            if (!Array.isArray(data)) {
+                throw new Error(`${file.name} does not contain a list`);
+            }
+
+            datasets[name] = data;
+            imported.push(name);
+        }
+
+        if (!datasets.channels) {
+            throw new Error('channels.json is required');
+        }
+
+        await this.save(datasets, 'upload');
+        return imported;
+    },
+
+    /**
+     * Compact and store datasets, then build lookup tables from them
+     */
+    async save(datasets, origin) {
+        const compact = {};
+        this.DATASETS.forEach(name => {
+            compact[name] = Array.isArray(datasets[name]) ? datasets[name] : [];
+        });
+        compact.channels = compact.channels.map(record => {
+            const kept = {};
+            this.CHANNEL_FIELDS.forEach(field => {
+                if (record[field] !== undefined && record[field] !== null) {
+                    kept[field] = record[field];
+                }
+            });
+            return kept;
+        });
+
+        const meta = { origin: origin, loadedAt: Date.now(), counts: {} };
+        this.DATASETS.forEach(name => {
+            meta.counts[name] = compact[name].length;
+        });
+
+        try {
+            await IDBStore.set(this.STORE, this.KEY, { datasets: compact, meta: meta });
+        } catch (error) {
+            console.warn('Error storing channel database:', error.message);
+        }
+        this.build(compact, meta);
+    },
+
+    /**
+     * Build lookup tables, ids are compared case-insensitively
+     */
+    build(datasets, meta) {
+        this.channels = new Map();
+        (datasets.channels || []).forEach(record => {
+            if (record.id) {
+                this.channels.set(String(record.id).toLowerCase(), record);
+            }
+        });
+
+        this.countries = new Map();
+        (datasets.countries || []).forEach(country => {
+            if (country.code) {
+                this.countries.set(String(country.code).toUpperCase(), country);
+            }
+        });
+
+        this.languages = new Map();
+        this.languageCodes = new Map();
+        (datasets.languages || []).forEach(language => {
+            if (language.code) {
+                this.languages.set(String(language.code).toLowerCase(), language.name);
+                this.languageCodes.set(String(language.name).toLowerCase(), String(language.code).toLowerCase());
+            }
+        });
+
+        this.categories = new Map();
+        (datasets.categories || []).forEach(category => {
+            if (category.id) {
+                this.categories.set(String(category.id).toLowerCase(), category.name);
+            }
+        });
+
+        this.blocked = new Map();
+        (datasets.blocklist || []).forEach(entry => {
+            if (entry.channel) {
+                this.blocked.set(String(entry.channel).toLowerCase(), entry.reason || 'blocked');
+            }
+        });
+
+        this.meta = meta;
+    },
+
+    /**
+     * Remove the stored database
+     */
+    async clear() {
+        await IDBStore.delete(this.STORE, this.KEY);
+        this.build({}, null);
+    },
+
+    /**
+     * Get the database record of a channel, tvg-ids may carry a feed suffix like "@SD"
+     */
+    getRecord(channel) {
+        if (!channel.tvgId) return null;
+        return this.channels.get(channel.tvgId.split('@')[0].trim().toLowerCase()) || null;
+    },
+
+    /**
+     * Enrich channels in place and return how many got info
+     * Empty country and language codes are filled from the database; everything else goes to channel.info
+     */
+    apply(channels) {
+        if (!this.isReady()) {
+            // Drop info of a database that was cleared
+            channels.forEach(channel => delete channel.info);
+            return 0;
+        }
+
+        let count = 0;
+        channels.forEach(channel => {
+            const record = this.getRecord(channel);
+
+            if (record) {
+                if (!channel.country && record.country) {
+                    channel.country = record.country;
+                }
+                if (!channel.language && Array.isArray(record.languages) && record.languages.length > 0) {
+                    channel.language = record.languages.join(';');
+                }
+            }
+
+            const info = this.getInfo(channel, record);
+            if (info) {
+                channel.info = info;
+                count++;
+            } else {
+                delete channel.info;
+            }
+        });
+        return count;
+    },
+
+    /**
+     * Build channel.info from a database record and the channel's country/language codes
+     */
+    getInfo(channel, record) {
+        const countries = this.splitCodes(channel.country)
+            .map(code => this.countries.get(code.toUpperCase()))
+            .filter(Boolean);
+        const languages = this.splitCodes(channel.language)
+            .map(code => this.languages.get(code.toLowerCase()))
+            .filter(Boolean);
+
+        if (!record && countries.length === 0 && languages.length === 0) {
+            return null;
+        }
+
+        const info = {
+            countryName: countries.map(country => country.name).join(', '),
+            countryFlag: countries.map(country => country.flag || '').join(''),
+            languageName: languages.join(', ')
+        };
+
+        if (record) {
+            const id = String(record.id).toLowerCase();
+            Object.assign(info, {
+                id: record.id,
+                name: record.name || '',
+                altNames: Array.isArray(record.alt_names) ? record.alt_names : [],
+                categories: (record.categories || []).map(category => this.categories.get(String(category).toLowerCase()) || category),
+                website: record.website || '',
+                nsfw: Boolean(record.is_nsfw),
+                closed: record.closed || null,
+                replacedBy: record.replaced_by || null,
+                blocked: this.blocked.get(id) || null
+            });
+        }
+
+        return info;
+    },
+
+    /**
+     * Split a country or language field like "US;GB" into codes
+     */
+    splitCodes(value) {
+        return String(value || '').split(/[;,|]/).map(code => code.trim()).filter(Boolean);
+    },
+
+    /**
+     * Describe the loaded database for the settings screen
+     */
+    describe() {
+        if (!this.meta) {
+            return 'Not loaded';
+        }
+        const origin = this.meta.origin === 'upload' ? 'uploaded files' : this.meta.origin;
+        return `${this.meta.counts.channels} channels from ${origin} · ${new Date(this.meta.loadedAt).toLocaleString()}`;
+    }
+};
+
+// Export for use
+window.Enrichment = Enrichment;
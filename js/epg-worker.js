@@ -0,0 +1,154 @@
+/**
+ * EPG Worker for IPTV UI
+ * Downloads, gunzips and parses XMLTV guides off the main thread
+ */
+
+importScripts('playlist-formats.js', 'fetch-strategy.js', 'xmltv.js');
+
+const EPGWorker = {
+    // Minimum delay between progress messages (ms)
+    PROGRESS_INTERVAL: 500,
+
+    /**
+     * Try each fetch route until one yields a guide
+     * Every attempt is reported so the main thread can keep route stats
+     */
+    async load(url, routes, window) {
+        let lastError = null;
+
+        for (const route of routes) {
+            const attempt = { started: Date.now(), latency: null };
+            const deadline = FetchStrategy.createDeadline(route.timeout);
+
+            try {
+                const result = await this.loadRoute(route, deadline, attempt, window);
+                this.postAttempt(route, true, attempt.latency, null);
+                self.postMessage(Object.assign({ type: 'done', route: { id: route.id, name: route.name } }, result));
+                return;
+            } catch (error) {
+                lastError = deadline.explain(error);
+                console.warn('EPG route failed:', route.name, lastError.message);
+                this.postAttempt(route, false, attempt.latency, lastError.message);
+            } finally {
+                deadline.clear();
+            }
+        }
+
+        self.postMessage({
+            type: 'error',
+            message: lastError ? lastError.message : `Failed to fetch guide ${url}`
+        });
+    },
+
+    /**
+     * Stream and parse the guide from a single route
+     */
+    async loadRoute(route, deadline, attempt, window) {
+        console.log('Fetching guide from:', route.url);
+
+        const response = await fetch(route.url, {
+            method: 'GET',
+            headers: {
+                'Accept': '*/*'
+            },
+            signal: deadline.signal
+        });
+        attempt.latency = Date.now() - attempt.started;
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const state = XMLTV.createState(window);
+        const progress = { loaded: 0, lastPost: 0 };
+        const reader = response.body.getReader();
+
+        let first = await reader.read();
+        if (first.done) {
+            throw new Error('Empty guide');
+        }
+
+        // Guides are often served as .xml.gz without Content-Encoding
+        let source = reader;
+        if (PlaylistFormats.isGzip(first.value)) {
+            source = this.prepend(first.value, reader)
+                .pipeThrough(new DecompressionStream('gzip'))
+                .getReader();
+            first = await source.read();
+        }
+
+        const decoder = new TextDecoder(PlaylistFormats.detectEncoding(first.value));
+        let chunk = first;
+
+        while (!chunk.done) {
+            deadline.touch();
+            progress.loaded += chunk.value.length;
+            XMLTV.parseChunk(state, decoder.decode(chunk.value, { stream: true }));
+            this.postProgress(state, progress);
+            chunk = await source.read();
+        }
+        XMLTV.parseChunk(state, decoder.decode());
+
+        const result = XMLTV.finish(state);
+        if (result.channels.length === 0 && result.programmeCount === 0) {
+            throw new Error('No XMLTV data found');
+        }
+        return result;
+    },
+
+    /**
+     * Stream of an already read first chunk followed by the rest of a reader
+     */
+    prepend(first, reader) {
+        return new ReadableStream({
+            start(controller) {
+                controller.enqueue(first);
+            },
+            async pull(controller) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            },
+            cancel(reason) {
+                return reader.cancel(reason);
+            }
+        });
+    },
+
+    /**
+     * Post the outcome of a route attempt
+     */
+    postAttempt(route, ok, latency, error) {
+        self.postMessage({
+            type: 'attempt',
+            route: { id: route.id, name: route.name },
+            ok: ok,
+            latency: latency,
+            error: error
+        });
+    },
+
+    /**
+     * Post parse progress, throttled to PROGRESS_INTERVAL
+     */
+    postProgress(state, progress) {
+        const now = Date.now();
+        if (now - progress.lastPost < this.PROGRESS_INTERVAL) return;
+
+        progress.lastPost = now;
+        self.postMessage({
+            type: 'progress',
+            loaded: progress.loaded,
+            programmes: state.programmeCount
+        });
+    }
+};
+
+self.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'load') {
+        EPGWorker.load(e.data.url, e.data.routes, e.data.window);
+    }
+});
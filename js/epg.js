@@ -0,0 +1,579 @@
+/**
+ * Electronic Programme Guide for IPTV UI
+ * Loads XMLTV guides into IndexedDB, matches them to channels and answers now/next
+ */
+
+const EPG = {
+    WORKER_URL: 'js/epg-worker.js',
+
+    // IndexedDB stores: guide meta per URL, programmes per guide channel
+    SOURCES_STORE: 'epg-sources',
+    PROGRAMMES_STORE: 'epg-programmes',
+
+    // Guides are downloaded again after REFRESH_AGE, or after RETRY_AGE when their data runs out within MIN_AHEAD
+    REFRESH_AGE: 12 * 60 * 60 * 1000,
+    RETRY_AGE: 60 * 60 * 1000,
+    MIN_AHEAD: 24 * 60 * 60 * 1000,
+
+    // Programme window kept in IndexedDB, past programmes serve catch-up
+    KEEP_PAST: 7 * 24 * 60 * 60 * 1000,
+    KEEP_AHEAD: 14 * 24 * 60 * 60 * 1000,
+
+    // Programme window held in memory for now/next, reloaded once MEMORY_BEFORE has passed
+    MEMORY_BEFORE: 6 * 60 * 60 * 1000,
+    MEMORY_AFTER: 24 * 60 * 60 * 1000,
+
+    // Guide meta by URL: { url, loadedAt, route, channels: [{ id, names, icon, count }], programmeCount, end, error }
+    sources: new Map(),
+
+    // Guide channels by lowercase id and by normalized display name: { url, id, icon }
+    byId: new Map(),
+    byName: new Map(),
+
+    // Matched guide channel per channel key, null when unmatched
+    matches: new Map(),
+
+    // In-memory programmes per guide channel: { programmes, loadedAt }
+    guide: new Map(),
+
+    // Stored guide meta being read, see init
+    loading: null,
+
+    // Last queued refresh
+    refreshing: null,
+
+    /**
+     * Read stored guide meta once and index the guides in use
+     */
+    async init() {
+        if (!this.loading) {
+            this.loading = IDBStore.getAll(this.SOURCES_STORE)
+                .catch(error => {
+                    console.warn('Error reading guides:', error.message);
+                    return [];
+                })
+                .then(stored => {
+                    this.sources = new Map(stored.map(meta => [meta.url, meta]));
+                });
+        }
+
+        await this.loading;
+        this.buildIndex();
+    },
+
+    /**
+     * Check if any guide data is loaded
+     */
+    isReady() {
+        return this.byId.size > 0 || this.byName.size > 0;
+    },
+
+    /**
+     * Get guide URLs in priority order: user URLs, then those announced by playlists (url-tvg)
+     */
+    getUrls() {
+        const settings = Storage.getSettings();
+        const urls = (settings.epgUrls || [])
+            .concat(settings.epgFromPlaylists === false ? [] : Sources.getEpgUrls())
+            .map(url => url.trim())
+            .filter(Boolean);
+        return urls.filter((url, index) => urls.indexOf(url) === index);
+    },
+
+    /**
+     * Parse the settings textarea: one URL per line
+     */
+    parseUrls(text) {
+        const urls = String(text || '').split(/[\r\n]+/).map(url => url.trim()).filter(Boolean);
+        return urls.filter((url, index) => urls.indexOf(url) === index);
+    },
+
+    /**
+     * Check if a guide needs downloading
+     */
+    isStale(meta, now = Date.now()) {
+        if (!meta || !meta.loadedAt) return true;
+
+        const age = now - meta.loadedAt;
+        return age > this.REFRESH_AGE || (age > this.RETRY_AGE && (meta.end || 0) < now + this.MIN_AHEAD);
+    },
+
+    /**
+     * Download stale guides and drop guides no longer in use
+     * Only guides that changed are fetched; stored programmes are merged, see mergeProgrammes
+     * options.force downloads every guide, options.onProgress receives { url, loaded, programmes }
+     * Returns the number of guides that were downloaded
+     */
+    refresh(options = {}) {
+        // Refreshes queue up, so guide URLs added during a download are picked up
+        const run = (this.refreshing || Promise.resolve())
+            .catch(() => 0)
+            .then(() => this.runRefresh(options));
+
+        this.refreshing = run;
+        run.catch(() => 0).then(() => {
+            if (this.refreshing === run) {
+                this.refreshing = null;
+            }
+        });
+        return run;
+    },
+
+    /**
+     * Refresh guides of the current guide URLs, see refresh
+     */
+    async runRefresh(options) {
+        const urls = this.getUrls();
+        let updated = 0;
+
+        await this.prune(urls);
+
+        for (const url of urls) {
+            const stored = this.sources.get(url);
+            if (!options.force && !this.isStale(stored)) continue;
+
+            try {
+                const { data, route } = await this.fetchGuide(url, {
+                    onProgress: (progress) => options.onProgress && options.onProgress(Object.assign({ url }, progress))
+                });
+                await this.store(url, data, route);
+                updated++;
+            } catch (error) {
+                console.warn('Guide failed:', url, error.message);
+                const meta = Object.assign({ url, channels: [], programmeCount: 0 }, stored, { error: error.message });
+                this.sources.set(url, meta);
+                await IDBStore.set(this.SOURCES_STORE, url, meta).catch(() => {});
+            }
+        }
+
+        this.buildIndex();
+        return updated;
+    },
+
+    /**
+     * Download and parse a guide, in the EPG worker when possible
+     * Resolves with { data: { channels, programmes, programmeCount }, route }
+     */
+    async fetchGuide(url, callbacks = {}) {
+        if (M3UParser.canUseWorker()) {
+            try {
+                return await this.fetchGuideInWorker(url, callbacks);
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                console.warn('EPG worker unavailable, parsing on main thread:', error.message);
+            }
+        }
+        return this.fetchGuideDirect(url);
+    },
+
+    /**
+     * Fetch and parse a guide in the EPG worker
+     */
+    fetchGuideInWorker(url, callbacks) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.WORKER_URL);
+            } catch (error) {
+                error.workerFailed = true;
+                reject(error);
+                return;
+            }
+
+            worker.addEventListener('message', (e) => {
+                const message = e.data;
+                switch (message.type) {
+                    case 'progress':
+                        if (callbacks.onProgress) {
+                            callbacks.onProgress(message);
+                        }
+                        break;
+                    case 'attempt':
+                        FetchStrategy.record(message.route.id, message.ok, message.latency, message.error);
+                        break;
+                    case 'done':
+                        worker.terminate();
+                        resolve({
+                            data: {
+                                channels: message.channels,
+                                programmes: message.programmes,
+                                programmeCount: message.programmeCount
+                            },
+                            route: message.route
+                        });
+                        break;
+                    case 'error':
+                        worker.terminate();
+                        reject(new Error(message.message));
+                        break;
+                }
+            });
+
+            worker.addEventListener('error', (e) => {
+                worker.terminate();
+                const error = new Error(e.message || 'EPG worker failed');
+                error.workerFailed = true;
+                reject(error);
+            });
+
+            worker.postMessage({
+                type: 'load',
+                url: url,
+                routes: FetchStrategy.getRoutes(url),
+                window: this.getStoreWindow()
+            });
+        });
+    },
+
+    /**
+     * Fetch and parse a guide on the main thread
+     */
+    async fetchGuideDirect(url) {
+        const { data, route } = await FetchStrategy.fetch(url, {
+            read: async (response, deadline) => {
+                const bytes = await FetchStrategy.readBytes(response, deadline);
+                const state = XMLTV.createState(this.getStoreWindow());
+                XMLTV.parseChunk(state, await PlaylistFormats.decodeBytes(bytes));
+
+                const result = XMLTV.finish(state);
+                if (result.channels.length === 0 && result.programmeCount === 0) {
+                    throw new Error('No XMLTV data found');
+                }
+                return result;
+            }
+        });
+        return { data, route: { id: route.id, name: route.name } };
+    },
+
+    /**
+     * Programme window parsed from downloads
+     */
+    getStoreWindow(now = Date.now()) {
+        return { from: now - this.KEEP_PAST, to: now + this.KEEP_AHEAD };
+    },
+
+    /**
+     * Merge a downloaded guide into IndexedDB
+     */
+    async store(url, data, route) {
+        const previous = this.sources.get(url);
+        const cutoff = Date.now() - this.KEEP_PAST;
+
+        // Channels listed without programmes still take part in name matching
+        const channels = new Map(data.channels.map(channel => [channel.id, Object.assign({}, channel)]));
+        Object.keys(data.programmes).forEach(id => {
+            if (!channels.has(id)) {
+                channels.set(id, { id, names: [], icon: '' });
+            }
+        });
+
+        const ids = Array.from(channels.keys());
+        const stored = await IDBStore.getMany(this.PROGRAMMES_STORE, ids.map(id => this.getStoreKey(url, id)));
+
+        let programmeCount = 0;
+        let end = 0;
+        const entries = ids.map((id, index) => {
+            const programmes = this.mergeProgrammes(stored[index] || [], data.programmes[id] || [], cutoff);
+            const channel = channels.get(id);
+            channel.count = programmes.length;
+            programmeCount += programmes.length;
+            if (programmes.length > 0) {
+                end = Math.max(end, programmes[programmes.length - 1].stop);
+            }
+            return [this.getStoreKey(url, id), programmes];
+        });
+        await IDBStore.setMany(this.PROGRAMMES_STORE, entries);
+
+        // Channels the guide no longer lists
+        if (previous) {
+            const removed = previous.channels.filter(channel => !channels.has(channel.id));
+            await IDBStore.deleteMany(this.PROGRAMMES_STORE, removed.map(channel => this.getStoreKey(url, channel.id)));
+        }
+
+        const meta = {
+            url: url,
+            loadedAt: Date.now(),
+            route: route ? route.name : null,
+            channels: Array.from(channels.values()),
+            programmeCount: programmeCount,
+            end: end,
+            error: null
+        };
+        await IDBStore.set(this.SOURCES_STORE, url, meta);
+        this.sources.set(url, meta);
+
+        // Drop memory copies of this guide
+        ids.forEach(id => this.guide.delete(this.getStoreKey(url, id)));
+    },
+
+    /**
+     * Merge stored and downloaded programmes of a channel
+     * The download replaces everything from its first programme on; older stored programmes stay for catch-up
+     */
+    mergeProgrammes(stored, fetched, cutoff) {
+        const first = fetched.length > 0 ? fetched[0].start : Infinity;
+        return stored
+            .filter(programme => programme.stop > cutoff && programme.start < first)
+            .concat(fetched);
+    },
+
+    /**
+     * Remove guides that are no longer configured
+     */
+    async prune(urls) {
+        for (const [url, meta] of Array.from(this.sources)) {
+            if (urls.includes(url)) continue;
+
+            try {
+                await IDBStore.deleteMany(this.PROGRAMMES_STORE, meta.channels.map(channel => this.getStoreKey(url, channel.id)));
+                await IDBStore.delete(this.SOURCES_STORE, url);
+            } catch (error) {
+                console.warn('Error removing guide:', url, error.message);
+            }
+            this.sources.delete(url);
+        }
+    },
+
+    /**
+     * Remove all guide data
+     */
+    async clear() {
+        await IDBStore.clear(this.PROGRAMMES_STORE);
+        await IDBStore.clear(this.SOURCES_STORE);
+        this.sources = new Map();
+        this.buildIndex();
+    },
+
+    /**
+     * IndexedDB key of a guide channel's programmes
+     */
+    getStoreKey(url, id) {
+        return `${url}\n${id}`;
+    },
+
+    /**
+     * Build id and display-name lookups; earlier guides win
+     */
+    buildIndex() {
+        this.byId = new Map();
+        this.byName = new Map();
+        this.matches = new Map();
+        this.guide = new Map();
+
+        const urls = this.getUrls();
+        const ordered = Array.from(this.sources.values())
+            .filter(meta => urls.includes(meta.url))
+            .sort((a, b) => urls.indexOf(a.url) - urls.indexOf(b.url));
+
+        ordered.forEach(meta => {
+            meta.channels.forEach(channel => {
+                if (!channel.count) return;
+                const ref = { url: meta.url, id: channel.id, icon: channel.icon };
+
+                const id = channel.id.toLowerCase();
+                if (!this.byId.has(id)) {
+                    this.byId.set(id, ref);
+                }
+                channel.names.forEach(name => {
+                    const key = M3UParser.normalizeKeyText(name);
+                    if (key && !this.byName.has(key)) {
+                        this.byName.set(key, ref);
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * Find the guide channel of a channel: by tvg-id (with or without a feed suffix like "@SD"),
+     * then by tvg-name or name against display names
+     */
+    match(channel) {
+        const cacheKey = channel.key || channel.url;
+        if (this.matches.has(cacheKey)) {
+            return this.matches.get(cacheKey);
+        }
+
+        let ref = null;
+        const tvgId = String(channel.tvgId || '').trim().toLowerCase();
+        if (tvgId) {
+            ref = this.byId.get(tvgId) || this.byId.get(tvgId.split('@')[0]) || null;
+        }
+        if (!ref) {
+            ref = [channel.tvgId, channel.tvgName, channel.name]
+                .map(name => this.byName.get(M3UParser.normalizeKeyText(name)))
+                .find(Boolean) || null;
+        }
+
+        this.matches.set(cacheKey, ref);
+        return ref;
+    },
+
+    /**
+     * Check if a channel has guide data
+     */
+    hasGuide(channel) {
+        return Boolean(this.match(channel));
+    },
+
+    /**
+     * Load the in-memory programme window of channels, e.g. the cards on screen
+     * Resolves to true when new programmes were loaded
+     */
+    async prime(channels) {
+        const now = Date.now();
+        const keys = [];
+        channels.forEach(channel => {
+            const ref = this.match(channel);
+            if (!ref) return;
+            const key = this.getStoreKey(ref.url, ref.id);
+            const cached = this.guide.get(key);
+            if ((!cached || now - cached.loadedAt > this.MEMORY_BEFORE) && !keys.includes(key)) {
+                keys.push(key);
+            }
+        });
+        if (keys.length === 0) return false;
+
+        let stored;
+        try {
+            stored = await IDBStore.getMany(this.PROGRAMMES_STORE, keys);
+        } catch (error) {
+            console.warn('Error reading programmes:', error.message);
+            return false;
+        }
+
+        const from = now - this.MEMORY_BEFORE;
+        const to = now + this.MEMORY_AFTER;
+        keys.forEach((key, index) => {
+            this.guide.set(key, {
+                programmes: (stored[index] || []).filter(programme => programme.stop > from && programme.start < to),
+                loadedAt: now
+            });
+        });
+        return true;
+    },
+
+    /**
+     * Get the current and next programme of a primed channel, shifted by its tvg-shift
+     * Returns { now, next } (either may be null), or null without guide data in memory
+     */
+    getNowNext(channel, time = Date.now()) {
+        const ref = this.match(channel);
+        const cached = ref ? this.guide.get(this.getStoreKey(ref.url, ref.id)) : null;
+        if (!cached) return null;
+
+        const shift = this.getShift(channel);
+        const programmes = cached.programmes;
+        const index = programmes.findIndex(programme => programme.stop + shift > time);
+        if (index === -1) {
+            return { now: null, next: null };
+        }
+
+        const current = programmes[index].start + shift <= time ? programmes[index] : null;
+        const upcoming = programmes[current ? index + 1 : index];
+        return {
+            now: current ? this.shiftProgramme(current, shift) : null,
+            next: upcoming ? this.shiftProgramme(upcoming, shift) : null
+        };
+    },
+
+    /**
+     * Get programmes of a channel overlapping from..to (ms), shifted by its tvg-shift
+     */
+    async getProgrammes(channel, from, to) {
+        const [programmes] = await this.loadProgrammes([channel]);
+        return programmes.filter(programme => programme.stop > from && programme.start < to);
+    },
+
+    /**
+     * Get all stored programmes of several channels in one read, shifted by their tvg-shift
+     * Returns one list per channel, empty for channels without a guide
+     */
+    async loadProgrammes(channels) {
+        const refs = channels.map(channel => this.match(channel));
+        const keys = refs.filter(Boolean).map(ref => this.getStoreKey(ref.url, ref.id));
+        const stored = keys.length > 0 ? await IDBStore.getMany(this.PROGRAMMES_STORE, keys) : [];
+
+        let index = 0;
+        return channels.map((channel, i) => {
+            if (!refs[i]) return [];
+            const shift = this.getShift(channel);
+            return (stored[index++] || []).map(programme => this.shiftProgramme(programme, shift));
+        });
+    },
+
+    /**
+     * Offset of a channel's tvg-shift in ms
+     */
+    getShift(channel) {
+        return (Number(channel.tvgShift) || 0) * 60 * 60 * 1000;
+    },
+
+    /**
+     * Copy of a programme with shifted times
+     */
+    shiftProgramme(programme, shift) {
+        return shift ? Object.assign({}, programme, { start: programme.start + shift, stop: programme.stop + shift }) : programme;
+    },
+
+    /**
+     * Format a programme's start time, e.g. "20:15"
+     */
+    formatTime(time) {
+        return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    },
+
+    /**
+     * Describe now/next for one line of text, e.g. "Now: News · 20:15 Movie"
+     */
+    describeNowNext(nowNext) {
+        if (!nowNext) return '';
+        const parts = [];
+        if (nowNext.now) {
+            parts.push(`Now: ${nowNext.now.title}`);
+        }
+        if (nowNext.next) {
+            parts.push(`${this.formatTime(nowNext.next.start)} ${nowNext.next.title}`);
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Describe the loaded guides for the settings screen
+     */
+    describe() {
+        const urls = this.getUrls();
+        if (urls.length === 0) {
+            return 'No guide URLs';
+        }
+
+        const loaded = urls.map(url => this.sources.get(url)).filter(meta => meta && meta.loadedAt);
+        const channels = loaded.reduce((sum, meta) => sum + meta.channels.filter(channel => channel.count).length, 0);
+        const programmes = loaded.reduce((sum, meta) => sum + meta.programmeCount, 0);
+        return `${loaded.length} of ${urls.length} guides · ${channels} channels · ${programmes} programmes`;
+    },
+
+    /**
+     * Describe one guide for the settings list
+     */
+    describeSource(url) {
+        const meta = this.sources.get(url);
+        if (!meta) {
+            return 'Not loaded';
+        }
+        const parts = [];
+        if (meta.loadedAt) {
+            parts.push(`${meta.programmeCount} programmes · ${new Date(meta.loadedAt).toLocaleString()}`);
+            if (meta.route) {
+                parts.push(`via ${meta.route}`);
+            }
+        }
+        if (meta.error) {
+            parts.push(`Error: ${meta.error}`);
+        }
+        return parts.join(' · ');
+    }
+};
+
+// Export for use
+window.EPG = EPG;
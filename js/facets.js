@@ -0,0 +1,182 @@
+/**
+ * Channel Facets for IPTV UI
+ * Multi-select filters by country, language, category and source with counts that follow the other filters
+ */
+
+const Facets = {
+    // Facets in display order; values(channel) returns the facet keys of a channel
+    FACETS: {
+        country: {
+            label: 'Countries',
+            values: (channel) => Facets.splitList(channel.country).map(code => code.toUpperCase())
+        },
+        language: {
+            label: 'Languages',
+            values: (channel) => Facets.splitList(channel.language).map(language => Facets.getLanguageKey(language))
+        },
+        category: {
+            label: 'Categories',
+            // Playlist groups like "Kids;Animation" plus categories from the channel database
+            values: (channel) => Facets.splitList(channel.group)
+                .concat(channel.info && channel.info.categories ? channel.info.categories : [])
+                .map(category => category.toLowerCase())
+        },
+        source: {
+            label: 'Sources',
+            values: (channel) => channel.sourceId ? [channel.sourceId] : []
+        }
+    },
+
+    /**
+     * Create an empty selection: { facet: [keys] }
+     */
+    createSelection() {
+        const selection = {};
+        Object.keys(this.FACETS).forEach(facet => {
+            selection[facet] = [];
+        });
+        return selection;
+    },
+
+    /**
+     * Normalize a stored selection, dropping unknown facets
+     */
+    normalizeSelection(selection) {
+        const normalized = this.createSelection();
+        Object.keys(normalized).forEach(facet => {
+            if (selection && Array.isArray(selection[facet])) {
+                normalized[facet] = selection[facet].slice();
+            }
+        });
+        return normalized;
+    },
+
+    /**
+     * Check if no facet value is selected
+     */
+    isEmpty(selection) {
+        return Object.values(selection).every(keys => keys.length === 0);
+    },
+
+    /**
+     * Return a selection with a facet value added or removed
+     */
+    toggle(selection, facet, key) {
+        const updated = this.normalizeSelection(selection);
+        const keys = updated[facet];
+        const index = keys.indexOf(key);
+        if (index === -1) {
+            keys.push(key);
+        } else {
+            keys.splice(index, 1);
+        }
+        return updated;
+    },
+
+    /**
+     * Filter channels and count facet values
+     * Values of one facet are ORed, facets are ANDed. Counts of a facet ignore its own
+     * selection, so they tell how many channels selecting that value would add
+     * Returns { channels, counts: { facet: Map(key -> { key, label, count, selected }) } }
+     */
+    compute(channels, selection) {
+        const facets = Object.keys(this.FACETS);
+        const selected = {};
+        facets.forEach(facet => {
+            selected[facet] = new Set(selection[facet] || []);
+        });
+
+        const counts = {};
+        facets.forEach(facet => {
+            counts[facet] = new Map();
+            selected[facet].forEach(key => {
+                counts[facet].set(key, { key, label: key, count: 0, selected: true });
+            });
+        });
+
+        const matches = [];
+        channels.forEach(channel => {
+            const values = {};
+            const failed = [];
+
+            facets.forEach(facet => {
+                values[facet] = this.FACETS[facet].values(channel);
+                if (selected[facet].size > 0 && !values[facet].some(key => selected[facet].has(key))) {
+                    failed.push(facet);
+                }
+            });
+
+            // A channel failing one facet still counts for that facet's values
+            if (failed.length > 1) return;
+            if (failed.length === 0) {
+                matches.push(channel);
+            }
+
+            facets.forEach(facet => {
+                if (failed.length === 1 && failed[0] !== facet) return;
+                new Set(values[facet]).forEach(key => {
+                    let entry = counts[facet].get(key);
+                    if (!entry) {
+                        entry = { key, label: key, count: 0, selected: false };
+                        counts[facet].set(key, entry);
+                    }
+                    if (entry.count === 0) {
+                        entry.label = this.getLabel(facet, key, channel);
+                    }
+                    entry.count++;
+                });
+            });
+        });
+
+        return { channels: matches, counts };
+    },
+
+    /**
+     * Get facet values sorted for display: selected first, then by count
+     */
+    getSortedValues(counts) {
+        return Array.from(counts.values())
+            .sort((a, b) => (b.selected - a.selected) || (b.count - a.count) || a.label.localeCompare(b.label));
+    },
+
+    /**
+     * Display label of a facet value, using a channel that has it
+     */
+    getLabel(facet, key, channel) {
+        switch (facet) {
+            case 'country': {
+                const country = Enrichment.countries.get(key);
+                return country ? `${country.flag || ''} ${country.name}`.trim() : key;
+            }
+            case 'language':
+                return Enrichment.languages.get(key) || this.splitList(channel.language)
+                    .find(language => this.getLanguageKey(language) === key) || key;
+            case 'category':
+                return this.splitList(channel.group)
+                    .concat(channel.info && channel.info.categories ? channel.info.categories : [])
+                    .find(category => category.toLowerCase() === key) || key;
+            case 'source':
+                return channel.sourceName || key;
+            default:
+                return key;
+        }
+    },
+
+    /**
+     * Key of a language given as code or name, so "German" and "deu" are one value
+     */
+    getLanguageKey(language) {
+        const text = language.toLowerCase();
+        return Enrichment.languageCodes.get(text) || text;
+    },
+
+    /**
+     * Split a list field like "DE;AT" or "News;Kids"
+     */
+    splitList(value) {
+        return String(value || '').split(/[;,|]/).map(entry => entry.trim()).filter(Boolean);
+    }
+};
+
+// Export for use
+window.Facets = Facets;
@@ -0,0 +1,314 @@
+/**
+ * Fetch Strategy for IPTV UI
+ * Walks the configured proxy chain with timeouts and orders routes by how well they worked before
+ */
+
+const FetchStrategy = {
+    // Proxy chain used until the user configures one
+    // "direct" fetches the URL itself, other entries are URL prefixes or templates with {url}
+    DEFAULT_PROXIES: [
+        'https://corsproxy.io/?',
+        'https://api.allorigins.win/raw?url=',
+        'direct',
+        'proxy.php?url='
+    ],
+
+    // Seconds without a response or new data before a route is abandoned
+    DEFAULT_TIMEOUT: 15,
+
+    // Weight of a new latency sample in the moving average
+    LATENCY_WEIGHT: 0.3,
+
+    // Attempts kept per route; older results fade out so a recovered proxy can win again
+    MAX_SAMPLES: 20,
+
+    /**
+     * Get the configured proxy chain
+     */
+    getProxies() {
+        const proxies = Storage.getSettings().proxies;
+        return Array.isArray(proxies) && proxies.length > 0 ? proxies : this.DEFAULT_PROXIES;
+    },
+
+    /**
+     * Parse proxy chain text, one entry per line
+     */
+    parseProxies(text) {
+        return String(text || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter((line, index, lines) => line && lines.indexOf(line) === index);
+    },
+
+    /**
+     * Get the route timeout in ms
+     */
+    getTimeout() {
+        const seconds = Number(Storage.getSettings().fetchTimeout);
+        return (seconds > 0 ? seconds : this.DEFAULT_TIMEOUT) * 1000;
+    },
+
+    /**
+     * Check if routes are ordered by their health stats
+     */
+    isAdaptive() {
+        return Storage.getSettings().adaptiveRoutes !== false;
+    },
+
+    /**
+     * Get fetch routes for a URL, in the order they are tried: [{ id, name, url, timeout }]
+     * options.directFirst tries the URL itself before proxies unless stats say otherwise
+     */
+    getRoutes(url, options = {}) {
+        const proxies = this.getProxies().slice();
+        if (options.directFirst && proxies.includes('direct')) {
+            proxies.splice(proxies.indexOf('direct'), 1);
+            proxies.unshift('direct');
+        }
+
+        const timeout = this.getTimeout();
+        const routes = proxies.map(proxy => ({
+            id: proxy,
+            name: this.getRouteName(proxy),
+            url: this.buildRouteUrl(proxy, url),
+            timeout: timeout
+        }));
+
+        return this.isAdaptive() ? this.rank(routes) : routes;
+    },
+
+    /**
+     * Build the URL fetched through a proxy entry
+     * Relative proxies such as proxy.php are resolved against the page
+     */
+    buildRouteUrl(proxy, url) {
+        if (proxy === 'direct') {
+            return url;
+        }
+        const target = proxy.includes('{url}')
+            ? proxy.replace('{url}', encodeURIComponent(url))
+            : proxy + encodeURIComponent(url);
+        return new URL(target, location.href).href;
+    },
+
+    /**
+     * Short name of a proxy entry for logs and the UI
+     */
+    getRouteName(proxy) {
+        if (proxy === 'direct') {
+            return 'direct';
+        }
+        try {
+            const parsed = new URL(proxy.replace('{url}', ''), location.href);
+            return parsed.origin === location.origin
+                ? parsed.pathname.split('/').pop() || parsed.host
+                : parsed.host;
+        } catch (e) {
+            return proxy;
+        }
+    },
+
+    /**
+     * Sort routes best first: success rate, then latency, then configured order
+     */
+    rank(routes) {
+        const stats = this.getStats();
+        const scored = routes.map((route, index) => ({ route, index, score: this.getScore(stats[route.id]) }));
+
+        scored.sort((a, b) => b.score.rate - a.score.rate ||
+            a.score.latency - b.score.latency ||
+            a.index - b.index);
+
+        return scored.map(entry => entry.route);
+    },
+
+    /**
+     * Score route stats; untried routes rank between working and failing ones
+     * Rates are rounded so small differences do not outweigh latency
+     */
+    getScore(entry) {
+        if (!entry || entry.attempts === 0) {
+            return { rate: 0.5, latency: Infinity };
+        }
+        const rate = (entry.successes + 1) / (entry.attempts + 2);
+        return {
+            rate: Math.round(rate * 10) / 10,
+            latency: entry.latency || Infinity
+        };
+    },
+
+    /**
+     * Get health stats per proxy entry: { attempts, successes, latency, lastError, lastUsed }
+     */
+    getStats() {
+        return Storage.getFetchStats();
+    },
+
+    /**
+     * Record the outcome of a route attempt
+     * latency is the time to the response headers in ms
+     */
+    record(routeId, ok, latency, error = null) {
+        const stats = this.getStats();
+        const entry = stats[routeId] || { attempts: 0, successes: 0, latency: null, lastError: null, lastUsed: null };
+
+        if (entry.attempts >= this.MAX_SAMPLES) {
+            entry.attempts /= 2;
+            entry.successes /= 2;
+        }
+
+        entry.attempts++;
+        entry.lastUsed = Date.now();
+        if (ok) {
+            entry.successes++;
+            entry.lastError = null;
+            if (latency !== null && latency !== undefined) {
+                entry.latency = entry.latency === null
+                    ? Math.round(latency)
+                    : Math.round(entry.latency + (latency - entry.latency) * this.LATENCY_WEIGHT);
+            }
+        } else {
+            entry.lastError = error;
+        }
+
+        stats[routeId] = entry;
+        Storage.saveFetchStats(stats);
+    },
+
+    /**
+     * Forget all route stats
+     */
+    resetStats() {
+        Storage.saveFetchStats({});
+    },
+
+    /**
+     * Create an abort deadline that expires after timeout ms without touch()
+     * Works in the playlist worker as well, which has no access to Storage
+     */
+    createDeadline(timeout) {
+        const controller = new AbortController();
+        let timer = null;
+
+        const deadline = {
+            signal: controller.signal,
+            expired: false,
+
+            // Restart the timer, e.g. when a chunk of data arrived
+            touch() {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    deadline.expired = true;
+                    controller.abort();
+                }, timeout);
+            },
+
+            clear() {
+                clearTimeout(timer);
+            },
+
+            // Replace the abort error with a readable one once the deadline expired
+            explain(error) {
+                return deadline.expired ? new Error(`Timed out after ${Math.round(timeout / 1000)}s`) : error;
+            }
+        };
+
+        deadline.touch();
+        return deadline;
+    },
+
+    /**
+     * Fetch a URL through the route chain
+     * options.read(response, deadline) turns the response into data and throws to try the next route
+     * Returns { data, route }
+     */
+    async fetch(url, options = {}) {
+        const read = options.read || (response => response.text());
+        let lastError = null;
+
+        for (const route of this.getRoutes(url, options)) {
+            const started = Date.now();
+            const deadline = this.createDeadline(route.timeout);
+            let latency = null;
+
+            try {
+                console.log('Fetching from:', route.url);
+
+                const response = await fetch(route.url, {
+                    method: 'GET',
+                    headers: {
+                        'Accept': options.accept || '*/*'
+                    },
+                    signal: deadline.signal
+                });
+                latency = Date.now() - started;
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const data = await read(response, deadline);
+                this.record(route.id, true, latency);
+                return { data, route };
+            } catch (error) {
+                lastError = deadline.explain(error);
+                console.warn('Proxy failed:', route.name, lastError.message);
+                this.record(route.id, false, latency, lastError.message);
+            } finally {
+                deadline.clear();
+            }
+        }
+
+        throw lastError || new Error('Failed to fetch');
+    },
+
+    /**
+     * Read a response body, restarting the deadline whenever data arrives
+     */
+    async readBytes(response, deadline) {
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            return new Uint8Array(await response.arrayBuffer());
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let length = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            deadline.touch();
+            chunks.push(value);
+            length += value.length;
+        }
+
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    },
+
+    /**
+     * Describe route stats for the settings screen
+     */
+    describeStats(entry) {
+        if (!entry || entry.attempts === 0) {
+            return 'Not used yet';
+        }
+        const rate = Math.round(entry.successes / entry.attempts * 100);
+        const parts = [`${rate}% success`];
+        if (entry.latency !== null) {
+            parts.push(`${entry.latency} ms`);
+        }
+        if (entry.lastError) {
+            parts.push(`last error: ${entry.lastError}`);
+        }
+        return parts.join(' · ');
+    }
+};
+
+// Export for use (also loaded by the playlist worker)
+self.FetchStrategy = FetchStrategy;
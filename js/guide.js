@@ -0,0 +1,610 @@
+/**
+ * Programme Guide for IPTV UI
+ * Channels x time grid that renders only the rows and the time span on screen
+ */
+
+const Guide = {
+    // Row height in px, matches .guide-row in styles.css
+    ROW_HEIGHT: 72,
+
+    // Rows rendered above and below the visible ones
+    OVERSCAN: 4,
+
+    // Visible time span and the step of earlier/later and left/right scrolling (ms)
+    SPAN: 3 * 60 * 60 * 1000,
+    STEP: 30 * 60 * 1000,
+    DAY: 24 * 60 * 60 * 1000,
+
+    // Channels whose programmes are kept in memory
+    CACHE_ROWS: 150,
+
+    // Channels with guide data, one per row
+    channels: [],
+
+    // Start of the visible time span (ms)
+    start: null,
+
+    // Focused row and time, kept while rows are re-rendered: { row, time }
+    focus: null,
+
+    // Cell the guide focused last, to notice focus moved in by Navigation
+    focusedCell: null,
+
+    // Programmes per channel key, in load order for eviction
+    cache: new Map(),
+
+    // Channel keys being loaded
+    loading: new Set(),
+
+    // Pending render frame
+    frame: null,
+
+    // Channel and programme shown in the details panel
+    detailChannel: null,
+    detailProgramme: null,
+
+    initialized: false,
+
+    /**
+     * Bind toolbar, scrolling and D-pad handling once
+     */
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        document.getElementById('guide-prev-day')?.addEventListener('click', () => this.setStart(this.start - this.DAY));
+        document.getElementById('guide-next-day')?.addEventListener('click', () => this.setStart(this.start + this.DAY));
+        document.getElementById('guide-earlier')?.addEventListener('click', () => this.setStart(this.start - this.STEP));
+        document.getElementById('guide-later')?.addEventListener('click', () => this.setStart(this.start + this.STEP));
+        document.getElementById('guide-now')?.addEventListener('click', () => this.jumpToNow());
+
+        const grid = document.getElementById('guide-grid');
+        if (grid) {
+            grid.addEventListener('scroll', () => this.scheduleRender());
+            // Horizontal wheel and shift+wheel move through time
+            grid.addEventListener('wheel', (e) => {
+                const delta = e.shiftKey ? e.deltaY : e.deltaX;
+                if (Math.abs(delta) < 20) return;
+                e.preventDefault();
+                this.setStart(this.start + Math.sign(delta) * this.STEP);
+            }, { passive: false });
+            grid.addEventListener('click', (e) => {
+                const cell = e.target.closest('.guide-cell');
+                if (cell) {
+                    this.select(cell);
+                }
+            });
+        }
+
+        document.getElementById('programme-watch')?.addEventListener('click', () => {
+            const channel = this.detailChannel;
+            document.getElementById('programme-modal')?.classList.add('hidden');
+            if (channel) {
+                App.playChannel(channel);
+            }
+        });
+        document.getElementById('programme-catchup')?.addEventListener('click', () => {
+            const channel = this.detailChannel;
+            const programme = this.detailProgramme;
+            document.getElementById('programme-modal')?.classList.add('hidden');
+            if (channel && programme) {
+                App.playChannel(channel, {
+                    archive: { start: programme.start, stop: programme.stop, title: programme.title, from: programme.start }
+                });
+            }
+        });
+        document.getElementById('programme-remind')?.addEventListener('click', () => this.toggleReminder(false));
+        document.getElementById('programme-remind-series')?.addEventListener('click', () => this.toggleReminder(true));
+
+        if (window.Navigation && typeof Navigation.addDirectionHandler === 'function') {
+            Navigation.addDirectionHandler('#guide-grid', (direction, element) => this.move(direction, element));
+        }
+
+        window.addEventListener('resize', () => this.scheduleRender());
+    },
+
+    /**
+     * Show the guide for the loaded channels, keeping the time span and focus
+     */
+    open() {
+        this.init();
+
+        const seen = new Set();
+        this.channels = App.state.channels.filter(channel => {
+            if (seen.has(channel.key) || !EPG.hasGuide(channel)) return false;
+            seen.add(channel.key);
+            return true;
+        });
+        this.cache = new Map();
+
+        document.getElementById('guide-empty')?.classList.toggle('hidden', this.channels.length > 0);
+        document.getElementById('guide-grid')?.classList.toggle('hidden', this.channels.length === 0);
+
+        if (this.start === null) {
+            this.jumpToNow();
+        } else {
+            this.render();
+        }
+    },
+
+    /**
+     * Scroll the time span to the current time
+     */
+    jumpToNow() {
+        this.setStart(Date.now() - this.STEP);
+    },
+
+    /**
+     * Move the time span, aligned to STEP and limited to the stored programme window
+     */
+    setStart(time) {
+        const now = Date.now();
+        const min = now - EPG.KEEP_PAST;
+        const max = now + EPG.KEEP_AHEAD - this.SPAN;
+        const start = Math.floor(Math.min(Math.max(time, min), max) / this.STEP) * this.STEP;
+
+        if (this.focus) {
+            // Keep the focus on screen
+            this.focus.time = Math.min(Math.max(this.focus.time, start), start + this.SPAN - 1);
+        }
+        this.start = start;
+        this.render();
+    },
+
+    /**
+     * Render on the next frame, e.g. while scrolling
+     */
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    },
+
+    /**
+     * Render the timeline and the visible rows
+     */
+    render() {
+        const grid = document.getElementById('guide-grid');
+        const rows = document.getElementById('guide-rows');
+        if (!grid || !rows || this.start === null) return;
+
+        this.renderDayLabel();
+        this.renderTimeline();
+
+        rows.style.height = `${this.channels.length * this.ROW_HEIGHT}px`;
+
+        const timelineHeight = document.getElementById('guide-timeline')?.offsetHeight || 0;
+        const scrollTop = Math.max(0, grid.scrollTop - timelineHeight);
+        const first = Math.max(0, Math.floor(scrollTop / this.ROW_HEIGHT) - this.OVERSCAN);
+        const last = Math.min(this.channels.length - 1,
+            Math.ceil((scrollTop + grid.clientHeight) / this.ROW_HEIGHT) + this.OVERSCAN);
+
+        const hadFocus = this.hasFocus();
+        const fragment = document.createDocumentFragment();
+        for (let row = first; row <= last; row++) {
+            fragment.appendChild(this.renderRow(row));
+        }
+        fragment.appendChild(this.renderNowLine());
+
+        rows.innerHTML = '';
+        rows.appendChild(fragment);
+
+        this.loadRows(first, last);
+
+        if (hadFocus) {
+            this.restoreFocus();
+        }
+        if (window.Navigation && typeof Navigation.updateFocusableElements === 'function') {
+            Navigation.updateFocusableElements();
+        }
+    },
+
+    /**
+     * Show the day of the time span
+     */
+    renderDayLabel() {
+        const label = document.getElementById('guide-day-label');
+        if (!label) return;
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const day = new Date(this.start);
+        day.setHours(0, 0, 0, 0);
+        const offset = Math.round((day - today) / this.DAY);
+
+        label.textContent = offset === 0 ? 'Today'
+            : offset === 1 ? 'Tomorrow'
+            : offset === -1 ? 'Yesterday'
+            : day.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'short' });
+    },
+
+    /**
+     * Render time ticks of the span
+     */
+    renderTimeline() {
+        const timeline = document.getElementById('guide-timeline');
+        if (!timeline) return;
+
+        timeline.innerHTML = '';
+        for (let time = this.start; time < this.start + this.SPAN; time += this.STEP) {
+            const tick = document.createElement('div');
+            tick.className = 'guide-tick';
+            tick.style.left = `${this.getPosition(time)}%`;
+            tick.textContent = EPG.formatTime(time);
+            timeline.appendChild(tick);
+        }
+    },
+
+    /**
+     * Render one channel row with the programmes of the span
+     */
+    renderRow(row) {
+        const channel = this.channels[row];
+        const rowEl = document.createElement('div');
+        rowEl.className = 'guide-row';
+        rowEl.style.top = `${row * this.ROW_HEIGHT}px`;
+
+        const channelEl = document.createElement('div');
+        channelEl.className = 'guide-channel';
+        if (channel.logo) {
+            const logo = document.createElement('img');
+            logo.src = LogoCache.getUrl(channel.logo);
+            logo.alt = '';
+            logo.loading = 'lazy';
+            channelEl.appendChild(logo);
+        }
+        const name = document.createElement('span');
+        name.className = 'truncate';
+        name.textContent = channel.name;
+        channelEl.appendChild(name);
+        rowEl.appendChild(channelEl);
+
+        const programmesEl = document.createElement('div');
+        programmesEl.className = 'guide-programmes';
+        rowEl.appendChild(programmesEl);
+
+        const end = this.start + this.SPAN;
+        const programmes = this.cache.get(channel.key);
+        const visible = programmes
+            ? programmes.filter(programme => programme.stop > this.start && programme.start < end)
+            : [];
+
+        if (visible.length === 0) {
+            // Rows stay focusable without programmes, selecting them tunes the channel
+            programmesEl.appendChild(this.createCell(row, {
+                start: this.start,
+                stop: end,
+                title: programmes ? 'No information' : ''
+            }, true));
+        } else {
+            visible.forEach(programme => programmesEl.appendChild(this.createCell(row, programme, false)));
+        }
+
+        return rowEl;
+    },
+
+    /**
+     * Create a programme cell, clipped to the span
+     */
+    createCell(row, programme, placeholder) {
+        const now = Date.now();
+        const left = this.getPosition(Math.max(programme.start, this.start));
+        const right = this.getPosition(Math.min(programme.stop, this.start + this.SPAN));
+
+        const cell = document.createElement('div');
+        cell.className = 'guide-cell focusable' +
+            (placeholder ? '' : programme.start <= now && programme.stop > now ? ' live' : programme.stop <= now ? ' past' : '');
+        if (!placeholder && programme.start > now && window.Reminders && Reminders.isSet(this.channels[row], programme)) {
+            cell.classList.add('reminded');
+        }
+        if (!placeholder && programme.stop <= now && window.Catchup && Catchup.isAvailable(this.channels[row], programme, now)) {
+            cell.classList.add('catchup');
+        }
+        cell.style.left = `${left}%`;
+        cell.style.width = `${right - left}%`;
+        cell.dataset.row = row;
+        cell.dataset.start = programme.start;
+        cell.dataset.stop = programme.stop;
+        if (placeholder) {
+            cell.dataset.placeholder = 'true';
+        }
+
+        const title = document.createElement('span');
+        title.textContent = programme.title;
+        cell.appendChild(title);
+
+        if (!placeholder) {
+            const time = document.createElement('span');
+            time.className = 'guide-cell-time';
+            time.textContent = `${EPG.formatTime(programme.start)} - ${EPG.formatTime(programme.stop)}`;
+            cell.appendChild(time);
+            cell.title = programme.subTitle ? `${programme.title} - ${programme.subTitle}` : programme.title;
+        }
+        return cell;
+    },
+
+    /**
+     * Marker of the current time, hidden outside the span
+     */
+    renderNowLine() {
+        const line = document.createElement('div');
+        line.className = 'guide-now-line';
+
+        const now = Date.now();
+        if (now < this.start || now >= this.start + this.SPAN) {
+            line.classList.add('hidden');
+        } else {
+            line.style.left = `calc(var(--guide-channel-width) + (100% - var(--guide-channel-width)) * ${this.getPosition(now) / 100})`;
+        }
+        return line;
+    },
+
+    /**
+     * Horizontal position of a time in the span, in percent
+     */
+    getPosition(time) {
+        return (time - this.start) / this.SPAN * 100;
+    },
+
+    /**
+     * Load programmes of rows not in the cache, then render again
+     */
+    async loadRows(first, last) {
+        const missing = this.channels.slice(first, last + 1)
+            .filter(channel => !this.cache.has(channel.key) && !this.loading.has(channel.key));
+        if (missing.length === 0) return;
+
+        missing.forEach(channel => this.loading.add(channel.key));
+        try {
+            const lists = await EPG.loadProgrammes(missing);
+            missing.forEach((channel, index) => this.cache.set(channel.key, lists[index]));
+
+            // Forget rows loaded first
+            while (this.cache.size > this.CACHE_ROWS) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        } catch (error) {
+            console.warn('Error loading guide rows:', error.message);
+            return;
+        } finally {
+            missing.forEach(channel => this.loading.delete(channel.key));
+        }
+
+        if (App.state.currentSection === 'guide') {
+            this.render();
+        }
+    },
+
+    /**
+     * Check if a guide cell has the focus, taking over focus that Navigation moved into the grid
+     */
+    hasFocus() {
+        const focused = window.Navigation ? Navigation.focusedElement : null;
+        if (!focused || !focused.classList.contains('guide-cell')) return false;
+
+        if (focused !== this.focusedCell && document.contains(focused)) {
+            this.focus = { row: Number(focused.dataset.row), time: Math.max(Number(focused.dataset.start), this.start) };
+            this.focusedCell = focused;
+        }
+        return Boolean(this.focus);
+    },
+
+    /**
+     * Move Navigation's focus to a cell
+     */
+    setFocus(cell) {
+        this.focusedCell = cell;
+        Navigation.setFocus(cell);
+    },
+
+    /**
+     * Focus the cell at the remembered row and time after rows were re-rendered
+     */
+    restoreFocus() {
+        const cell = this.findCell(this.focus.row, this.focus.time);
+        if (cell) {
+            this.setFocus(cell);
+        }
+    },
+
+    /**
+     * Find the rendered cell of a row covering a time, or the row's closest cell
+     */
+    findCell(row, time) {
+        const cells = Array.from(document.querySelectorAll(`#guide-rows .guide-cell[data-row="${row}"]`));
+        return cells.find(cell => Number(cell.dataset.start) <= time && Number(cell.dataset.stop) > time) ||
+            cells.find(cell => Number(cell.dataset.start) > time) ||
+            cells[cells.length - 1] ||
+            null;
+    },
+
+    /**
+     * Handle arrow keys on a cell, returns false to let Navigation leave the grid
+     */
+    move(direction, element) {
+        const row = Number(element.dataset.row);
+        const start = Number(element.dataset.start);
+        const stop = Number(element.dataset.stop);
+        // Up/down keep the time the focus had, so it does not drift along short programmes
+        const time = this.hasFocus() ? this.focus.time : Math.max(start, this.start);
+
+        switch (direction) {
+            case 'up':
+                if (row === 0) return false;
+                this.focusAt(row - 1, time, true);
+                return true;
+            case 'down':
+                if (row < this.channels.length - 1) {
+                    this.focusAt(row + 1, time, true);
+                }
+                return true;
+            case 'left':
+                // Previous programme, scrolling back when it starts before the span
+                if (start - 1 < this.start) {
+                    this.setStart(start - 1);
+                }
+                this.focusAt(row, Math.max(start - 1, this.start));
+                return true;
+            case 'right':
+                // Next programme, scrolling on when it starts after the span
+                if (stop >= this.start + this.SPAN) {
+                    this.setStart(stop - this.STEP);
+                }
+                this.focusAt(row, Math.min(stop, this.start + this.SPAN - 1));
+                return true;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Focus the cell of a row at a time, scrolling the row into view
+     * keepTime keeps the focus time for the next up/down move instead of the cell's start
+     */
+    focusAt(row, time, keepTime = false) {
+        const grid = document.getElementById('guide-grid');
+        if (grid) {
+            const timelineHeight = document.getElementById('guide-timeline')?.offsetHeight || 0;
+            const top = row * this.ROW_HEIGHT;
+            const visibleHeight = grid.clientHeight - timelineHeight;
+            if (top < grid.scrollTop) {
+                grid.scrollTop = top;
+            } else if (top + this.ROW_HEIGHT > grid.scrollTop + visibleHeight) {
+                grid.scrollTop = top + this.ROW_HEIGHT - visibleHeight;
+            }
+        }
+
+        this.focus = { row, time };
+        this.render();
+
+        const cell = this.findCell(row, time);
+        if (cell) {
+            if (!keepTime) {
+                this.focus.time = Math.max(Number(cell.dataset.start), this.start);
+            }
+            this.setFocus(cell);
+        }
+    },
+
+    /**
+     * Tune a channel from its current programme, or show details of other programmes
+     */
+    select(cell) {
+        const row = Number(cell.dataset.row);
+        const channel = this.channels[row];
+        if (!channel) return;
+
+        this.focus = { row, time: Math.max(Number(cell.dataset.start), this.start) };
+
+        const now = Date.now();
+        const start = Number(cell.dataset.start);
+        const programme = (this.cache.get(channel.key) || []).find(entry => entry.start === start);
+        if (cell.dataset.placeholder || !programme || (programme.start <= now && programme.stop > now)) {
+            App.playChannel(channel);
+            return;
+        }
+
+        this.showDetails(channel, programme);
+    },
+
+    /**
+     * Show the details panel of a programme
+     */
+    showDetails(channel, programme) {
+        const modal = document.getElementById('programme-modal');
+        if (!modal) return;
+        this.detailChannel = channel;
+        this.detailProgramme = programme;
+
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.textContent = text || '';
+            }
+        };
+
+        const date = new Date(programme.start).toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+        setText('programme-title', programme.title);
+        setText('programme-subtitle', [programme.subTitle, programme.episode].filter(Boolean).join(' · '));
+        setText('programme-time', `${channel.name} · ${date} · ${EPG.formatTime(programme.start)} - ${EPG.formatTime(programme.stop)}`);
+        setText('programme-category', programme.category);
+        setText('programme-desc', programme.desc || 'No description');
+
+        const image = document.getElementById('programme-image');
+        if (image) {
+            image.src = programme.icon || '';
+            image.classList.toggle('hidden', !programme.icon);
+        }
+        this.renderReminderButtons();
+
+        // Past and airing programmes of channels with an archive play from their start
+        const catchup = document.getElementById('programme-catchup');
+        if (catchup) {
+            const available = Boolean(window.Catchup && Catchup.isAvailable(channel, programme));
+            catchup.classList.toggle('hidden', !available);
+            catchup.textContent = programme.stop > Date.now() ? 'Start Over' : 'Watch from Start';
+        }
+
+        modal.classList.remove('hidden');
+        const watch = catchup && !catchup.classList.contains('hidden')
+            ? catchup
+            : document.getElementById('programme-watch');
+        if (watch && window.Navigation) {
+            Navigation.setFocus(watch);
+        }
+    },
+
+    /**
+     * Show the reminder buttons of the details panel for programmes yet to start
+     */
+    renderReminderButtons() {
+        const once = document.getElementById('programme-remind');
+        const series = document.getElementById('programme-remind-series');
+        if (!once || !series) return;
+
+        const channel = this.detailChannel;
+        const programme = this.detailProgramme;
+        const upcoming = Boolean(window.Reminders && channel && programme && programme.start > Date.now());
+        once.classList.toggle('hidden', !upcoming);
+        series.classList.toggle('hidden', !upcoming);
+        if (!upcoming) return;
+
+        const found = Reminders.find(channel, programme);
+        once.textContent = found.once ? 'Cancel Reminder' : 'Remind Me';
+        once.classList.toggle('active', Boolean(found.once));
+        series.textContent = found.series ? 'Stop Series Reminders' : 'Remind Every Episode';
+        series.classList.toggle('active', Boolean(found.series));
+    },
+
+    /**
+     * Set or cancel the reminder of the programme in the details panel
+     */
+    toggleReminder(recurring) {
+        const channel = this.detailChannel;
+        const programme = this.detailProgramme;
+        if (!channel || !programme) return;
+
+        const found = Reminders.find(channel, programme);
+        const existing = recurring ? found.series : found.once;
+        if (existing) {
+            Reminders.remove(existing.id);
+            App.showToast(`Reminder removed: ${programme.title}`);
+        } else {
+            Reminders.add(channel, programme, { recurring });
+            App.showToast(recurring
+                ? `Reminding of every episode of ${programme.title}`
+                : `Reminder set for ${EPG.formatTime(programme.start)} ${programme.title}`);
+        }
+
+        this.renderReminderButtons();
+        App.renderNotificationBadge();
+        if (App.state.currentSection === 'guide') {
+            this.render();
+        }
+    }
+};
+
+// Export for use
+window.Guide = Guide;
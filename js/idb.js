@@ -0,0 +1,164 @@
+/**
+ * IndexedDB Store for IPTV UI
+ * Keeps large data such as channel databases out of localStorage, in memory when IndexedDB is unavailable
+ */
+
+const IDBStore = {
+    NAME: 'iptv',
+
+    // Bump when adding object stores
+    VERSION: 3,
+
+    // Object stores, all keyed by explicit keys
+    STORES: ['enrichment', 'epg-sources', 'epg-programmes', 'playlists', 'logos'],
+
+    // Pending or open database, null until first use
+    opening: null,
+
+    // Fallback data per store when IndexedDB cannot be opened: store -> Map
+    memory: null,
+
+    /**
+     * Open the database, resolving to null when only the memory fallback works
+     */
+    open() {
+        if (this.opening) {
+            return this.opening;
+        }
+
+        this.opening = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            let request;
+            try {
+                request = indexedDB.open(this.NAME, this.VERSION);
+            } catch (e) {
+                // Private modes may refuse to open databases
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.STORES.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, keeping data in memory:', request.error && request.error.message);
+                resolve(null);
+            };
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade blocked by another tab');
+            };
+        }).then(db => {
+            if (!db) {
+                this.memory = new Map(this.STORES.map(name => [name, new Map()]));
+            }
+            return db;
+        });
+
+        return this.opening;
+    },
+
+    /**
+     * Run a request against an object store and resolve with its result
+     * operation receives an IDBObjectStore, or the fallback Map, and may return a list of requests
+     */
+    async run(store, mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return operation(this.memory.get(store));
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(store, mode);
+            const request = operation(transaction.objectStore(store));
+            transaction.oncomplete = () => resolve(Array.isArray(request)
+                ? request.map(entry => entry.result)
+                : request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Get a value, undefined if missing
+     */
+    get(store, key) {
+        return this.run(store, 'readonly', target => target.get(key));
+    },
+
+    /**
+     * Store a value under key
+     */
+    set(store, key, value) {
+        return this.run(store, 'readwrite', target => target instanceof Map
+            ? target.set(key, value)
+            : target.put(value, key));
+    },
+
+    /**
+     * Get several values in one transaction, undefined for missing keys
+     */
+    getMany(store, keys) {
+        return this.run(store, 'readonly', target => keys.map(key => target.get(key)));
+    },
+
+    /**
+     * Store several [key, value] entries in one transaction
+     */
+    setMany(store, entries) {
+        return this.run(store, 'readwrite', target => entries.map(([key, value]) => target instanceof Map
+            ? target.set(key, value)
+            : target.put(value, key)));
+    },
+
+    /**
+     * Get all values of a store
+     */
+    getAll(store) {
+        return this.run(store, 'readonly', target => target instanceof Map
+            ? Array.from(target.values())
+            : target.getAll());
+    },
+
+    /**
+     * Remove a value
+     */
+    delete(store, key) {
+        return this.run(store, 'readwrite', target => target.delete(key));
+    },
+
+    /**
+     * Remove several values in one transaction
+     */
+    deleteMany(store, keys) {
+        return this.run(store, 'readwrite', target => keys.map(key => target.delete(key)));
+    },
+
+    /**
+     * Get all keys of a store
+     */
+    keys(store) {
+        return this.run(store, 'readonly', target => target instanceof Map
+            ? Array.from(target.keys())
+            : target.getAllKeys());
+    },
+
+    /**
+     * Remove all values of a store
+     */
+    clear(store) {
+        return this.run(store, 'readwrite', target => target.clear());
+    }
+};
+
+// Export for use
+window.IDBStore = IDBStore;
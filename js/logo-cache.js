@@ -0,0 +1,159 @@
+/**
+ * Logo Cache for IPTV UI
+ * Keeps channel logos in IndexedDB so cards show them without refetching on every launch
+ */
+
+const LogoCache = {
+    STORE: 'logos',
+
+    // Logos kept, the least recently stored are dropped
+    MAX_ENTRIES: 1500,
+
+    // Stored logos older than this are fetched again, and shown meanwhile (ms)
+    MAX_AGE: 30 * 24 * 60 * 60 * 1000,
+
+    // Parallel logo downloads
+    CONCURRENCY: 3,
+
+    // Object URLs of stored logos: logo URL -> blob URL
+    urls: new Map(),
+
+    // Store time of stored logos: logo URL -> ms
+    savedAt: new Map(),
+
+    // Logo URLs waiting to be stored, and those that cannot be (no CORS)
+    queue: [],
+    queued: new Set(),
+    failed: new Set(),
+    active: 0,
+
+    // Pending init
+    loading: null,
+
+    /**
+     * Load stored logos once, dropping the oldest over MAX_ENTRIES
+     */
+    init() {
+        if (!this.loading) {
+            this.loading = this.load().catch(error => {
+                console.warn('Error loading logo cache:', error.message);
+            });
+        }
+        return this.loading;
+    },
+
+    async load() {
+        const entries = (await IDBStore.getAll(this.STORE)).filter(entry => entry && entry.blob);
+        entries.sort((a, b) => b.savedAt - a.savedAt);
+
+        const dropped = entries.slice(this.MAX_ENTRIES);
+        if (dropped.length > 0) {
+            await IDBStore.deleteMany(this.STORE, dropped.map(entry => entry.url));
+        }
+
+        entries.slice(0, this.MAX_ENTRIES).forEach(entry => {
+            this.urls.set(entry.url, URL.createObjectURL(entry.blob));
+            this.savedAt.set(entry.url, entry.savedAt);
+        });
+    },
+
+    /**
+     * Get the URL to show for a logo: the stored copy when there is one
+     */
+    getUrl(url) {
+        return (url && this.urls.get(url)) || url;
+    },
+
+    /**
+     * Store logos of rendered images (img[data-logo]) once they loaded from the network
+     */
+    apply(root) {
+        root.querySelectorAll('img[data-logo]').forEach(img => {
+            const url = img.dataset.logo;
+            if (!this.needsStore(url)) return;
+
+            if (img.complete && img.naturalWidth > 0) {
+                this.enqueue(url);
+            } else {
+                img.addEventListener('load', () => this.enqueue(url), { once: true });
+            }
+        });
+    },
+
+    /**
+     * Check if a logo is missing or outdated in the store
+     */
+    needsStore(url) {
+        if (!url || !/^https?:/i.test(url) || this.failed.has(url) || this.queued.has(url)) {
+            return false;
+        }
+        const savedAt = this.savedAt.get(url);
+        return savedAt === undefined || Date.now() - savedAt > this.MAX_AGE;
+    },
+
+    /**
+     * Queue a logo download
+     */
+    enqueue(url) {
+        if (!this.needsStore(url)) return;
+        this.queued.add(url);
+        this.queue.push(url);
+        this.next();
+    },
+
+    /**
+     * Start queued downloads up to CONCURRENCY
+     */
+    next() {
+        while (this.active < this.CONCURRENCY && this.queue.length > 0) {
+            const url = this.queue.shift();
+            this.active++;
+            this.store(url).finally(() => {
+                this.active--;
+                this.queued.delete(url);
+                this.next();
+            });
+        }
+    },
+
+    /**
+     * Download and store a logo
+     * Hosts without CORS headers cannot be read, their logos keep loading from the network
+     */
+    async store(url) {
+        try {
+            const response = await fetch(url, { mode: 'cors' });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            if (!blob.type.startsWith('image/')) {
+                throw new Error(`Not an image: ${blob.type}`);
+            }
+
+            const savedAt = Date.now();
+            await IDBStore.set(this.STORE, url, { url, blob, savedAt });
+            this.savedAt.set(url, savedAt);
+            // Images on screen keep their URL, later renders use the stored copy
+            if (!this.urls.has(url)) {
+                this.urls.set(url, URL.createObjectURL(blob));
+            }
+        } catch (error) {
+            this.failed.add(url);
+        }
+    },
+
+    /**
+     * Remove all stored logos
+     */
+    async clear() {
+        this.urls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+        this.urls.clear();
+        this.savedAt.clear();
+        await IDBStore.clear(this.STORE);
+    }
+};
+
+// Export for use
+window.LogoCache = LogoCache;
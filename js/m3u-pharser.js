@@ -7,132 +7,582 @@ const M3UParser = {
     // Playlist URL
     PLAYLIST_URL: 'https://iptv-org.github.io/iptv/index.m3u',
     
-    // PHP Proxy
-    PHP_PROXY: 'proxy.php?url=',
+    // Worker that streams and parses playlists off the main thread
+    WORKER_URL: 'js/playlist-worker.js',
     
-    // CORS Proxy (if needed)
-    CORS_PROXIES: [
-        'https://corsproxy.io/?',
-        'https://api.allorigins.win/raw?url=',
-        ''  // Try direct if proxies fail
-    ],
+    // Header metadata (#EXTM3U) of the last loaded playlist
+    header: null,
+
+    // Import report of the last loaded playlist
+    report: null,
+
+    // How each URL scheme can be played
+    STREAM_SCHEMES: {
+        http: 'browser',
+        https: 'browser',
+        rtmp: 'relay',
+        rtmps: 'relay',
+        rtsp: 'relay',
+        rtp: 'relay',
+        udp: 'relay',
+        mms: 'relay',
+        mmsh: 'relay',
+        mmst: 'relay',
+        srt: 'relay'
+    },
+
+    // Reasons an entry can be skipped during import
+    SKIP_REASONS: {
+        'missing-url': 'No stream URL after #EXTINF',
+        'relative-url': 'Relative URL without a playlist base URL',
+        'invalid-url': 'Malformed stream URL'
+    },
 
     /**
      * Fetch and parse playlist
      */
-    async fetchPlaylist(url = this.PLAYLIST_URL) {
+    async fetchPlaylist(url = this.PLAYLIST_URL, options = {}) {
+        const result = await this.loadPlaylist(url, options);
+        this.header = result.header;
+        this.report = result.report;
+        return result.channels;
+    },
+
+    /**
+     * Load playlist as { header, channels, report }, from cache unless options.force
+     * Parsing runs in a Web Worker when available. options.onBatch receives
+     * channels as they arrive, options.onProgress the download progress and
+     * options.onReset is called when a partially loaded route is abandoned.
+     * options.sourceId selects the per-source cache entry.
+     * Fetched results include the route that served them: { id, name }
+     */
+    async loadPlaylist(url = this.PLAYLIST_URL, options = {}) {
         // Check cache first
-        const cached = Storage.getCachedChannels();
-        if (cached && cached.length > 0) {
-            console.log('Using cached channels:', cached.length);
-            return cached;
+        const cached = options.force ? null : await Storage.getCachedPlaylist(options.sourceId);
+        if (cached && cached.channels.length > 0) {
+            console.log('Using cached channels:', cached.channels.length);
+            return {
+                header: cached.header || this.createHeader(),
+                channels: cached.channels,
+                report: null,
+                cached: true
+            };
         }
 
-        let lastError = null;
+        let result = null;
 
-        // Try each proxy
-        for (const proxy of this.CORS_PROXIES) {
+        if (this.canUseWorker()) {
             try {
-                const fetchUrl = proxy + encodeURIComponent(url);
-                console.log('Fetching playlist from:', fetchUrl);
-                
-                const response = await fetch(proxy ? fetchUrl : url, {
-                    method: 'GET',
-                    headers: {
-                        'Accept': '*/*'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                result = await this.fetchPlaylistInWorker(url, options);
+            } catch (error) {
+                if (!error.workerFailed) {
+                    throw error;
                 }
+                console.warn('Playlist worker unavailable, parsing on main thread:', error.message);
+            }
+        }
 
-                const content = await response.text();
-                const channels = this.parse(content);
-                
-                if (channels.length > 0) {
-                    // Cache the results
-                    Storage.cacheChannels(channels);
-                    console.log('Parsed channels:', channels.length);
-                    return channels;
-                }
-            } catch (error) {
-                console.warn('Proxy failed:', proxy, error.message);
-                lastError = error;
+        if (!result) {
+            result = await this.fetchPlaylistDirect(url);
+            if (options.onBatch) {
+                options.onBatch(result.channels);
             }
         }
 
-        // If all proxies fail, try PHP proxy
-        try {
-            const phpUrl = this.PHP_PROXY + encodeURIComponent(url);
-            console.log('Trying PHP proxy:', phpUrl);
-            const response = await fetch(phpUrl);
-            if (response.ok) {
-                const content = await response.text();
-                const channels = this.parse(content);
-                if (channels.length > 0) {
-                    Storage.cacheChannels(channels);
-                    return channels;
+        // Cache the results
+        Storage.cacheChannels(result.channels, 1, result.header, options.sourceId);
+        console.log('Parsed channels:', result.channels.length);
+        return result;
+    },
+
+    /**
+     * Get fetch routes for a playlist URL, in the order they are tried
+     * The proxy chain and its order come from FetchStrategy
+     */
+    getFetchRoutes(url) {
+        return FetchStrategy.getRoutes(url);
+    },
+
+    /**
+     * Check if playlists can be parsed in a Web Worker
+     */
+    canUseWorker() {
+        // Workers cannot be loaded from file:// pages
+        return typeof Worker !== 'undefined' && location.protocol !== 'file:';
+    },
+
+    /**
+     * Fetch and parse playlist in the playlist worker
+     */
+    fetchPlaylistInWorker(url, callbacks) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.WORKER_URL);
+            } catch (error) {
+                error.workerFailed = true;
+                reject(error);
+                return;
+            }
+
+            const channels = [];
+
+            worker.addEventListener('message', (e) => {
+                const message = e.data;
+                switch (message.type) {
+                    case 'batch':
+                        message.channels.forEach(channel => channels.push(channel));
+                        if (callbacks.onBatch) {
+                            callbacks.onBatch(message.channels);
+                        }
+                        break;
+                    case 'reset':
+                        channels.length = 0;
+                        if (callbacks.onReset) {
+                            callbacks.onReset();
+                        }
+                        break;
+                    case 'progress':
+                        if (callbacks.onProgress) {
+                            callbacks.onProgress(message);
+                        }
+                        break;
+                    case 'attempt':
+                        // The worker cannot reach Storage, stats are kept here
+                        FetchStrategy.record(message.route.id, message.ok, message.latency, message.error);
+                        break;
+                    case 'done':
+                        worker.terminate();
+                        console.log('Playlist served by:', message.route.name);
+                        resolve({
+                            header: message.header,
+                            channels: channels,
+                            report: message.report,
+                            route: message.route
+                        });
+                        break;
+                    case 'error':
+                        worker.terminate();
+                        reject(new Error(message.message));
+                        break;
                 }
+            });
+
+            worker.addEventListener('error', (e) => {
+                worker.terminate();
+                const error = new Error(e.message || 'Playlist worker failed');
+                error.workerFailed = true;
+                reject(error);
+            });
+
+            worker.postMessage({
+                type: 'load',
+                url: url,
+                routes: this.getFetchRoutes(url)
+            });
+        });
+    },
+
+    /**
+     * Fetch and parse playlist on the main thread
+     */
+    async fetchPlaylistDirect(url) {
+        const { data, route } = await FetchStrategy.fetch(url, {
+            read: async (response, deadline) => {
+                const bytes = await FetchStrategy.readBytes(response, deadline);
+                const content = await PlaylistFormats.decodeBytes(bytes);
+                const result = PlaylistFormats.parse(content, { baseUrl: url, fileName: url });
+
+                if (result.channels.length === 0) {
+                    throw new Error('No channels found in playlist');
+                }
+                return result;
             }
-        } catch (error) {
-            console.warn('PHP proxy failed:', error.message);
-        }
+        });
 
-        throw lastError || new Error('Failed to fetch playlist');
+        console.log('Playlist served by:', route.name);
+        return Object.assign(data, { route: { id: route.id, name: route.name } });
     },
 
     /**
      * Parse M3U content
      */
     parse(content) {
-        const channels = [];
+        return this.parsePlaylist(content).channels;
+    },
+
+    /**
+     * Parse M3U content into playlist header, channels and import report
+     * Relative stream URLs are resolved against options.baseUrl
+     */
+    parsePlaylist(content, options = {}) {
+        const state = this.createParseState(options);
         const lines = content.split('\n');
-        
-        let currentChannel = null;
 
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+            this.parseLine(state, lines[i]);
+        }
 
-            // Skip empty lines
-            if (!line) continue;
+        return this.finishParse(state);
+    },
 
-            // Parse EXTINF line
-            if (line.startsWith('#EXTINF:')) {
-                currentChannel = this.parseExtInf(line);
-            }
-            // Parse stream URL
-            else if (line.startsWith('http') && currentChannel) {
-                currentChannel.url = line;
-                currentChannel.id = this.generateId(currentChannel);
-                channels.push(currentChannel);
-                currentChannel = null;
+    /**
+     * Create parser state shared across lines
+     */
+    createParseState(options = {}) {
+        return {
+            header: this.createHeader(),
+            channels: [],
+            baseUrl: options.baseUrl || '',
+            lineNumber: 0,
+            // Directives seen since the last stream URL
+            pending: null,
+            report: {
+                entries: 0,
+                imported: 0,
+                playback: { browser: 0, relay: 0, unsupported: 0 },
+                skipped: []
             }
+        };
+    },
+
+    /**
+     * Flush pending state and return the parse result
+     */
+    finishParse(state) {
+        if (state.pending && state.pending.hasExtInf) {
+            this.skipEntry(state, state.pending, '', 'missing-url');
         }
+        state.pending = null;
 
-        return channels;
+        return {
+            header: state.header,
+            channels: state.channels,
+            report: state.report
+        };
     },
 
     /**
-     * Parse EXTINF line
+     * Record a skipped entry in the import report
      */
-    parseExtInf(line) {
-        const channel = {
+    skipEntry(state, channel, url, reason) {
+        state.report.entries++;
+        state.report.skipped.push({
+            line: channel.line || state.lineNumber,
+            name: channel.name,
+            url: url,
+            reason: reason,
+            message: this.SKIP_REASONS[reason]
+        });
+    },
+
+    /**
+     * Create empty playlist header metadata
+     */
+    createHeader() {
+        return {
+            epgUrls: [],
+            tvgShift: 0,
+            catchup: '',
+            catchupDays: 0,
+            catchupSource: '',
+            userAgent: '',
+            attributes: {}
+        };
+    },
+
+    /**
+     * Create empty channel entry
+     */
+    createChannel() {
+        return {
             name: 'Unknown Channel',
             logo: '',
             group: 'Uncategorized',
             language: '',
             country: '',
             tvgId: '',
-            tvgName: ''
+            tvgName: '',
+            tvgChno: null,
+            tvgShift: null,
+            duration: -1,
+            catchup: '',
+            catchupDays: 0,
+            catchupSource: '',
+            userAgent: '',
+            referrer: '',
+            drm: null,
+            kodiProps: {},
+            vlcOptions: {},
+            attributes: {}
         };
+    },
 
-        // Extract attributes using regex
-        const attrRegex = /([a-zA-Z-]+)="([^"]*)"/g;
-        let match;
+    /**
+     * Parse a single playlist line into the parser state
+     */
+    parseLine(state, rawLine) {
+        const line = rawLine.trim();
+        state.lineNumber++;
+
+        // Skip empty lines
+        if (!line) return;
+
+        if (line.startsWith('#EXTM3U')) {
+            this.parseHeader(state.header, line);
+        } else if (line.startsWith('#EXTINF:')) {
+            if (state.pending && state.pending.hasExtInf) {
+                this.skipEntry(state, state.pending, '', 'missing-url');
+            }
+            const channel = this.parseExtInf(line);
+            channel.line = state.lineNumber;
+            state.pending = this.mergePending(state.pending, channel);
+        } else if (line.startsWith('#EXTGRP:')) {
+            state.pending = state.pending || this.createChannel();
+            state.pending.extGroup = line.slice(8).trim();
+        } else if (line.startsWith('#EXTVLCOPT:')) {
+            state.pending = state.pending || this.createChannel();
+            this.parseVlcOption(state.pending, line.slice(11));
+        } else if (line.startsWith('#KODIPROP:')) {
+            state.pending = state.pending || this.createChannel();
+            this.parseKodiProp(state.pending, line.slice(10));
+        } else if (!line.startsWith('#')) {
+            this.parseUrlLine(state, line);
+        }
+    },
+
+    /**
+     * Attach a stream URL line to the pending entry
+     */
+    parseUrlLine(state, line) {
+        let channel = state.pending;
+        state.pending = null;
+
+        // Plain playlists list URLs without #EXTINF
+        if (!channel || !channel.hasExtInf) {
+            channel = this.mergePending(channel, this.createChannel());
+            channel.name = this.nameFromUrl(line);
+            channel.line = state.lineNumber;
+        }
+
+        this.addEntry(state, channel, line);
+    },
+
+    /**
+     * Resolve the stream URL of an entry and add it to the parse result
+     * Shared with the PLS, XSPF, JSON and Enigma2 parsers in PlaylistFormats
+     */
+    addEntry(state, channel, rawUrl) {
+        const line = (rawUrl || '').trim();
+        if (!line) {
+            this.skipEntry(state, channel, '', 'missing-url');
+            return;
+        }
+
+        const url = this.resolveUrl(line, state.baseUrl);
+        if (!url) {
+            const reason = this.looksLikePath(line) && !state.baseUrl ? 'relative-url' : 'invalid-url';
+            this.skipEntry(state, channel, line, reason);
+            return;
+        }
+
+        channel.url = url;
+        const channelOut = this.finalizeChannel(channel, state.header);
+
+        state.report.entries++;
+        state.report.imported++;
+        state.report.playback[channelOut.playback]++;
+        state.channels.push(channelOut);
+    },
+
+    /**
+     * Get lower-case URL scheme, or empty string for relative URLs
+     */
+    getScheme(url) {
+        const match = url.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+        return match ? match[1].toLowerCase() : '';
+    },
+
+    /**
+     * Check if a scheme-less URL looks like a relative path
+     */
+    looksLikePath(url) {
+        return !/\s/.test(url);
+    },
+
+    /**
+     * Resolve stream URL against playlist base URL
+     */
+    resolveUrl(url, baseUrl) {
+        if (this.getScheme(url)) {
+            return url;
+        }
+        if (!baseUrl || !this.looksLikePath(url)) {
+            return null;
+        }
+        try {
+            return new URL(url, baseUrl).href;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Classify how a stream URL can be played
+     * browser: plays directly, relay: needs a relay server, unsupported: cannot be played
+     */
+    classifyUrl(url) {
+        const scheme = this.getScheme(url);
+        return {
+            scheme: scheme,
+            playback: this.STREAM_SCHEMES[scheme] || 'unsupported'
+        };
+    },
+
+    /**
+     * Derive a channel name from its URL
+     */
+    nameFromUrl(url) {
+        const path = url.split(/[?#]/)[0].replace(/\/+$/, '');
+        let name = path.substring(path.lastIndexOf('/') + 1);
+        try {
+            name = decodeURIComponent(name);
+        } catch (e) {
+            // Keep encoded name
+        }
+        return name.replace(/\.[a-z0-9]+$/i, '') || 'Unknown Channel';
+    },
+
+    /**
+     * Merge a parsed EXTINF entry into directives that preceded it
+     */
+    mergePending(pending, channel) {
+        if (!pending || pending.hasExtInf) {
+            return channel;
+        }
 
-        while ((match = attrRegex.exec(line)) !== null) {
-            const [, key, value] = match;
+        // #EXTVLCOPT / #KODIPROP / #EXTGRP may appear before #EXTINF
+        channel.kodiProps = Object.assign(pending.kodiProps, channel.kodiProps);
+        channel.vlcOptions = Object.assign(pending.vlcOptions, channel.vlcOptions);
+        channel.userAgent = channel.userAgent || pending.userAgent;
+        channel.referrer = channel.referrer || pending.referrer;
+        channel.drm = channel.drm || pending.drm;
+        if (pending.extGroup) {
+            channel.extGroup = pending.extGroup;
+        }
+        return channel;
+    },
+
+    /**
+     * Apply header defaults and derived fields once the stream URL is known
+     */
+    finalizeChannel(channel, header) {
+        if (!channel.hasGroupTitle && channel.extGroup) {
+            channel.group = channel.extGroup;
+        }
+        if (channel.tvgShift === null) {
+            channel.tvgShift = header.tvgShift;
+        }
+        if (!channel.catchup) {
+            channel.catchup = header.catchup;
+        }
+        if (!channel.catchupDays) {
+            channel.catchupDays = header.catchupDays;
+        }
+        if (!channel.catchupSource) {
+            channel.catchupSource = header.catchupSource;
+        }
+        if (!channel.userAgent) {
+            channel.userAgent = header.userAgent;
+        }
+
+        delete channel.hasExtInf;
+        delete channel.hasGroupTitle;
+        delete channel.extGroup;
+        delete channel.line;
+
+        Object.assign(channel, this.classifyUrl(channel.url));
+
+        channel.id = this.generateId(channel);
+        // Sources.tagChannels recomputes this once the source is known
+        channel.key = this.getChannelKey(channel);
+        return channel;
+    },
+
+    /**
+     * Parse #EXTM3U header attributes
+     */
+    parseHeader(header, line) {
+        const attributes = this.parseAttributes(line.slice(7));
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            switch (key.toLowerCase()) {
+                case 'url-tvg':
+                case 'x-tvg-url':
+                    value.split(',').forEach(url => {
+                        url = url.trim();
+                        if (url && !header.epgUrls.includes(url)) {
+                            header.epgUrls.push(url);
+                        }
+                    });
+                    break;
+                case 'tvg-shift':
+                    header.tvgShift = this.parseNumber(value, 0);
+                    break;
+                case 'catchup':
+                case 'catchup-type':
+                    header.catchup = value.toLowerCase();
+                    break;
+                case 'catchup-days':
+                    header.catchupDays = this.parseNumber(value, 0);
+                    break;
+                case 'catchup-source':
+                    header.catchupSource = value;
+                    break;
+                case 'user-agent':
+                case 'http-user-agent':
+                    header.userAgent = value;
+                    break;
+                default:
+                    header.attributes[key] = value;
+            }
+        });
+    },
+
+    /**
+     * Parse EXTINF line
+     */
+    parseExtInf(line) {
+        const channel = this.createChannel();
+        channel.hasExtInf = true;
+
+        const body = line.slice(8);
+
+        // The title starts after the first comma outside quoted values
+        let inQuotes = false;
+        let commaIndex = -1;
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === ',' && !inQuotes) {
+                commaIndex = i;
+                break;
+            }
+        }
+
+        const meta = commaIndex === -1 ? body : body.slice(0, commaIndex);
+        const title = commaIndex === -1 ? '' : body.slice(commaIndex + 1).trim();
+
+        // Duration is the leading number, -1 for live streams
+        const durationMatch = meta.match(/^\s*(-?\d+(?:\.\d+)?)/);
+        if (durationMatch) {
+            channel.duration = parseFloat(durationMatch[1]);
+        }
+
+        const attributes = this.parseAttributes(durationMatch ? meta.slice(durationMatch[0].length) : meta);
+
+        Object.entries(attributes).forEach(([key, value]) => {
             switch (key.toLowerCase()) {
                 case 'tvg-logo':
                     channel.logo = value;
@@ -145,6 +595,7 @@ const M3UParser = {
                     break;
                 case 'group-title':
                     channel.group = value || 'Uncategorized';
+                    channel.hasGroupTitle = Boolean(value);
                     break;
                 case 'tvg-language':
                     channel.language = value;
@@ -152,13 +603,38 @@ const M3UParser = {
                 case 'tvg-country':
                     channel.country = value;
                     break;
+                case 'tvg-chno':
+                    channel.tvgChno = this.parseNumber(value, null);
+                    break;
+                case 'tvg-shift':
+                    channel.tvgShift = this.parseNumber(value, null);
+                    break;
+                case 'catchup':
+                case 'catchup-type':
+                    channel.catchup = value.toLowerCase();
+                    break;
+                case 'catchup-days':
+                    channel.catchupDays = this.parseNumber(value, 0);
+                    break;
+                case 'catchup-source':
+                    channel.catchupSource = value;
+                    break;
+                case 'user-agent':
+                case 'http-user-agent':
+                    channel.userAgent = value;
+                    break;
+                case 'http-referrer':
+                case 'http-referer':
+                    channel.referrer = value;
+                    break;
+                default:
+                    // Keep unknown attributes instead of dropping them
+                    channel.attributes[key] = value;
             }
-        }
+        });
 
-        // Extract channel name (after the comma)
-        const nameMatch = line.match(/,(.+)$/);
-        if (nameMatch) {
-            channel.name = nameMatch[1].trim();
+        if (title) {
+            channel.name = title;
         }
 
         // Use tvg-name if name is not available
@@ -169,8 +645,219 @@ const M3UParser = {
         return channel;
     },
 
+    /**
+     * Parse key="value" attribute pairs
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const attrRegex = /([a-zA-Z0-9_:.-]+)=(?:"([^"]*)"|'([^']*)'|([^\s"']+))/g;
+        let match;
+
+        while ((match = attrRegex.exec(text)) !== null) {
+            const [, key, doubleQuoted, singleQuoted, bare] = match;
+            attributes[key] = doubleQuoted !== undefined ? doubleQuoted
+                : singleQuoted !== undefined ? singleQuoted
+                : bare;
+        }
+
+        return attributes;
+    },
+
+    /**
+     * Parse #EXTVLCOPT option
+     */
+    parseVlcOption(channel, option) {
+        const separator = option.indexOf('=');
+        if (separator === -1) return;
+
+        const key = option.slice(0, separator).trim();
+        const value = option.slice(separator + 1).trim();
+
+        switch (key.toLowerCase()) {
+            case 'http-user-agent':
+                channel.userAgent = value;
+                break;
+            case 'http-referrer':
+            case 'http-referer':
+                channel.referrer = value;
+                break;
+            default:
+                channel.vlcOptions[key] = value;
+        }
+    },
+
+    /**
+     * Parse #KODIPROP property (inputstream settings, DRM license)
+     */
+    parseKodiProp(channel, property) {
+        const separator = property.indexOf('=');
+        if (separator === -1) return;
+
+        const key = property.slice(0, separator).trim();
+        const value = property.slice(separator + 1).trim();
+
+        channel.kodiProps[key] = value;
+
+        switch (key.toLowerCase()) {
+            case 'inputstream.adaptive.license_type':
+                channel.drm = Object.assign({ type: '', key: '' }, channel.drm, { type: value });
+                break;
+            case 'inputstream.adaptive.license_key':
+                channel.drm = Object.assign({ type: '', key: '' }, channel.drm, { key: value });
+                break;
+        }
+    },
+
+    /**
+     * Parse numeric attribute value
+     */
+    parseNumber(value, fallback) {
+        const number = parseFloat(value);
+        return isNaN(number) ? fallback : number;
+    },
+
+    /**
+     * Serialize channels to extended M3U, the inverse of parse()
+     * options.header is the parsed playlist header, written back so its defaults and
+     * extra attributes survive. Channel attributes are written explicitly on top,
+     * so parse(serialize(channels, { header })) gives back the same channels
+     */
+    serialize(channels, options = {}) {
+        const header = options.header || this.createHeader();
+        const lines = [this.serializeHeader(header)];
+
+        channels.forEach(channel => {
+            lines.push(this.serializeExtInf(channel, header));
+
+            if (channel.userAgent) {
+                lines.push(`#EXTVLCOPT:http-user-agent=${channel.userAgent}`);
+            }
+            if (channel.referrer) {
+                lines.push(`#EXTVLCOPT:http-referrer=${channel.referrer}`);
+            }
+            Object.entries(channel.vlcOptions || {}).forEach(([key, value]) => {
+                lines.push(`#EXTVLCOPT:${key}=${value}`);
+            });
+            // License type/key are kept in kodiProps as well as drm
+            Object.entries(channel.kodiProps || {}).forEach(([key, value]) => {
+                lines.push(`#KODIPROP:${key}=${value}`);
+            });
+
+            lines.push(channel.url);
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Serialize a parsed header to the #EXTM3U line, the inverse of parseHeader()
+     */
+    serializeHeader(header) {
+        const epgUrls = (header.epgUrls || []).join(',');
+        const attributes = [
+            // Players read one or the other, parseHeader() takes both
+            ['url-tvg', epgUrls],
+            ['x-tvg-url', epgUrls],
+            ['tvg-shift', header.tvgShift ? header.tvgShift : ''],
+            ['catchup', header.catchup],
+            ['catchup-days', header.catchupDays ? header.catchupDays : ''],
+            ['catchup-source', header.catchupSource],
+            ['user-agent', header.userAgent]
+        ].concat(Object.entries(header.attributes || {}))
+            .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+            .map(([key, value]) => `${key}="${this.escapeAttribute(String(value))}"`);
+
+        return ['#EXTM3U'].concat(attributes).join(' ');
+    },
+
+    /**
+     * Serialize channel metadata to an #EXTINF line
+     * A header tvg-shift would apply to channels without one, so a zero shift is then written too
+     */
+    serializeExtInf(channel, header = {}) {
+        const attributes = [
+            ['tvg-id', channel.tvgId],
+            ['tvg-name', channel.tvgName],
+            ['tvg-logo', channel.logo],
+            ['tvg-language', channel.language],
+            ['tvg-country', channel.country],
+            ['tvg-chno', channel.tvgChno === null || channel.tvgChno === undefined ? '' : channel.tvgChno],
+            ['tvg-shift', channel.tvgShift || header.tvgShift ? channel.tvgShift || 0 : ''],
+            ['catchup', channel.catchup],
+            ['catchup-days', channel.catchupDays ? channel.catchupDays : ''],
+            ['catchup-source', channel.catchupSource],
+            ['group-title', channel.group]
+        ];
+
+        Object.entries(channel.attributes || {}).forEach(([key, value]) => {
+            attributes.push([key, value]);
+        });
+
+        const attributeText = attributes
+            .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+            .map(([key, value]) => `${key}="${this.escapeAttribute(String(value))}"`)
+            .join(' ');
+
+        const duration = typeof channel.duration === 'number' ? channel.duration : -1;
+        const name = String(channel.name || '').replace(/[\r\n]+/g, ' ');
+
+        return `#EXTINF:${duration}${attributeText ? ' ' + attributeText : ''},${name}`;
+    },
+
+    /**
+     * Make a value safe inside a double-quoted attribute
+     * M3U has no escaping, so double quotes become single quotes
+     */
+    escapeAttribute(value) {
+        return value.replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+    },
+
+    /**
+     * Get the stable identity of a channel, used to store favorites and recent
+     * tvg-id when present, otherwise normalized name + group + source, so it
+     * survives providers rotating stream tokens or moving streams to a new host
+     * Entries of one playlist can share it, see assignChannelKeys
+     */
+    getChannelKey(channel) {
+        const tvgId = String(channel.tvgId || '').trim().toLowerCase();
+        if (tvgId) {
+            return `tvg:${tvgId}`;
+        }
+        return ['ch', channel.sourceId || '', this.normalizeKeyText(channel.group), this.normalizeKeyText(channel.name)].join(':');
+    },
+
+    /**
+     * Give the channels of one playlist keys that are unique within it
+     * Later entries with a key taken by an earlier one (quality variants, backup streams, names
+     * differing only in tags like "HD") get their position among them appended, e.g. tvg:rtl.de#2
+     * counts carries the keys of earlier batches of the same playlist
+     */
+    assignChannelKeys(channels, counts = new Map()) {
+        channels.forEach(channel => {
+            const key = this.getChannelKey(channel);
+            const count = (counts.get(key) || 0) + 1;
+            counts.set(key, count);
+            channel.key = count === 1 ? key : `${key}#${count}`;
+        });
+    },
+
+    /**
+     * Normalize a name for channel keys: case, accents, quality tags and notes like "(720p) [Geo-blocked]"
+     */
+    normalizeKeyText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+            .replace(/\b(hd|fhd|uhd|sd|4k|hevc|h265|\d{3,4}[pi])\b/g, ' ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    },
+
     /**
      * Generate unique ID for channel
+     * Changes with the stream URL, use getChannelKey for anything stored
      */
     generateId(channel) {
         const str = channel.name + channel.url;
@@ -214,23 +901,12 @@ const M3UParser = {
     },
 
     /**
-     * Search channels
+     * Search channels with the query language of ChannelSearch, best matches first
      */
-    search(channels, query) {
-        if (!query || query.trim() === '') {
-            return [];
-        }
-        
-        const searchTerm = query.toLowerCase().trim();
-        
-        return channels.filter(channel => {
-            return channel.name.toLowerCase().includes(searchTerm) ||
-                   channel.group.toLowerCase().includes(searchTerm) ||
-                   (channel.country && channel.country.toLowerCase().includes(searchTerm)) ||
-                   (channel.language && channel.language.toLowerCase().includes(searchTerm));
-        });
+    search(channels, query, context = {}) {
+        return ChannelSearch.search(channels, query, context).map(result => result.channel);
     }
 };
 
-// Export for use
-window.M3UParser = M3UParser;
+// Export for use (self is window on the main thread, and the worker scope in playlist-worker.js)
+self.M3UParser = M3UParser;
@@ -26,6 +26,9 @@ const Navigation = {
     // Controls visibility timeout
     controlsTimeout: null,
 
+    // Containers moving focus themselves: [{ selector, handler }], see addDirectionHandler
+    directionHandlers: [],
+
     /**
      * Initialize navigation
      */
@@ -69,6 +72,10 @@ const Navigation = {
                 case 'F':
                     this.toggleFavorite();
                     break;
+                case 'l':
+                case 'L':
+                    this.addToList();
+                    break;
                 case 'p':
                 case 'P':
                 case ' ':
@@ -117,10 +124,10 @@ const Navigation = {
         let focusables;
         
         if (this.isPlayerActive) {
-            focusables = document.querySelectorAll('#player-overlay .focusable');
+            focusables = document.querySelectorAll('#player-overlay .focusable:not(.hidden)');
         } else {
             // Include header navigation
-            const headerFocusables = document.querySelectorAll('#main-nav .focusable');
+            const headerFocusables = document.querySelectorAll('#main-nav .focusable, #profile-btn.focusable, #notification-badge.focusable:not(.hidden)');
             const sectionFocusables = document.querySelectorAll(`.section.active .focusable`);
             focusables = [...headerFocusables, ...sectionFocusables];
         }
@@ -149,10 +156,24 @@ const Navigation = {
         });
     },
 
+    /**
+     * Let a container handle arrow keys while focus is inside it
+     * handler(direction, element) returns false to fall back to grid navigation
+     */
+    addDirectionHandler(selector, handler) {
+        this.directionHandlers.push({ selector, handler });
+    },
+
     /**
      * Navigate in direction
      */
     navigate(direction) {
+        const custom = this.focusedElement &&
+            this.directionHandlers.find(entry => this.focusedElement.closest(entry.selector));
+        if (custom && custom.handler(direction, this.focusedElement) !== false) {
+            return;
+        }
+
         if (this.grid.length === 0) {
             this.updateFocusableElements();
             if (this.grid.length === 0) return;
@@ -298,13 +319,13 @@ const Navigation = {
     back() {
         // If player is active, close it
         if (this.isPlayerActive) {
-            window.Player.close();
+            window.Player.closePlayer();
             return;
         }
 
         // If not on home section, go to home
         if (this.currentSection !== 'home') {
-            window.App.showSection('home');
+            window.App.switchSection('home');
             return;
         }
 
@@ -330,6 +351,16 @@ const Navigation = {
         }
     },
 
+    /**
+     * Open the add-to-list dialog for the current channel
+     */
+    addToList() {
+        const listBtn = this.focusedElement?.closest('.channel-card')?.querySelector('[data-action="list"]');
+        if (listBtn) {
+            listBtn.click();
+        }
+    },
+
     /**
      * Focus first element
      */
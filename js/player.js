@@ -12,7 +12,11 @@ const Player = {
         currentTime: 0,
         duration: 0,
         volume: 1,
-        isMuted: false
+        isMuted: false,
+        // Options currentChannel was played with, see App.playChannel
+        playOptions: {},
+        // Catch-up playback: { start, stop, title } of the programme on the timeline, from = start of the stream (ms)
+        archive: null
     },
 
     // HLS instance
@@ -26,10 +30,36 @@ const Player = {
     controlsTimeout: null,
     controlsTimeoutDuration: 5000,
 
+    // Now/next refresh while a channel plays
+    programmeTimer: null,
+    programmeInterval: 30000,
+
+    // Channel info toast
+    toastTimeout: null,
+    toastDuration: 5000,
+
+    // Archive seeks wait for repeated key presses to stop before re-tuning
+    seekTimer: null,
+    seekTarget: null,
+    seekDelay: 700,
+
+    // Seeking closer to now than this returns to live (ms)
+    liveEdge: 30000,
+
+    // Volume changes come in steps, settings are saved once they stop
+    volumeSaveTimer: null,
+    volumeSaveDelay: 1000,
+
+    // Relay setting the current stream was started with, see applySettings
+    relayUrl: null,
+
     /**
      * Initialize player
      */
     init() {
+        // App.init and the DOMContentLoaded handler below both call init
+        if (this.videoElement) return;
+
         try {
             console.log('Initializing Player...');
             
@@ -63,6 +93,14 @@ const Player = {
             // Setup keyboard shortcuts
             this.setupKeyboardShortcuts();
 
+            // Settings changed in Settings or another window apply right away
+            this.applySettings();
+            Storage.onChange(change => {
+                if (change.name === 'SETTINGS' && change.profileId === Storage.getProfileId()) {
+                    this.applySettings();
+                }
+            });
+
             console.log('Player initialized successfully');
         } catch (error) {
             console.error('Error initializing player:', error);
@@ -90,6 +128,13 @@ const Player = {
             this.updateProgressBar();
         });
 
+        // Archive playback continues with the following programme, then live
+        this.videoElement.addEventListener('ended', () => {
+            if (this.state.archive) {
+                this.continueArchive();
+            }
+        });
+
         this.videoElement.addEventListener('loadedmetadata', () => {
             this.state.duration = this.videoElement.duration;
             this.updateDuration();
@@ -138,13 +183,21 @@ const Player = {
         if (!controls) return;
 
         // Play/Pause button
-        const playBtn = controls.querySelector('.player-play-btn');
+        const playBtn = document.getElementById('player-playpause');
         if (playBtn) {
             playBtn.addEventListener('click', () => this.togglePlayPause());
         }
 
+        // Rewind/forward buttons
+        document.getElementById('player-rewind')?.addEventListener('click', () => this.skip(-10));
+        document.getElementById('player-forward')?.addEventListener('click', () => this.skip(10));
+
+        // Previous/next channel buttons
+        document.getElementById('player-prev')?.addEventListener('click', () => this.zap(-1));
+        document.getElementById('player-next')?.addEventListener('click', () => this.zap(1));
+
         // Mute button
-        const muteBtn = controls.querySelector('.player-mute-btn');
+        const muteBtn = document.getElementById('player-mute');
         if (muteBtn) {
             muteBtn.addEventListener('click', () => this.toggleMute());
         }
@@ -157,28 +210,44 @@ const Player = {
             });
         }
 
+        // Keep a volume change made just before the page is closed
+        window.addEventListener('pagehide', () => {
+            if (this.volumeSaveTimer) {
+                this.saveVolume();
+            }
+        });
+
         // Fullscreen button
-        const fullscreenBtn = controls.querySelector('.player-fullscreen-btn');
+        const fullscreenBtn = document.getElementById('player-fullscreen');
         if (fullscreenBtn) {
             fullscreenBtn.addEventListener('click', () => this.toggleFullscreen());
         }
 
-        // Progress bar
-        const progressBar = controls.querySelector('.player-progress-bar');
+        // Progress bar, a timeline of the programme on catch-up channels
+        const progressBar = document.getElementById('player-timeline');
         if (progressBar) {
             progressBar.addEventListener('click', (e) => {
                 this.seek(e);
             });
         }
 
+        document.getElementById('player-live')?.addEventListener('click', () => this.goLive());
+
         // Close button
-        const closeBtn = controls.querySelector('.player-close-btn');
+        const closeBtn = document.getElementById('player-back');
         if (closeBtn) {
             closeBtn.addEventListener('click', () => this.closePlayer());
         }
 
+        // Retry after an error
+        document.getElementById('player-retry')?.addEventListener('click', () => {
+            if (this.state.currentChannel) {
+                this.play(this.state.currentChannel, { archive: this.state.archive });
+            }
+        });
+
         // Auto-hide controls on mouse move
-        const playerContainer = document.getElementById('player-container');
+        const playerContainer = document.getElementById('player-overlay');
         if (playerContainer) {
             playerContainer.addEventListener('mousemove', () => {
                 this.showControls();
@@ -226,37 +295,79 @@ const Player = {
                 case 'ArrowDown':
                     this.changeVolume(-0.1);
                     break;
+                case 'ChannelUp':
+                case 'PageUp':
+                    e.preventDefault();
+                    this.zap(1);
+                    break;
+                case 'ChannelDown':
+                case 'PageDown':
+                    e.preventDefault();
+                    this.zap(-1);
+                    break;
             }
         });
     },
 
+    /**
+     * Switch to the previous (-1) or next (+1) channel
+     * App picks it from the list playback started from and checks profile locks
+     */
+    zap(delta) {
+        if (window.App && typeof App.zapChannel === 'function') {
+            App.zapChannel(delta);
+        }
+    },
+
     /**
      * Play a channel
+     * options.archive ({ start, stop, from }) plays it from the catch-up archive instead of live
      */
-    play(channel) {
+    play(channel, options = {}) {
         try {
             console.log('Playing channel:', channel.name);
 
+            clearTimeout(this.seekTimer);
+            this.seekTarget = null;
             this.state.currentChannel = channel;
+            this.state.playOptions = options;
+            this.state.archive = options.archive && window.Catchup ? Object.assign({}, options.archive) : null;
+            this.updateLiveButton();
+
+            // Show the player over the current section
+            document.getElementById('player-overlay')?.classList.remove('hidden');
+            document.getElementById('player-error')?.classList.add('hidden');
+            if (window.Navigation && typeof Navigation.enterPlayerMode === 'function') {
+                Navigation.enterPlayerMode();
+            }
 
             // Update channel info in UI
-            const channelName = document.getElementById('current-channel-name');
+            const channelName = document.getElementById('player-channel-name');
             if (channelName) {
                 channelName.textContent = channel.name;
             }
 
-            const channelLogo = document.getElementById('current-channel-logo');
-            if (channelLogo && channel.logo) {
-                channelLogo.src = channel.logo;
+            this.startProgrammeUpdates();
+            this.showChannelInfo(channel);
+
+            const archive = this.state.archive;
+            const streamUrl = archive ? Catchup.buildUrl(channel, archive.from, archive.stop) : this.getStreamUrl(channel);
+            if (!streamUrl) {
+                this.showPlayerError(archive
+                    ? 'The archive of this channel is not supported'
+                    : channel.playback === 'relay'
+                        ? 'This stream needs a relay server. Set one in Settings.'
+                        : 'This stream type is not supported');
+                return;
             }
 
             // Load video
-            if (this.hls && channel.url.includes('.m3u8')) {
+            if (this.hls && streamUrl.includes('.m3u8')) {
                 // HLS stream
-                this.hls.loadSource(channel.url);
+                this.hls.loadSource(streamUrl);
             } else {
                 // Direct stream or other format
-                this.videoElement.src = channel.url;
+                this.videoElement.src = streamUrl;
             }
 
             this.videoElement.play().catch(err => {
@@ -271,6 +382,121 @@ const Player = {
         }
     },
 
+    /**
+     * Show now/next in the player overlay, refreshed every programmeInterval
+     * Programmes of a channel not on screen before are loaded first
+     */
+    startProgrammeUpdates() {
+        clearInterval(this.programmeTimer);
+        this.updateProgramme();
+        this.updateProgressBar();
+        this.programmeTimer = setInterval(() => {
+            this.updateProgramme();
+            this.updateProgressBar();
+        }, this.programmeInterval);
+
+        const channel = this.state.currentChannel;
+        if (window.EPG && channel) {
+            EPG.prime([channel]).then(loaded => {
+                if (loaded && this.state.currentChannel === channel) {
+                    this.updateProgramme();
+                    this.showChannelInfo(channel, { keepTimer: true });
+                }
+            });
+        }
+    },
+
+    /**
+     * Fill #player-program-name with the current and next programme
+     */
+    updateProgramme() {
+        const programmeName = document.getElementById('player-program-name');
+        const channel = this.state.currentChannel;
+        if (!programmeName || !channel) return;
+
+        const archive = this.state.archive;
+        if (archive && archive.title) {
+            programmeName.textContent = `${EPG.formatTime(archive.start)}–${EPG.formatTime(archive.stop)} ${archive.title}`;
+            return;
+        }
+
+        const nowNext = window.EPG ? EPG.getNowNext(channel, this.getPlaybackTime()) : null;
+        if (!nowNext || (!nowNext.now && !nowNext.next)) {
+            programmeName.textContent = channel.group || 'Live';
+            return;
+        }
+
+        const parts = [];
+        if (nowNext.now) {
+            parts.push(`${EPG.formatTime(nowNext.now.start)}–${EPG.formatTime(nowNext.now.stop)} ${nowNext.now.title}`);
+        }
+        if (nowNext.next) {
+            parts.push(`Next: ${EPG.formatTime(nowNext.next.start)} ${nowNext.next.title}`);
+        }
+        programmeName.textContent = parts.join(' · ');
+    },
+
+    /**
+     * Show the channel info toast with now/next
+     * options.keepTimer updates a visible toast without extending it
+     */
+    showChannelInfo(channel, options = {}) {
+        const toast = document.getElementById('channel-info-toast');
+        if (!toast) return;
+        if (options.keepTimer && toast.classList.contains('hidden')) return;
+
+        const logo = document.getElementById('toast-channel-logo');
+        if (logo) {
+            logo.src = LogoCache.getUrl(channel.logo) || '';
+            logo.classList.toggle('hidden', !channel.logo);
+        }
+
+        const name = document.getElementById('toast-channel-name');
+        if (name) {
+            name.textContent = channel.name;
+        }
+
+        const category = document.getElementById('toast-channel-category');
+        if (category) {
+            category.textContent = channel.group || '';
+        }
+
+        const programme = document.getElementById('toast-channel-programme');
+        if (programme) {
+            const text = window.EPG ? EPG.describeNowNext(EPG.getNowNext(channel)) : '';
+            programme.textContent = text;
+            programme.classList.toggle('hidden', !text);
+        }
+
+        toast.classList.remove('hidden');
+        if (options.keepTimer) return;
+
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => {
+            toast.classList.add('hidden');
+        }, this.toastDuration);
+    },
+
+    /**
+     * Get browser-playable URL for a channel
+     * Relay-only schemes (rtmp, rtsp, udp...) go through the configured relay
+     */
+    getStreamUrl(channel) {
+        switch (channel.playback) {
+            case 'relay': {
+                const relayUrl = Storage.getSettings().relayUrl;
+                if (!relayUrl) return null;
+                return relayUrl.includes('{url}')
+                    ? relayUrl.replace('{url}', encodeURIComponent(channel.url))
+                    : relayUrl + encodeURIComponent(channel.url);
+            }
+            case 'unsupported':
+                return null;
+            default:
+                return channel.url;
+        }
+    },
+
     /**
      * Toggle play/pause
      */
@@ -295,7 +521,7 @@ const Player = {
     },
 
     /**
-     * Set volume (0-1)
+     * Set volume (0-1), saved to settings once it stops changing
      */
     setVolume(value) {
         if (!this.videoElement) return;
@@ -303,6 +529,47 @@ const Player = {
         if (value > 0) {
             this.videoElement.muted = false;
         }
+
+        clearTimeout(this.volumeSaveTimer);
+        this.volumeSaveTimer = setTimeout(() => this.saveVolume(), this.volumeSaveDelay);
+    },
+
+    /**
+     * Save the current volume to settings now
+     */
+    saveVolume() {
+        clearTimeout(this.volumeSaveTimer);
+        this.volumeSaveTimer = null;
+        if (!this.videoElement) return;
+
+        const settings = Storage.getSettings();
+        settings.volume = Math.round(this.videoElement.volume * 100);
+        Storage.saveSettings(settings);
+    },
+
+    /**
+     * Apply the volume and relay settings
+     * A relayed stream starts again when the relay changed while it plays
+     */
+    applySettings() {
+        if (!this.videoElement) return;
+
+        const settings = Storage.getSettings();
+        const volume = Number(settings.volume);
+        // A volume still waiting to be saved is newer than the stored one
+        if (Number.isFinite(volume) && !this.volumeSaveTimer) {
+            this.videoElement.volume = Math.max(0, Math.min(100, volume)) / 100;
+            this.state.volume = this.videoElement.volume;
+            this.updateVolumeDisplay();
+        }
+
+        const relayUrl = settings.relayUrl || '';
+        const channel = this.state.currentChannel;
+        const relayChanged = this.relayUrl !== null && relayUrl !== this.relayUrl;
+        this.relayUrl = relayUrl;
+        if (relayChanged && channel && channel.playback === 'relay' && !this.state.archive) {
+            this.play(channel, this.state.playOptions);
+        }
     },
 
     /**
@@ -315,14 +582,20 @@ const Player = {
     },
 
     /**
-     * Seek to time
+     * Seek to the clicked point of the progress bar
      */
     seek(event) {
-        if (!this.videoElement || !this.state.duration) return;
-
         const progressBar = event.currentTarget;
         const rect = progressBar.getBoundingClientRect();
-        const percentage = (event.clientX - rect.left) / rect.width;
+        const percentage = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+
+        const timeline = this.getTimeline();
+        if (timeline) {
+            this.seekTo(timeline.start + percentage * (timeline.stop - timeline.start));
+            return;
+        }
+
+        if (!this.videoElement || !this.state.duration) return;
         const time = percentage * this.state.duration;
 
         this.videoElement.currentTime = Math.max(0, Math.min(time, this.state.duration));
@@ -330,14 +603,170 @@ const Player = {
 
     /**
      * Skip forward/backward
+     * Catch-up channels move through the archive, also from live
      */
     skip(seconds) {
         if (!this.videoElement) return;
+
+        if (this.canCatchup()) {
+            this.seekTo(this.getPlaybackTime() + seconds * 1000);
+            return;
+        }
+
         this.videoElement.currentTime = Math.max(0, 
             Math.min(this.videoElement.currentTime + seconds, this.state.duration)
         );
     },
 
+    /**
+     * Check if the current channel has an archive to seek in
+     */
+    canCatchup() {
+        return Boolean(window.Catchup && this.state.currentChannel && Catchup.supports(this.state.currentChannel));
+    },
+
+    /**
+     * Wall-clock time of the picture on screen (ms), or of a pending seek
+     */
+    getPlaybackTime() {
+        if (this.seekTarget !== null) return this.seekTarget;
+
+        const archive = this.state.archive;
+        if (archive && this.videoElement) {
+            return archive.from + (this.videoElement.currentTime || 0) * 1000;
+        }
+        return Date.now();
+    },
+
+    /**
+     * Time span of the progress bar: the programme at the playback time on catch-up channels,
+     * the last hour without a guide, null for other streams
+     */
+    getTimeline() {
+        if (this.state.archive) return this.state.archive;
+        if (!this.canCatchup()) return null;
+
+        const now = Date.now();
+        const nowNext = window.EPG ? EPG.getNowNext(this.state.currentChannel, now) : null;
+        return nowNext && nowNext.now
+            ? { start: nowNext.now.start, stop: nowNext.now.stop }
+            : { start: now - 60 * 60 * 1000, stop: now };
+    },
+
+    /**
+     * Play the current channel from a wall-clock time (ms)
+     * Times within the loaded archive stream seek in place, others re-tune the archive
+     * and times near now return to live
+     */
+    seekTo(time) {
+        const channel = this.state.currentChannel;
+        if (!this.canCatchup()) return;
+
+        const now = Date.now();
+        const target = Math.max(Catchup.getArchiveStart(channel, now), Math.min(time, now));
+        clearTimeout(this.seekTimer);
+
+        if (target >= now - this.liveEdge) {
+            this.seekTarget = null;
+            if (this.state.archive) {
+                this.goLive();
+            }
+            this.updateProgressBar();
+            return;
+        }
+
+        const archive = this.state.archive;
+        const offset = archive ? (target - archive.from) / 1000 : -1;
+        if (archive && target < archive.stop && this.isSeekable(offset)) {
+            this.seekTarget = null;
+            this.videoElement.currentTime = offset;
+            return;
+        }
+
+        this.seekTarget = target;
+        this.updateProgressBar();
+        this.seekTimer = setTimeout(() => {
+            this.seekTarget = null;
+            this.playArchive(channel, target);
+        }, this.seekDelay);
+    },
+
+    /**
+     * Check if the loaded stream can seek to an offset (s) without re-tuning
+     */
+    isSeekable(offset) {
+        const seekable = this.videoElement && this.videoElement.seekable;
+        if (!seekable || offset < 0) return false;
+
+        for (let i = 0; i < seekable.length; i++) {
+            if (offset >= seekable.start(i) && offset <= seekable.end(i)) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Play a channel's archive from a time (ms), showing the programme airing then on the timeline
+     * Archives reach back further than the guide kept in memory, so the programme is read from storage
+     */
+    async playArchive(channel, from) {
+        let programme = null;
+        if (window.EPG && EPG.hasGuide(channel)) {
+            try {
+                [programme] = await EPG.getProgrammes(channel, from, from + 1);
+            } catch (error) {
+                console.warn('Error reading archive programme:', error.message);
+            }
+        }
+        // Closed or zapped meanwhile
+        if (this.state.currentChannel !== channel) return;
+
+        this.play(channel, {
+            archive: {
+                start: programme ? programme.start : from,
+                stop: programme ? programme.stop : from + 60 * 60 * 1000,
+                title: programme ? programme.title : '',
+                from: from
+            }
+        });
+    },
+
+    /**
+     * Play the programme after the finished archive one, or live when it caught up
+     */
+    continueArchive() {
+        const channel = this.state.currentChannel;
+        const stop = this.state.archive.stop;
+        if (stop >= Date.now() - this.liveEdge) {
+            this.goLive();
+        } else {
+            this.playArchive(channel, stop);
+        }
+    },
+
+    /**
+     * Leave the archive and tune the live stream
+     */
+    goLive() {
+        const channel = this.state.currentChannel;
+        if (channel && this.state.archive) {
+            this.play(channel);
+        }
+    },
+
+    /**
+     * Show the "back to live" button during archive playback
+     */
+    updateLiveButton() {
+        const liveBtn = document.getElementById('player-live');
+        if (!liveBtn) return;
+
+        const hidden = liveBtn.classList.contains('hidden');
+        liveBtn.classList.toggle('hidden', !this.state.archive);
+        if (hidden !== !this.state.archive && window.Navigation && Navigation.isPlayerActive) {
+            Navigation.updateFocusableElements();
+        }
+    },
+
     /**
      * Toggle fullscreen
      */
@@ -364,11 +793,23 @@ const Player = {
         }
 
         this.state.currentChannel = null;
+        this.state.playOptions = {};
         this.state.isPlaying = false;
+        this.state.archive = null;
+
+        clearTimeout(this.seekTimer);
+        this.seekTarget = null;
+        clearInterval(this.programmeTimer);
+        clearTimeout(this.toastTimeout);
+        if (this.volumeSaveTimer) {
+            this.saveVolume();
+        }
+        document.getElementById('channel-info-toast')?.classList.add('hidden');
 
-        // Switch back to home section
-        if (window.App && typeof App.switchSection === 'function') {
-            App.switchSection('home');
+        // Return to the section the player was opened from
+        document.getElementById('player-overlay')?.classList.add('hidden');
+        if (window.Navigation && typeof Navigation.exitPlayerMode === 'function') {
+            Navigation.exitPlayerMode();
         }
     },
 
@@ -376,34 +817,20 @@ const Player = {
      * Update play button state
      */
     updatePlayButton() {
-        const playBtn = document.querySelector('.player-play-btn');
-        if (!playBtn) return;
-
-        const icon = playBtn.querySelector('svg');
-        if (!icon) return;
+        const playIcon = document.getElementById('play-icon');
+        const pauseIcon = document.getElementById('pause-icon');
+        if (!playIcon || !pauseIcon) return;
 
-        if (this.state.isPlaying) {
-            // Show pause icon
-            playBtn.innerHTML = `
-                <svg class="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-                    <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z"/>
-                </svg>
-            `;
-        } else {
-            // Show play icon
-            playBtn.innerHTML = `
-                <svg class="w-6 h-6" fill="currentColor" viewBox="0 0 24 24">
-                    <path d="M8 5v14l11-7z"/>
-                </svg>
-            `;
-        }
+        // Show pause icon while playing, play icon otherwise
+        playIcon.classList.toggle('hidden', this.state.isPlaying);
+        pauseIcon.classList.toggle('hidden', !this.state.isPlaying);
     },
 
     /**
      * Update volume button
      */
     updateVolumeButton() {
-        const muteBtn = document.querySelector('.player-mute-btn');
+        const muteBtn = document.getElementById('player-mute');
         if (!muteBtn) return;
 
         if (this.state.isMuted || this.state.volume === 0) {
@@ -417,18 +844,40 @@ const Player = {
 
     /**
      * Update progress bar
+     * Catch-up channels show the playback and end time of the programme, live streams "Live"
      */
     updateProgressBar() {
-        const progressBar = document.querySelector('.player-progress-current');
-        if (!progressBar || !this.state.duration) return;
+        const progressBar = document.getElementById('player-progress');
+        if (!progressBar) return;
+
+        let percentage = 100;
+        let current = 'Live';
+        let end = '--:--';
+
+        const timeline = this.getTimeline();
+        if (timeline) {
+            const position = this.getPlaybackTime();
+            percentage = (position - timeline.start) / (timeline.stop - timeline.start) * 100;
+            if (this.state.archive || this.seekTarget !== null) {
+                current = EPG.formatTime(position);
+            }
+            end = EPG.formatTime(timeline.stop);
+        } else if (this.state.duration && isFinite(this.state.duration)) {
+            percentage = (this.state.currentTime / this.state.duration) * 100;
+            current = this.formatTime(this.state.currentTime);
+            end = this.formatTime(this.state.duration);
+        }
 
-        const percentage = (this.state.currentTime / this.state.duration) * 100;
-        progressBar.style.width = percentage + '%';
+        progressBar.style.width = Math.max(0, Math.min(100, percentage)) + '%';
 
         // Update time display
-        const timeDisplay = document.getElementById('current-time');
+        const timeDisplay = document.getElementById('player-current-time');
         if (timeDisplay) {
-            timeDisplay.textContent = this.formatTime(this.state.currentTime);
+            timeDisplay.textContent = current;
+        }
+        const durationDisplay = document.getElementById('player-duration');
+        if (durationDisplay) {
+            durationDisplay.textContent = end;
         }
     },
 
@@ -436,10 +885,7 @@ const Player = {
      * Update duration display
      */
     updateDuration() {
-        const durationDisplay = document.getElementById('total-time');
-        if (durationDisplay) {
-            durationDisplay.textContent = this.formatTime(this.state.duration);
-        }
+        this.updateProgressBar();
     },
 
     /**
@@ -491,7 +937,10 @@ const Player = {
     showPlayerError(message) {
         const errorEl = document.getElementById('player-error');
         if (errorEl) {
-            errorEl.textContent = message;
+            const messageEl = document.getElementById('player-error-message');
+            if (messageEl) {
+                messageEl.textContent = message;
+            }
             errorEl.classList.remove('hidden');
             setTimeout(() => {
                 errorEl.classList.add('hidden');
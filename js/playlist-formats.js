@@ -0,0 +1,462 @@
+/**
+ * Playlist Formats for IPTV UI
+ * Detects and parses PLS, XSPF, JSON and Enigma2 bouquet playlists into the channel
+ * objects M3UParser produces, and decodes gzip and non-UTF-8 playlist files
+ */
+
+const PlaylistFormats = {
+    // Supported formats
+    FORMATS: {
+        m3u: 'M3U',
+        pls: 'PLS',
+        xspf: 'XSPF',
+        json: 'JSON',
+        enigma2: 'Enigma2 bouquet'
+    },
+
+    // Format by file extension, checked after stripping .gz
+    EXTENSIONS: {
+        m3u: 'm3u',
+        m3u8: 'm3u',
+        pls: 'pls',
+        xspf: 'xspf',
+        json: 'json',
+        tv: 'enigma2',
+        radio: 'enigma2'
+    },
+
+    // Bytes sniffed for format and encoding
+    SNIFF_BYTES: 4096,
+
+    /**
+     * Read an uploaded file as text, gunzipping and decoding it
+     */
+    async readFile(file, options = {}) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        return this.decodeBytes(bytes, options);
+    },
+
+    /**
+     * Decode playlist bytes to text
+     * options.encoding overrides detection ('auto' or a TextDecoder label)
+     */
+    async decodeBytes(bytes, options = {}) {
+        if (this.isGzip(bytes)) {
+            bytes = await this.gunzip(bytes);
+        }
+
+        const encoding = options.encoding && options.encoding !== 'auto'
+            ? options.encoding
+            : this.detectEncoding(bytes, true);
+
+        return new TextDecoder(encoding).decode(bytes);
+    },
+
+    /**
+     * Check for the gzip magic number
+     */
+    isGzip(bytes) {
+        return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+    },
+
+    /**
+     * Decompress gzip bytes
+     */
+    async gunzip(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open gzip-compressed playlists');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    /**
+     * Detect text encoding from a BOM, an #EXTENC directive or the bytes themselves
+     * complete is false while only the first chunk of a stream is known
+     */
+    detectEncoding(bytes, complete = false) {
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+        if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+        const head = this.sniffText(bytes);
+        const declared = head.match(/^#EXTENC:\s*([\w-]+)/m) || head.match(/<\?xml[^>]*encoding=["']([\w-]+)["']/);
+        if (declared && this.isSupportedEncoding(declared[1])) {
+            return declared[1].toLowerCase();
+        }
+
+        try {
+            // stream: true tolerates a multi-byte character cut at the end of a chunk
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: !complete });
+            return 'utf-8';
+        } catch (e) {
+            return this.guessLegacyEncoding(bytes);
+        }
+    },
+
+    /**
+     * Check if TextDecoder knows an encoding label
+     */
+    isSupportedEncoding(label) {
+        try {
+            new TextDecoder(label);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Guess between Windows-1251 and Windows-1252 for text that is not UTF-8
+     * Cyrillic words are runs of bytes in 0xC0-0xFF, Western text mostly has
+     * single accented letters between ASCII ones
+     */
+    guessLegacyEncoding(bytes) {
+        let high = 0;
+        let inRuns = 0;
+        let run = 0;
+
+        const length = Math.min(bytes.length, 65536);
+        for (let i = 0; i <= length; i++) {
+            const byte = i < length ? bytes[i] : 0;
+            if (byte >= 0xc0) {
+                high++;
+                run++;
+            } else {
+                if (run >= 3) {
+                    inRuns += run;
+                }
+                run = 0;
+            }
+        }
+
+        return high > 0 && inRuns / high > 0.5 ? 'windows-1251' : 'windows-1252';
+    },
+
+    /**
+     * Decode the start of a byte buffer as Latin-1 for sniffing
+     */
+    sniffText(bytes) {
+        return new TextDecoder('iso-8859-1').decode(bytes.subarray(0, this.SNIFF_BYTES));
+    },
+
+    /**
+     * Check if playlist bytes have to be read completely before parsing,
+     * because they are compressed or not line-based M3U
+     */
+    needsFullRead(bytes, name = '') {
+        return this.isGzip(bytes) || this.detect(this.sniffText(bytes), name) !== 'm3u';
+    },
+
+    /**
+     * Detect playlist format from file name and content
+     */
+    detect(text, name = '') {
+        const path = String(name).split(/[?#]/)[0].toLowerCase().replace(/\.gz$/, '');
+        const fileName = path.substring(path.lastIndexOf('/') + 1);
+
+        if (/^userbouquet\./.test(fileName)) return 'enigma2';
+        const extension = fileName.includes('.') ? fileName.split('.').pop() : '';
+        if (this.EXTENSIONS[extension]) return this.EXTENSIONS[extension];
+
+        const head = text.replace(/^\ufeff/, '').trimStart().slice(0, this.SNIFF_BYTES);
+        if (head.startsWith('#EXTM3U') || head.startsWith('#EXTINF')) return 'm3u';
+        if (/^\[playlist\]/i.test(head)) return 'pls';
+        if (/^<\?xml|^<playlist/i.test(head) && /<playlist[^>]*xspf/i.test(head)) return 'xspf';
+        if (/^[[{]/.test(head)) return 'json';
+        if (/^#(NAME|SERVICE)\s/m.test(head)) return 'enigma2';
+        return 'm3u';
+    },
+
+    /**
+     * Parse playlist text of any supported format into { header, channels, report, format }
+     * options: { format, fileName, baseUrl }
+     */
+    parse(text, options = {}) {
+        const format = options.format || this.detect(text, options.fileName);
+        const content = text.replace(/^\ufeff/, '');
+
+        let result;
+        switch (format) {
+            case 'pls':
+                result = this.parsePls(content, options);
+                break;
+            case 'xspf':
+                result = this.parseXspf(content, options);
+                break;
+            case 'json':
+                result = this.parseJson(content, options);
+                break;
+            case 'enigma2':
+                result = this.parseEnigma2(content, options);
+                break;
+            default:
+                result = M3UParser.parsePlaylist(content, options);
+        }
+
+        result.format = format;
+        return result;
+    },
+
+    /**
+     * Parse PLS: [playlist] with FileN=, TitleN= and LengthN= keys
+     */
+    parsePls(content, options) {
+        const state = M3UParser.createParseState(options);
+        const entries = new Map();
+
+        content.split('\n').forEach((rawLine, index) => {
+            const match = rawLine.trim().match(/^(file|title|length)(\d+)\s*=(.*)$/i);
+            if (!match) return;
+
+            const number = Number(match[2]);
+            if (!entries.has(number)) {
+                entries.set(number, { line: index + 1 });
+            }
+            const entry = entries.get(number);
+            entry[match[1].toLowerCase()] = match[3].trim();
+            if (match[1].toLowerCase() === 'file') {
+                entry.line = index + 1;
+            }
+        });
+
+        Array.from(entries.keys()).sort((a, b) => a - b).forEach(number => {
+            const entry = entries.get(number);
+            const channel = M3UParser.createChannel();
+            channel.line = entry.line;
+            channel.name = entry.title || (entry.file ? M3UParser.nameFromUrl(entry.file) : channel.name);
+            channel.duration = M3UParser.parseNumber(entry.length, -1);
+
+            state.lineNumber = entry.line;
+            M3UParser.addEntry(state, channel, entry.file);
+        });
+
+        return M3UParser.finishParse(state);
+    },
+
+    /**
+     * Parse XSPF, including groups and options from VLC exports
+     * Uses plain pattern matching so it also runs in the playlist worker, which has no DOMParser
+     */
+    parseXspf(content, options) {
+        const state = M3UParser.createParseState(options);
+        const groups = this.getXspfGroups(content);
+        const playlistTitle = this.getXmlText(content.replace(/<trackList[\s\S]*$/i, ''), 'title');
+
+        const trackPattern = /<track\b[^>]*>([\s\S]*?)<\/track>/gi;
+        let match;
+        let index = 0;
+
+        while ((match = trackPattern.exec(content)) !== null) {
+            index++;
+            const track = match[1];
+            const channel = M3UParser.createChannel();
+            const location = this.getXmlText(track, 'location');
+
+            channel.line = index;
+            channel.name = this.getXmlText(track, 'title') || (location ? M3UParser.nameFromUrl(location) : channel.name);
+            channel.logo = this.getXmlText(track, 'image');
+
+            const vlcId = this.getXmlText(track, 'vlc:id');
+            channel.group = groups.get(vlcId) || this.getXmlText(track, 'album') || playlistTitle || channel.group;
+
+            const duration = M3UParser.parseNumber(this.getXmlText(track, 'duration'), null);
+            if (duration !== null && duration > 0) {
+                channel.duration = duration / 1000;
+            }
+
+            const optionPattern = /<vlc:option>([\s\S]*?)<\/vlc:option>/gi;
+            let option;
+            while ((option = optionPattern.exec(track)) !== null) {
+                M3UParser.parseVlcOption(channel, this.decodeXml(option[1]).trim());
+            }
+
+            state.lineNumber = index;
+            M3UParser.addEntry(state, channel, location);
+        }
+
+        return M3UParser.finishParse(state);
+    },
+
+    /**
+     * Map VLC track ids to the title of the vlc:node (folder) holding them
+     */
+    getXspfGroups(content) {
+        const groups = new Map();
+        const stack = [];
+        const pattern = /<vlc:node\b[^>]*\btitle="([^"]*)"[^>]*>|<\/vlc:node>|<vlc:item\b[^>]*\btid="([^"]*)"/gi;
+        let match;
+
+        while ((match = pattern.exec(content)) !== null) {
+            if (match[1] !== undefined) {
+                stack.push(this.decodeXml(match[1]));
+            } else if (match[2] !== undefined) {
+                if (stack.length > 0) {
+                    groups.set(match[2], stack[stack.length - 1]);
+                }
+            } else {
+                stack.pop();
+            }
+        }
+
+        return groups;
+    },
+
+    /**
+     * Get the text of the first element with a tag name
+     */
+    getXmlText(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i'));
+        return match ? this.decodeXml(match[1]).trim() : '';
+    },
+
+    /**
+     * Decode XML entities and CDATA sections
+     */
+    decodeXml(text) {
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    },
+
+    /**
+     * Parse JSON channel lists
+     * Accepts an array of channels or an object with a channels/items/streams array;
+     * common key spellings are understood (name/title, url/stream_url, logo/icon...)
+     */
+    parseJson(content, options) {
+        const state = M3UParser.createParseState(options);
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            throw new Error(`Invalid JSON playlist: ${e.message}`);
+        }
+
+        const items = Array.isArray(data) ? data
+            : (data && (data.channels || data.items || data.streams || data.playlist)) || [];
+        if (!Array.isArray(items)) {
+            throw new Error('JSON playlist has no channel list');
+        }
+
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object') return;
+
+            const pick = (...keys) => {
+                for (const key of keys) {
+                    const value = item[key];
+                    if (value !== undefined && value !== null && value !== '') {
+                        return Array.isArray(value) ? value.join(';') : String(value);
+                    }
+                }
+                return '';
+            };
+
+            const channel = M3UParser.createChannel();
+            channel.line = index + 1;
+            channel.name = pick('name', 'title', 'tvgName', 'tvg-name', 'channel') || channel.name;
+            channel.logo = pick('logo', 'tvgLogo', 'tvg-logo', 'icon', 'image');
+            channel.group = pick('group', 'groupTitle', 'group-title', 'category', 'categories') || channel.group;
+            channel.tvgId = pick('tvgId', 'tvg-id', 'tvg_id', 'epgId', 'channel');
+            channel.tvgName = pick('tvgName', 'tvg-name');
+            channel.country = pick('country', 'countries');
+            channel.language = pick('language', 'languages');
+            channel.tvgChno = M3UParser.parseNumber(pick('tvgChno', 'tvg-chno', 'number', 'chno'), null);
+            channel.catchup = pick('catchup').toLowerCase();
+            channel.catchupDays = M3UParser.parseNumber(pick('catchupDays', 'catchup-days'), 0);
+            channel.catchupSource = pick('catchupSource', 'catchup-source');
+            channel.userAgent = pick('userAgent', 'user_agent', 'user-agent');
+            channel.referrer = pick('referrer', 'referer', 'http-referrer');
+
+            state.lineNumber = index + 1;
+            M3UParser.addEntry(state, channel, pick('url', 'stream', 'streamUrl', 'stream_url', 'link', 'src', 'file'));
+        });
+
+        return M3UParser.finishParse(state);
+    },
+
+    /**
+     * Parse Enigma2 userbouquet files
+     * #SERVICE lines with a URL in the 11th field are streams, type 64 services are
+     * group markers, #DESCRIPTION overrides the name of the service above it
+     */
+    parseEnigma2(content, options) {
+        const state = M3UParser.createParseState(options);
+        let bouquetName = '';
+        let group = '';
+        let pending = null;
+
+        const flush = () => {
+            if (!pending || pending.marker) {
+                pending = null;
+                return;
+            }
+            state.lineNumber = pending.channel.line;
+            if (pending.url) {
+                M3UParser.addEntry(state, pending.channel, pending.url);
+            } else {
+                // Satellite/cable services need a receiver tuner
+                M3UParser.skipEntry(state, pending.channel, '', 'missing-url');
+            }
+            pending = null;
+        };
+
+        content.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+
+            if (/^#NAME\s/i.test(line)) {
+                bouquetName = line.slice(6).trim();
+            } else if (/^#SERVICE\s/i.test(line)) {
+                flush();
+                const fields = line.slice(9).trim().split(':');
+                const name = fields.slice(11).join(':').trim();
+
+                // Type 64 is a marker (group separator) and has no stream
+                if (fields[1] === '64') {
+                    group = this.cleanMarker(name);
+                    pending = { marker: true };
+                    return;
+                }
+
+                const channel = M3UParser.createChannel();
+                channel.line = index + 1;
+                channel.group = group || bouquetName || channel.group;
+
+                let url = '';
+                try {
+                    url = decodeURIComponent(fields[10] || '');
+                } catch (e) {
+                    url = fields[10] || '';
+                }
+                channel.name = name || (url ? M3UParser.nameFromUrl(url) : channel.name);
+                pending = { channel, url };
+            } else if (/^#DESCRIPTION[\s:]/i.test(line) && pending) {
+                const description = line.slice(13).trim();
+                if (pending.marker) {
+                    group = this.cleanMarker(description);
+                } else if (description) {
+                    pending.channel.name = description;
+                }
+            }
+        });
+
+        flush();
+        return M3UParser.finishParse(state);
+    },
+
+    /**
+     * Strip decoration like "--- Sports ---" from bouquet markers
+     */
+    cleanMarker(name) {
+        return name.replace(/^[\s\-=*#_~.]+|[\s\-=*#_~.]+$/g, '');
+    }
+};
+
+// Export for use (also loaded by playlist-worker.js)
+self.PlaylistFormats = PlaylistFormats;
@@ -0,0 +1,280 @@
+/**
+ * Playlist Lint for IPTV UI
+ * Finds problems in imported playlists and fixes the common ones before channels are committed
+ */
+
+const PlaylistLint = {
+    // Checks in the order they are listed in the report
+    RULES: {
+        'malformed-extinf': { label: 'Malformed #EXTINF lines', severity: 'error' },
+        'missing-url': { label: 'Entries without a stream URL', severity: 'error' },
+        'invalid-url': { label: 'Invalid stream URLs', severity: 'error' },
+        'unsupported-scheme': { label: 'Unsupported URL schemes', severity: 'warning' },
+        'duplicate-url': { label: 'Duplicate URLs', severity: 'warning' },
+        'duplicate-tvg-id': { label: 'Duplicate tvg-ids', severity: 'warning' },
+        'group-case': { label: 'Groups differing only in case', severity: 'warning' },
+        'bad-encoding': { label: 'Text with broken encoding', severity: 'warning' },
+        'missing-logo': { label: 'Channels without logo', severity: 'info' }
+    },
+
+    // One-click fixes and the rule each one resolves
+    FIXES: {
+        'merge-groups': { label: 'Merge groups', rule: 'group-case' },
+        'drop-duplicates': { label: 'Drop duplicate URLs', rule: 'duplicate-url' },
+        'drop-unsupported': { label: 'Drop unsupported streams', rule: 'unsupported-scheme' }
+    },
+
+    // Replacement characters and UTF-8 read as Latin-1/Windows-1252 ("Ã©", "Ð°", "â€")
+    MOJIBAKE: /\ufffd|[\u00c3\u00d0\u00d1][\u0080-\u00bf]|\u00e2\u20ac/,
+
+    /**
+     * Parse playlist content, keeping the line of each channel and line-level problems
+     * Returns the parsePlaylist result plus lines: Map(channel -> line) and lineIssues
+     */
+    parse(content, options = {}) {
+        const state = M3UParser.createParseState(options);
+        const lines = new Map();
+        const lineIssues = [];
+        const rawLines = content.split('\n');
+
+        for (let i = 0; i < rawLines.length; i++) {
+            const line = rawLines[i].trim();
+            const lineNumber = i + 1;
+
+            if (line.startsWith('#EXTINF:')) {
+                const message = this.checkExtInf(line);
+                if (message) {
+                    lineIssues.push({ rule: 'malformed-extinf', line: lineNumber, name: '', url: '', message: message });
+                }
+            }
+            if (this.MOJIBAKE.test(line)) {
+                lineIssues.push({ rule: 'bad-encoding', line: lineNumber, name: '', url: '', message: line.slice(0, 120) });
+            }
+
+            // Entries start at their #EXTINF line, plain URLs at the URL itself
+            const entryLine = state.pending && state.pending.line ? state.pending.line : lineNumber;
+            const count = state.channels.length;
+            M3UParser.parseLine(state, rawLines[i]);
+            if (state.channels.length > count) {
+                lines.set(state.channels[count], entryLine);
+            }
+        }
+
+        return Object.assign(M3UParser.finishParse(state), { lines, lineIssues });
+    },
+
+    /**
+     * Describe what is wrong with an #EXTINF line, or null
+     */
+    checkExtInf(line) {
+        const body = line.slice(8);
+
+        if ((body.match(/"/g) || []).length % 2 !== 0) {
+            return 'Unbalanced quotes in attributes';
+        }
+        if (!/^\s*-?\d/.test(body)) {
+            return 'Missing duration';
+        }
+
+        // The name follows the first comma outside quoted values
+        const unquoted = body.replace(/"[^"]*"/g, '');
+        if (!unquoted.includes(',')) {
+            return 'Missing comma before channel name';
+        }
+        return null;
+    },
+
+    /**
+     * Check a parsed playlist: { channels, report, lines?, lineIssues? }
+     * Returns { issues, counts, fixes } with issues in RULES order
+     */
+    lint(result) {
+        const issues = [];
+        const channels = result.channels || [];
+        const lines = result.lines || new Map();
+        const lineOf = (channel) => lines.get(channel) || null;
+        const issue = (rule, channel, message) => issues.push({
+            rule: rule,
+            line: channel ? lineOf(channel) : null,
+            name: channel ? channel.name : '',
+            url: channel ? channel.url : '',
+            message: message
+        });
+
+        (result.lineIssues || []).forEach(entry => issues.push(entry));
+
+        // Entries the parser skipped
+        ((result.report && result.report.skipped) || []).forEach(entry => {
+            issues.push({
+                rule: entry.reason === 'missing-url' ? 'missing-url' : 'invalid-url',
+                line: entry.line,
+                name: entry.name,
+                url: entry.url,
+                message: entry.message
+            });
+        });
+
+        const firstByUrl = new Map();
+        const byTvgId = new Map();
+        const groups = new Map();
+
+        channels.forEach(channel => {
+            if (channel.playback === 'unsupported') {
+                issue('unsupported-scheme', channel, `"${channel.scheme || 'no scheme'}" streams cannot be played`);
+            }
+
+            const url = channel.url.trim();
+            if (firstByUrl.has(url)) {
+                const first = firstByUrl.get(url);
+                issue('duplicate-url', channel, lineOf(first)
+                    ? `Same URL as line ${lineOf(first)}`
+                    : `Same URL as "${first.name}"`);
+            } else {
+                firstByUrl.set(url, channel);
+            }
+
+            if (channel.tvgId) {
+                const id = channel.tvgId.toLowerCase();
+                if (!byTvgId.has(id)) {
+                    byTvgId.set(id, []);
+                }
+                byTvgId.get(id).push(channel);
+            }
+
+            const groupKey = this.getGroupKey(channel.group);
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, new Map());
+            }
+            const variants = groups.get(groupKey);
+            variants.set(channel.group, (variants.get(channel.group) || 0) + 1);
+
+            // Without the raw file, look for broken text in the parsed fields
+            if (!result.lineIssues && (this.MOJIBAKE.test(channel.name) || this.MOJIBAKE.test(channel.group))) {
+                issue('bad-encoding', channel, `${channel.name} / ${channel.group}`);
+            }
+
+            if (!channel.logo) {
+                issue('missing-logo', channel, 'No tvg-logo');
+            }
+        });
+
+        byTvgId.forEach((list, id) => {
+            if (list.length < 2) return;
+            list.slice(1).forEach(channel => {
+                issue('duplicate-tvg-id', channel, `tvg-id "${channel.tvgId}" is also used by "${list[0].name}"`);
+            });
+        });
+
+        groups.forEach(variants => {
+            if (variants.size < 2) return;
+            issue('group-case', null, Array.from(variants.entries())
+                .map(([name, count]) => `"${name}" (${count})`)
+                .join(', '));
+        });
+
+        const order = Object.keys(this.RULES);
+        issues.sort((a, b) => order.indexOf(a.rule) - order.indexOf(b.rule) || (a.line || 0) - (b.line || 0));
+
+        const counts = {};
+        issues.forEach(entry => {
+            counts[entry.rule] = (counts[entry.rule] || 0) + 1;
+        });
+
+        const fixes = Object.entries(this.FIXES)
+            .filter(([id, fix]) => counts[fix.rule] > 0)
+            .map(([id, fix]) => ({ id: id, label: fix.label, count: counts[fix.rule] }));
+
+        return { issues, counts, fixes };
+    },
+
+    /**
+     * Check if the report has errors or warnings, not only info
+     */
+    hasProblems(lint) {
+        return lint.issues.some(entry => this.RULES[entry.rule].severity !== 'info');
+    },
+
+    /**
+     * Key under which groups differing only in case or spacing are merged
+     */
+    getGroupKey(group) {
+        return String(group || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    /**
+     * Apply a one-click fix and return a new result with the changed channels
+     */
+    applyFix(result, fixId) {
+        let channels = result.channels;
+
+        switch (fixId) {
+            case 'merge-groups':
+                channels = this.mergeGroups(channels);
+                break;
+            case 'drop-duplicates': {
+                const seen = new Set();
+                channels = channels.filter(channel => {
+                    const url = channel.url.trim();
+                    if (seen.has(url)) return false;
+                    seen.add(url);
+                    return true;
+                });
+                break;
+            }
+            case 'drop-unsupported':
+                channels = channels.filter(channel => channel.playback !== 'unsupported');
+                break;
+            default:
+                throw new Error(`Unknown fix: ${fixId}`);
+        }
+
+        return Object.assign({}, result, {
+            channels: channels,
+            report: this.updateReport(result.report, channels)
+        });
+    },
+
+    /**
+     * Rename case variants of a group to its most used spelling
+     */
+    mergeGroups(channels) {
+        const variants = new Map();
+        channels.forEach(channel => {
+            const key = this.getGroupKey(channel.group);
+            const counts = variants.get(key) || new Map();
+            counts.set(channel.group, (counts.get(channel.group) || 0) + 1);
+            variants.set(key, counts);
+        });
+
+        const names = new Map();
+        variants.forEach((counts, key) => {
+            // Ties go to the spelling seen first
+            let best = null;
+            counts.forEach((count, name) => {
+                if (best === null || count > counts.get(best)) {
+                    best = name;
+                }
+            });
+            names.set(key, best.trim().replace(/\s+/g, ' '));
+        });
+
+        channels.forEach(channel => {
+            channel.group = names.get(this.getGroupKey(channel.group));
+        });
+        return channels.slice();
+    },
+
+    /**
+     * Recount imported channels after a fix removed some
+     */
+    updateReport(report, channels) {
+        const playback = { browser: 0, relay: 0, unsupported: 0 };
+        channels.forEach(channel => {
+            playback[channel.playback]++;
+        });
+        return Object.assign({}, report, { imported: channels.length, playback: playback });
+    }
+};
+
+// Export for use
+window.PlaylistLint = PlaylistLint;
@@ -0,0 +1,234 @@
+/**
+ * Playlist Worker for IPTV UI
+ * Streams and parses large playlists off the main thread
+ */
+
+importScripts('m3u-pharser.js', 'playlist-formats.js', 'fetch-strategy.js');
+
+const PlaylistWorker = {
+    // Channels per batch posted to the main thread
+    BATCH_SIZE: 500,
+
+    // Minimum delay between progress messages (ms)
+    PROGRESS_INTERVAL: 200,
+
+    /**
+     * Try each fetch route until one yields channels
+     * Every attempt is reported so the main thread can keep route stats
+     */
+    async load(url, routes) {
+        let lastError = null;
+
+        for (const route of routes) {
+            const attempt = { started: Date.now(), latency: null };
+            const deadline = FetchStrategy.createDeadline(route.timeout);
+
+            try {
+                await this.loadRoute(url, route, deadline, attempt);
+                return;
+            } catch (error) {
+                lastError = deadline.explain(error);
+                console.warn('Proxy failed:', route.name, lastError.message);
+                this.postAttempt(route, false, attempt.latency, lastError.message);
+            } finally {
+                deadline.clear();
+            }
+        }
+
+        self.postMessage({
+            type: 'error',
+            message: lastError ? lastError.message : 'Failed to fetch playlist'
+        });
+    },
+
+    /**
+     * Stream and parse the playlist from a single route
+     */
+    async loadRoute(url, route, deadline, attempt) {
+        console.log('Fetching playlist from:', route.url);
+
+        const response = await fetch(route.url, {
+            method: 'GET',
+            headers: {
+                'Accept': '*/*'
+            },
+            signal: deadline.signal
+        });
+        attempt.latency = Date.now() - attempt.started;
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const state = M3UParser.createParseState({ baseUrl: url });
+        const progress = {
+            loaded: 0,
+            total: parseInt(response.headers.get('Content-Length'), 10) || 0,
+            sent: 0,
+            lastPost: 0
+        };
+
+        try {
+            if (response.body && typeof response.body.getReader === 'function') {
+                await this.readStream(response.body.getReader(), state, progress, url, deadline);
+            } else {
+                const bytes = new Uint8Array(await response.arrayBuffer());
+                progress.loaded = bytes.length;
+                await this.parseComplete(state, bytes, url);
+            }
+        } catch (error) {
+            // Main thread drops channels already received from this route
+            if (progress.sent > 0) {
+                self.postMessage({ type: 'reset' });
+            }
+            throw error;
+        }
+
+        const result = M3UParser.finishParse(state);
+        if (result.channels.length === 0) {
+            throw new Error('No channels found in playlist');
+        }
+
+        this.postBatch(state, progress, true);
+        this.postProgress(state, progress, true);
+        this.postAttempt(route, true, attempt.latency, null);
+
+        self.postMessage({
+            type: 'done',
+            route: { id: route.id, name: route.name },
+            header: result.header,
+            report: result.report
+        });
+    },
+
+    /**
+     * Read response stream chunk by chunk, parsing complete lines
+     * Compressed and non-M3U playlists are read completely and parsed at once
+     * Each chunk restarts the deadline, so only stalled downloads time out
+     */
+    async readStream(reader, state, progress, url, deadline) {
+        const first = await reader.read();
+        if (first.done) return;
+        deadline.touch();
+        progress.loaded += first.value.length;
+
+        if (PlaylistFormats.needsFullRead(first.value, url)) {
+            const chunks = [first.value];
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                deadline.touch();
+                progress.loaded += value.length;
+                chunks.push(value);
+                this.postProgress(state, progress, false);
+            }
+            await this.parseComplete(state, this.concatChunks(chunks), url);
+            return;
+        }
+
+        const decoder = new TextDecoder(PlaylistFormats.detectEncoding(first.value));
+        let buffer = this.parseLines(state, decoder.decode(first.value, { stream: true }));
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            deadline.touch();
+
+            progress.loaded += value.length;
+            buffer = this.parseLines(state, buffer + decoder.decode(value, { stream: true }));
+
+            this.postBatch(state, progress, false);
+            this.postProgress(state, progress, false);
+        }
+
+        this.parseLines(state, buffer + decoder.decode() + '\n');
+    },
+
+    /**
+     * Decode and parse a complete playlist of any supported format into the parser state
+     */
+    async parseComplete(state, bytes, url) {
+        const content = await PlaylistFormats.decodeBytes(bytes);
+        const result = PlaylistFormats.parse(content, { baseUrl: url, fileName: url });
+
+        state.header = result.header;
+        state.channels = result.channels;
+        state.report = result.report;
+    },
+
+    /**
+     * Join stream chunks into one byte array
+     */
+    concatChunks(chunks) {
+        const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return bytes;
+    },
+
+    /**
+     * Parse all complete lines and return the unfinished remainder
+     */
+    parseLines(state, text) {
+        const lines = text.split('\n');
+        const rest = lines.pop();
+
+        for (let i = 0; i < lines.length; i++) {
+            M3UParser.parseLine(state, lines[i]);
+        }
+
+        return rest;
+    },
+
+    /**
+     * Post parsed channels not yet sent to the main thread
+     */
+    postBatch(state, progress, force) {
+        const pending = state.channels.length - progress.sent;
+        if (pending === 0 || (!force && pending < this.BATCH_SIZE)) return;
+
+        self.postMessage({
+            type: 'batch',
+            channels: state.channels.slice(progress.sent)
+        });
+        progress.sent = state.channels.length;
+    },
+
+    /**
+     * Post the outcome of a route attempt
+     */
+    postAttempt(route, ok, latency, error) {
+        self.postMessage({
+            type: 'attempt',
+            route: { id: route.id, name: route.name },
+            ok: ok,
+            latency: latency,
+            error: error
+        });
+    },
+
+    /**
+     * Post download progress, throttled to PROGRESS_INTERVAL
+     */
+    postProgress(state, progress, force) {
+        const now = Date.now();
+        if (!force && now - progress.lastPost < this.PROGRESS_INTERVAL) return;
+
+        progress.lastPost = now;
+        self.postMessage({
+            type: 'progress',
+            loaded: progress.loaded,
+            total: progress.total,
+            channels: state.channels.length
+        });
+    }
+};
+
+self.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'load') {
+        PlaylistWorker.load(e.data.url, e.data.routes);
+    }
+});
@@ -0,0 +1,216 @@
+/**
+ * Household Profiles for IPTV UI
+ * Each profile has its own favorites, recent, lists, channel edits, settings, sources and reminders (see Storage.scopeKey),
+ * plus an optional PIN and lock rules kept with the profile itself
+ */
+
+const Profiles = {
+    // Avatar colors, assigned in turn
+    COLORS: ['#ff6600', '#3b82f6', '#10b981', '#ec4899', '#eab308', '#8b5cf6'],
+
+    MAX_PROFILES: 8,
+
+    PIN_LENGTH: 4,
+
+    /**
+     * Create the first profile on first run
+     */
+    init() {
+        if (Storage.getProfiles().length > 0) return;
+
+        Storage.saveProfiles([this.createDefault()]);
+    },
+
+    /**
+     * Create the record of the first profile, which uses the plain storage keys
+     */
+    createDefault() {
+        return this.create({ id: Storage.DEFAULT_PROFILE, name: 'Home' });
+    },
+
+    /**
+     * Get profiles
+     * Before init stored the first one, it is returned without being stored
+     */
+    getAll() {
+        const profiles = Storage.getProfiles();
+        return profiles.length > 0 ? profiles : [this.createDefault()];
+    },
+
+    /**
+     * Create a profile record
+     * locks: channels that ask for the PIN before playing, only while the profile has a PIN
+     */
+    create(data) {
+        return Object.assign({
+            id: 'prf_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: 'Profile',
+            color: this.COLORS[0],
+            pinHash: null,
+            pinSalt: null,
+            // Ask for the PIN when switching to the profile
+            askPin: false,
+            locks: { groups: [], nsfw: false },
+            createdAt: Date.now()
+        }, data);
+    },
+
+    /**
+     * Get profile by id
+     */
+    get(id) {
+        return this.getAll().find(profile => profile.id === id) || null;
+    },
+
+    /**
+     * Get the active profile
+     */
+    getActive() {
+        return this.get(Storage.getProfileId()) || this.getAll()[0];
+    },
+
+    /**
+     * Add a profile and return it, null when there are MAX_PROFILES
+     */
+    add(name) {
+        const profiles = this.getAll();
+        if (profiles.length >= this.MAX_PROFILES) return null;
+
+        const profile = this.create({
+            name: name,
+            color: this.COLORS[profiles.length % this.COLORS.length]
+        });
+        profiles.push(profile);
+        Storage.saveProfiles(profiles);
+        return profile;
+    },
+
+    /**
+     * Update profile fields and return the updated profile
+     */
+    update(id, changes) {
+        const profiles = this.getAll();
+        const profile = profiles.find(p => p.id === id);
+        if (!profile) return null;
+
+        Object.assign(profile, changes);
+        Storage.saveProfiles(profiles);
+        return profile;
+    },
+
+    /**
+     * Remove a profile and its data, the last profile cannot be removed
+     * Removing the active profile activates the first remaining one
+     */
+    async remove(id) {
+        const profiles = this.getAll();
+        if (profiles.length <= 1 || !profiles.some(profile => profile.id === id)) return false;
+
+        await Storage.removeProfileData(id);
+        const remaining = profiles.filter(profile => profile.id !== id);
+        Storage.saveProfiles(remaining);
+        if (Storage.getProfileId() === id) {
+            Storage.setProfileId(remaining[0].id);
+        }
+        return true;
+    },
+
+    /**
+     * Check if a profile has a PIN
+     */
+    hasPin(profile) {
+        return Boolean(profile && profile.pinHash);
+    },
+
+    /**
+     * Set the PIN of a profile, null removes it together with asking for it
+     */
+    setPin(id, pin) {
+        if (pin === null) {
+            return this.update(id, { pinHash: null, pinSalt: null, askPin: false });
+        }
+        const salt = Math.random().toString(36).slice(2, 10);
+        return this.update(id, { pinHash: this.hashPin(pin, salt), pinSalt: salt });
+    },
+
+    /**
+     * Check an entered PIN, profiles without PIN accept any
+     */
+    checkPin(profile, pin) {
+        return !this.hasPin(profile) || this.hashPin(pin, profile.pinSalt) === profile.pinHash;
+    },
+
+    /**
+     * Check if a PIN has the expected form
+     */
+    isValidPin(pin) {
+        return new RegExp(`^\\d{${this.PIN_LENGTH}}$`).test(pin);
+    },
+
+    /**
+     * Hash a PIN (FNV-1a)
+     * A 4-digit PIN cannot be protected by hashing, this keeps it out of plain sight in storage
+     */
+    hashPin(pin, salt) {
+        const text = `${salt}:${pin}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Check if the picker should show at startup: several profiles, or one asking for its PIN
+     */
+    needsPicker() {
+        const active = this.getActive();
+        return this.getAll().length > 1 || (active.askPin && this.hasPin(active));
+    },
+
+    /**
+     * Check if a channel asks for the PIN of the active profile before playing
+     * Both its playlist group and the group it was moved to in the channel editor count
+     */
+    isLocked(channel, profile = this.getActive()) {
+        if (!this.hasPin(profile) || !profile.locks) return false;
+
+        return Boolean(profile.locks.nsfw && channel.info && channel.info.nsfw) ||
+            this.isGroupLocked(channel.group, profile) ||
+            this.isGroupLocked(channel.originalGroup, profile);
+    },
+
+    /**
+     * Check if a group asks for the PIN of the active profile
+     */
+    isGroupLocked(group, profile = this.getActive()) {
+        if (!this.hasPin(profile) || !profile.locks || !group) return false;
+
+        return (profile.locks.groups || []).includes(group);
+    },
+
+    /**
+     * Parse locked groups from text, one per line
+     */
+    parseGroups(text) {
+        const groups = [];
+        String(text || '').split('\n').forEach(line => {
+            const group = line.trim();
+            if (group && !groups.includes(group)) {
+                groups.push(group);
+            }
+        });
+        return groups;
+    },
+
+    /**
+     * Get the avatar letter of a profile
+     */
+    getInitial(profile) {
+        return (profile.name.trim()[0] || '?').toUpperCase();
+    }
+};
+
+// Export for use
+window.Profiles = Profiles;
@@ -0,0 +1,280 @@
+/**
+ * Programme Reminders for IPTV UI
+ * Alerts before marked programmes start and keeps missed alerts as notifications
+ */
+
+const Reminders = {
+    // Alert this long before a programme starts
+    LEAD_TIME: 5 * 60 * 1000,
+
+    // Notifications kept, oldest are dropped
+    MAX_NOTIFICATIONS: 50,
+
+    // Reminders in memory, see getAll
+    reminders: null,
+
+    // Pending check
+    checking: null,
+
+    /**
+     * Get reminders:
+     * once   { id, type, channel, title, start, stop, alerted, started, seriesId }
+     * series { id, type, channel, title, handledUntil } - creates a once reminder per episode
+     */
+    getAll() {
+        if (!this.reminders) {
+            this.reminders = Storage.getReminders();
+        }
+        return this.reminders;
+    },
+
+    /**
+     * Replace and store reminders
+     */
+    save(reminders) {
+        this.reminders = reminders;
+        Storage.saveReminders(reminders);
+    },
+
+    /**
+     * Read reminders again on next use, after the stored ones changed (profile switch)
+     */
+    reload() {
+        this.reminders = null;
+    },
+
+    /**
+     * Remind of a programme, or of every programme with its title on the channel
+     */
+    add(channel, programme, options = {}) {
+        const ref = Storage.createChannelRef(channel);
+        const reminder = options.recurring
+            ? {
+                id: this.getSeriesId(ref.key, programme.title),
+                type: 'series',
+                channel: ref,
+                title: programme.title,
+                // Episodes starting before are not reminded of
+                handledUntil: Math.min(Date.now(), programme.start - 1)
+            }
+            : {
+                id: this.getOnceId(ref.key, programme.start),
+                type: 'once',
+                channel: ref,
+                title: programme.title,
+                start: programme.start,
+                stop: programme.stop,
+                alerted: false,
+                started: false,
+                seriesId: null
+            };
+
+        this.save(this.getAll().filter(entry => entry.id !== reminder.id).concat(reminder));
+        return reminder;
+    },
+
+    /**
+     * Remove a reminder; removing a series also removes its pending episodes
+     */
+    remove(id) {
+        this.save(this.getAll().filter(reminder => reminder.id !== id && reminder.seriesId !== id));
+    },
+
+    /**
+     * Find the reminders covering a programme: { once, series }
+     */
+    find(channel, programme) {
+        const reminders = this.getAll();
+        return {
+            once: reminders.find(reminder => reminder.id === this.getOnceId(channel.key, programme.start)) || null,
+            series: reminders.find(reminder => reminder.id === this.getSeriesId(channel.key, programme.title)) || null
+        };
+    },
+
+    /**
+     * Check if any reminder covers a programme
+     */
+    isSet(channel, programme) {
+        const found = this.find(channel, programme);
+        return Boolean(found.once || (found.series && programme.start > found.series.handledUntil));
+    },
+
+    getOnceId(channelKey, start) {
+        return `once|${channelKey}|${start}`;
+    },
+
+    getSeriesId(channelKey, title) {
+        return `series|${channelKey}|${this.normalizeTitle(title)}`;
+    },
+
+    normalizeTitle(title) {
+        return String(title || '').trim().toLowerCase();
+    },
+
+    /**
+     * Raise due reminders and collect missed ones
+     * resolveChannel(ref) returns the channel of a stored reference, for guide lookups
+     * Returns events: [{ type: 'upcoming'|'starting'|'missed', notification }]
+     */
+    check(resolveChannel, now = Date.now()) {
+        if (!this.checking) {
+            this.checking = this.runCheck(resolveChannel, now).finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    },
+
+    async runCheck(resolveChannel, now) {
+        await this.expandSeries(resolveChannel, now);
+
+        const events = [];
+        const kept = [];
+        this.getAll().forEach(reminder => {
+            if (reminder.type === 'series') {
+                kept.push(reminder);
+                return;
+            }
+
+            if (now >= reminder.stop) {
+                // Ended without the app running at its start
+                if (!reminder.started) {
+                    events.push(this.notify('missed', reminder, now));
+                }
+                return;
+            }
+
+            if (now >= reminder.start) {
+                if (!reminder.started) {
+                    reminder.started = true;
+                    reminder.alerted = true;
+                    events.push(this.notify('starting', reminder, now));
+                }
+            } else if (now >= reminder.start - this.LEAD_TIME && !reminder.alerted) {
+                reminder.alerted = true;
+                events.push(this.notify('upcoming', reminder, now));
+            }
+            kept.push(reminder);
+        });
+
+        this.save(kept);
+        return events;
+    },
+
+    /**
+     * Create once reminders for episodes of series reminders that start within LEAD_TIME
+     * Episodes that ended meanwhile become missed reminders on the same check
+     */
+    async expandSeries(resolveChannel, now) {
+        const series = this.getAll().filter(reminder => reminder.type === 'series');
+        if (series.length === 0 || !window.EPG) return;
+
+        const created = [];
+        for (const reminder of series) {
+            const channel = resolveChannel(reminder.channel);
+            if (!channel) continue;
+
+            let programmes = [];
+            try {
+                programmes = await EPG.getProgrammes(channel, reminder.handledUntil, now + this.LEAD_TIME);
+            } catch (error) {
+                console.warn('Error reading programmes for reminder:', error.message);
+                continue;
+            }
+
+            const title = this.normalizeTitle(reminder.title);
+            programmes
+                .filter(programme => this.normalizeTitle(programme.title) === title &&
+                    programme.start > reminder.handledUntil &&
+                    programme.start <= now + this.LEAD_TIME)
+                .forEach(programme => {
+                    created.push({
+                        id: this.getOnceId(reminder.channel.key, programme.start),
+                        type: 'once',
+                        channel: reminder.channel,
+                        title: programme.title,
+                        start: programme.start,
+                        stop: programme.stop,
+                        alerted: false,
+                        started: false,
+                        seriesId: reminder.id
+                    });
+                    reminder.handledUntil = Math.max(reminder.handledUntil, programme.start);
+                });
+        }
+
+        const ids = new Set(created.map(reminder => reminder.id));
+        this.save(this.getAll().filter(reminder => !ids.has(reminder.id)).concat(created));
+    },
+
+    /**
+     * Add a notification for a reminder and return the event
+     */
+    notify(type, reminder, now) {
+        const notification = {
+            id: `${type}|${reminder.id}`,
+            type: type,
+            channel: reminder.channel,
+            title: reminder.title,
+            start: reminder.start,
+            stop: reminder.stop,
+            createdAt: now,
+            read: false
+        };
+
+        const notifications = Storage.getNotifications().filter(entry => entry.id !== notification.id);
+        notifications.unshift(notification);
+        Storage.saveNotifications(notifications.slice(0, this.MAX_NOTIFICATIONS));
+
+        return { type, notification };
+    },
+
+    /**
+     * Get notifications, newest first
+     */
+    getNotifications() {
+        return Storage.getNotifications();
+    },
+
+    /**
+     * Count unread notifications
+     */
+    getUnreadCount() {
+        return Storage.getNotifications().filter(notification => !notification.read).length;
+    },
+
+    /**
+     * Mark all notifications as read
+     */
+    markAllRead() {
+        Storage.saveNotifications(Storage.getNotifications().map(notification => Object.assign(notification, { read: true })));
+    },
+
+    /**
+     * Remove all notifications
+     */
+    clearNotifications() {
+        Storage.saveNotifications([]);
+    },
+
+    /**
+     * Describe a notification, e.g. "Starts at 20:15 on Das Erste"
+     */
+    describe(notification) {
+        const channel = notification.channel ? notification.channel.name : '';
+        const time = window.EPG ? EPG.formatTime(notification.start) : new Date(notification.start).toLocaleTimeString();
+        switch (notification.type) {
+            case 'upcoming':
+                return `Starts at ${time} on ${channel}`;
+            case 'starting':
+                return `Starting now on ${channel}`;
+            case 'missed':
+                return `Missed · ${new Date(notification.start).toLocaleDateString()} ${time} on ${channel}`;
+            default:
+                return channel;
+        }
+    }
+};
+
+// Export for use
+window.Reminders = Reminders;
@@ -0,0 +1,417 @@
+/**
+ * Search Index for IPTV UI
+ * Token index over channel names, tvg-names, groups, countries and languages with diacritic folding,
+ * Cyrillic/Arabic transliteration, prefix and typo-tolerant matching
+ */
+
+const SearchIndex = {
+    // Tokenized fields and their relevance weight, same as ChannelSearch.TEXT_FIELDS
+    FIELD_WEIGHTS: {
+        name: 1,
+        tvgName: 0.8,
+        altNames: 0.8,
+        group: 0.5,
+        categories: 0.5,
+        country: 0.4,
+        countryName: 0.4,
+        language: 0.4,
+        languageName: 0.4
+    },
+
+    // Fields kept normalized for qualifier and phrase matching
+    STORED_FIELDS: ['name', 'tvgName', 'altNames', 'group', 'categories', 'country', 'countryName',
+        'language', 'languageName', 'tvgId', 'sourceName'],
+
+    // Fields read from channel.info, added by Enrichment
+    INFO_FIELDS: ['altNames', 'categories', 'countryName', 'languageName'],
+
+    // Base scores by how a query token matched an indexed token
+    SCORES: {
+        exact: 100,
+        prefix: 60,
+        skeleton: 40,
+        typo: 30
+    },
+
+    // Letters folded to ASCII that Unicode normalization does not decompose
+    SPECIAL_LETTERS: {
+        'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i'
+    },
+
+    CYRILLIC: {
+        'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z',
+        'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r',
+        'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch',
+        'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya', 'і': 'i', 'ї': 'yi', 'є': 'ye',
+        'ґ': 'g', 'ў': 'u', 'ђ': 'dj', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ѓ': 'gj', 'ќ': 'kj'
+    },
+
+    ARABIC: {
+        'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ٱ': 'a', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j',
+        'ح': 'h', 'خ': 'kh', 'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's',
+        'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': '', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l',
+        'م': 'm', 'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y', 'ى': 'a', 'ة': 'h', 'ء': '', 'ؤ': 'w',
+        'ئ': 'y', 'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'گ': 'g', 'ک': 'k', 'ی': 'y',
+        '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9'
+    },
+
+    // Indexed channels: channel -> { fields, tokens: Map(token -> weight) }
+    entries: new Map(),
+
+    // token -> Map(channel -> weight)
+    postings: new Map(),
+
+    // Consonant skeleton -> Set(token), for tokens transliterated from Arabic
+    skeletons: new Map(),
+
+    // Sorted tokens for prefix lookups, rebuilt lazily after changes
+    vocabulary: [],
+    vocabularyDirty: false,
+
+    // Channel list the index was last updated with
+    indexedChannels: null,
+
+    /**
+     * Bring the index in line with a channel list
+     * Only channels added or removed since the last update are (re)indexed
+     */
+    update(channels) {
+        if (channels === this.indexedChannels) return;
+        this.indexedChannels = channels;
+
+        const current = new Set(channels);
+        this.entries.forEach((entry, channel) => {
+            if (!current.has(channel)) {
+                this.remove(channel);
+            }
+        });
+
+        channels.forEach(channel => {
+            if (!this.entries.has(channel)) {
+                this.add(channel);
+            }
+        });
+    },
+
+    /**
+     * Re-index a channel whose name, group or other fields changed
+     */
+    refresh(channel) {
+        if (this.entries.has(channel)) {
+            this.remove(channel);
+        }
+        this.add(channel);
+    },
+
+    /**
+     * Add a channel to the index
+     */
+    add(channel) {
+        const entry = { fields: {}, tokens: new Map() };
+
+        this.STORED_FIELDS.forEach(field => {
+            entry.fields[field] = this.normalize(this.getText(channel, field));
+        });
+
+        Object.entries(this.FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+            this.tokenize(this.getText(channel, field)).forEach((token, position) => {
+                // Words at the start of a field rank slightly higher
+                const weight = fieldWeight * (position === 0 ? 1 : 0.9);
+                if (weight > (entry.tokens.get(token.text) || 0)) {
+                    entry.tokens.set(token.text, weight);
+                }
+                if (token.arabic) {
+                    this.addSkeletons(token.text);
+                }
+            });
+        });
+
+        entry.tokens.forEach((weight, token) => {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+                this.vocabularyDirty = true;
+            }
+            this.postings.get(token).set(channel, weight);
+        });
+
+        this.entries.set(channel, entry);
+    },
+
+    /**
+     * Remove a channel from the index
+     */
+    remove(channel) {
+        const entry = this.entries.get(channel);
+        if (!entry) return;
+
+        entry.tokens.forEach((weight, token) => {
+            const posting = this.postings.get(token);
+            if (!posting) return;
+            posting.delete(channel);
+            if (posting.size === 0) {
+                this.postings.delete(token);
+                this.vocabularyDirty = true;
+            }
+        });
+
+        this.entries.delete(channel);
+    },
+
+    /**
+     * Clear the index
+     */
+    clear() {
+        this.entries = new Map();
+        this.postings = new Map();
+        this.skeletons = new Map();
+        this.vocabulary = [];
+        this.vocabularyDirty = false;
+        this.indexedChannels = null;
+    },
+
+    /**
+     * Get the searchable text of a channel field, lists joined with ";"
+     */
+    getText(channel, field) {
+        const value = this.INFO_FIELDS.includes(field)
+            ? channel.info && channel.info[field]
+            : channel[field];
+        return Array.isArray(value) ? value.join(';') : value;
+    },
+
+    /**
+     * Get a normalized field of an indexed channel, undefined if not indexed
+     */
+    getField(channel, field) {
+        const entry = this.entries.get(channel);
+        return entry ? entry.fields[field] : undefined;
+    },
+
+    /**
+     * Find channels matching every word of text: Map(channel -> score 0..100)
+     * With options.phrase the words must also appear in that order
+     */
+    lookup(text, options = {}) {
+        const tokens = this.tokenize(text).map(token => token.text);
+        if (tokens.length === 0) {
+            return new Map();
+        }
+
+        let result = null;
+        tokens.forEach(token => {
+            const matches = this.lookupToken(token);
+            if (result === null) {
+                result = matches;
+                return;
+            }
+            const merged = new Map();
+            result.forEach((score, channel) => {
+                if (matches.has(channel)) {
+                    merged.set(channel, score + matches.get(channel));
+                }
+            });
+            result = merged;
+        });
+
+        result.forEach((score, channel) => result.set(channel, score / tokens.length));
+
+        if (options.phrase) {
+            const phrase = tokens.join(' ');
+            result.forEach((score, channel) => {
+                const fields = this.entries.get(channel).fields;
+                const found = Object.keys(this.FIELD_WEIGHTS).some(field =>
+                    this.tokenize(fields[field]).map(token => token.text).join(' ').includes(phrase));
+                if (!found) {
+                    result.delete(channel);
+                }
+            });
+        }
+
+        return result;
+    },
+
+    /**
+     * Find channels for a single normalized token
+     */
+    lookupToken(token) {
+        const scores = new Map();
+        const collect = (word, base) => {
+            this.postings.get(word).forEach((weight, channel) => {
+                const score = base * weight;
+                if (score > (scores.get(channel) || 0)) {
+                    scores.set(channel, score);
+                }
+            });
+        };
+
+        const vocabulary = this.getVocabulary();
+
+        // Exact and prefix matches are a contiguous range of the sorted vocabulary
+        let index = this.lowerBound(vocabulary, token);
+        for (; index < vocabulary.length && vocabulary[index].startsWith(token); index++) {
+            collect(vocabulary[index], vocabulary[index] === token ? this.SCORES.exact : this.SCORES.prefix);
+        }
+
+        // Typo tolerance grows with word length
+        const maxEdits = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+        if (maxEdits > 0) {
+            vocabulary.forEach(word => {
+                if (word.startsWith(token) || word.length < token.length - maxEdits) return;
+                const edits = this.prefixDistance(token, word, maxEdits);
+                if (edits <= maxEdits) {
+                    collect(word, this.SCORES.typo / edits);
+                }
+            });
+        }
+
+        // Arabic is written without short vowels, compare consonants only
+        const skeleton = this.skeleton(token);
+        if (skeleton.length >= 3) {
+            this.skeletons.forEach((words, key) => {
+                if (!key.startsWith(skeleton)) return;
+                words.forEach(word => {
+                    if (this.postings.has(word)) {
+                        collect(word, this.SCORES.skeleton);
+                    }
+                });
+            });
+        }
+
+        return scores;
+    },
+
+    /**
+     * Get sorted vocabulary
+     */
+    getVocabulary() {
+        if (this.vocabularyDirty) {
+            this.vocabulary = Array.from(this.postings.keys()).sort();
+            this.vocabularyDirty = false;
+        }
+        return this.vocabulary;
+    },
+
+    /**
+     * Index of the first vocabulary word not below token
+     */
+    lowerBound(words, token) {
+        let low = 0;
+        let high = words.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (words[middle] < token) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    },
+
+    /**
+     * Smallest edit distance between token and any prefix of word,
+     * so "telemnd" finds "telemundo" while it is still being typed
+     * Counts insertions, deletions, substitutions and adjacent transpositions;
+     * returns maxEdits + 1 once the distance is known to exceed maxEdits
+     */
+    prefixDistance(token, word, maxEdits) {
+        const columns = Math.min(word.length, token.length + maxEdits);
+        let previous2 = null;
+        let previous = [];
+        for (let j = 0; j <= columns; j++) {
+            previous.push(j);
+        }
+
+        for (let i = 1; i <= token.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= columns; j++) {
+                const cost = token[i - 1] === word[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && token[i - 1] === word[j - 2] && token[i - 2] === word[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxEdits) {
+                return maxEdits + 1;
+            }
+            previous2 = previous;
+            previous = current;
+        }
+
+        // The word may be longer than what was typed, any prefix length counts
+        let best = maxEdits + 1;
+        for (let j = Math.max(0, token.length - maxEdits); j <= columns; j++) {
+            best = Math.min(best, previous[j]);
+        }
+        return best;
+    },
+
+    /**
+     * Register consonant skeletons of an Arabic-derived token, with and without the "al" article
+     */
+    addSkeletons(token) {
+        const skeleton = this.skeleton(token);
+        [skeleton, token.startsWith('al') ? this.skeleton(token.slice(2)) : ''].forEach(key => {
+            if (key.length < 2) return;
+            if (!this.skeletons.has(key)) {
+                this.skeletons.set(key, new Set());
+            }
+            this.skeletons.get(key).add(token);
+        });
+    },
+
+    /**
+     * Strip vowels and letters Arabic uses for long vowels
+     */
+    skeleton(token) {
+        return token.replace(/[aeiouywh]/g, '');
+    },
+
+    /**
+     * Fold text for matching: lowercase, transliterate, strip diacritics
+     */
+    normalize(text) {
+        const lower = String(text || '').toLowerCase();
+        // Most names are plain ASCII, skip the Unicode work for them
+        if (!/[^\u0000-\u007f]/.test(lower)) {
+            return lower;
+        }
+        return this.transliterate(lower)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    },
+
+    /**
+     * Transliterate Cyrillic and Arabic letters to Latin
+     * Runs before diacritic stripping, which would turn й into и
+     */
+    transliterate(text) {
+        return text
+            .replace(/[\u064b-\u065f\u0670\u0640]/g, '')
+            .replace(/[^\u0000-\u007f]/g, letter =>
+                this.SPECIAL_LETTERS[letter] ?? this.CYRILLIC[letter] ?? this.ARABIC[letter] ?? letter);
+    },
+
+    /**
+     * Split text into normalized tokens: [{ text, arabic }]
+     */
+    tokenize(text) {
+        const tokens = [];
+        String(text || '').split(/[^\p{L}\p{N}]+/u).forEach(word => {
+            if (!word) return;
+            const arabic = /[\u0600-\u06ff]/.test(word);
+            this.normalize(word).split(/[^\p{L}\p{N}]+/u).forEach(part => {
+                if (part) {
+                    tokens.push({ text: part, arabic });
+                }
+            });
+        });
+        return tokens;
+    }
+};
+
+// Export for use
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,312 @@
+/**
+ * Channel Search for IPTV UI
+ * Parses structured queries and ranks matching channels by relevance
+ *
+ * Query syntax:
+ *   bbc news              all words must match (name, tvg-name, group, country, language)
+ *   "bbc one"             quoted phrase
+ *   country:de group:news field qualifiers (name, group, country, lang, id, source)
+ *   -shopping             negation, also works with qualifiers and filters
+ *   sport OR football     either side may match
+ *   is:favorite has:epg   filters (see FILTERS)
+ *   country:germany       country and language qualifiers match names once Enrichment is loaded
+ */
+
+const ChannelSearch = {
+    // Qualifier aliases mapped to channel fields
+    FIELDS: {
+        name: 'name',
+        title: 'name',
+        group: 'group',
+        category: 'group',
+        cat: 'group',
+        country: 'country',
+        lang: 'language',
+        language: 'language',
+        id: 'tvgId',
+        tvg: 'tvgId',
+        source: 'sourceName'
+    },
+
+    // is:/has: filters, evaluated against the search context
+    FILTERS: {
+        'is:favorite': (channel, context) => context.isFavorite(channel),
+        'is:recent': (channel, context) => context.isRecent(channel),
+        'is:live': (channel) => !channel.kind || channel.kind === 'live',
+        'is:movie': (channel) => channel.kind === 'vod',
+        'is:series': (channel) => channel.kind === 'series',
+        'is:relay': (channel) => channel.playback === 'relay',
+        'has:epg': (channel, context) => context.hasEpg(channel),
+        'has:logo': (channel) => Boolean(channel.logo),
+        'has:catchup': (channel) => Boolean(channel.catchup),
+        'is:nsfw': (channel) => Boolean(channel.info && channel.info.nsfw),
+        'is:closed': (channel) => Boolean(channel.info && channel.info.closed),
+        'is:blocked': (channel) => Boolean(channel.info && channel.info.blocked)
+    },
+
+    // Fields searched by unqualified words, with their relevance weight
+    TEXT_FIELDS: {
+        name: 1,
+        tvgName: 0.8,
+        altNames: 0.8,
+        group: 0.5,
+        categories: 0.5,
+        country: 0.4,
+        countryName: 0.4,
+        language: 0.4,
+        languageName: 0.4
+    },
+
+    // Fields a qualifier also matches, e.g. country:germany finds "DE" channels through Enrichment names
+    RELATED_FIELDS: {
+        name: ['tvgName', 'altNames'],
+        group: ['categories'],
+        country: ['countryName'],
+        language: ['languageName']
+    },
+
+    // Fields holding lists like "US;GB", each entry is compared on its own
+    LIST_FIELDS: ['country', 'countryName', 'language', 'languageName', 'categories', 'altNames'],
+
+    // Base scores by how a value matched a field
+    SCORES: {
+        exact: 100,
+        prefix: 60,
+        word: 40,
+        contains: 20,
+        // Filters only narrow results, they add little to the ranking
+        filter: 1
+    },
+
+    /**
+     * Parse a query into OR clauses, each a list of terms that must all match
+     * Term: { type: 'text' | 'field' | 'filter', field, key, value, negate, phrase, raw }
+     */
+    parse(query) {
+        const clauses = [[]];
+        const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            const [raw, minus, qualifier, phrase, word] = match;
+
+            if (!minus && !qualifier && phrase === undefined && (word === 'OR' || word === '|')) {
+                clauses.push([]);
+                continue;
+            }
+
+            const term = this.createTerm(raw, minus === '-', qualifier,
+                phrase !== undefined ? phrase : word, phrase !== undefined);
+            if (term) {
+                clauses[clauses.length - 1].push(term);
+            }
+        }
+
+        return clauses.filter(clause => clause.length > 0);
+    },
+
+    /**
+     * Create a term from a query token
+     */
+    createTerm(raw, negate, qualifier, value, phrase) {
+        const text = this.fold((value || '').trim());
+        if (!text) return null;
+
+        const term = { type: 'text', field: null, key: null, value: text, negate, phrase, raw };
+        const name = (qualifier || '').toLowerCase();
+
+        if (name === 'is' || name === 'has') {
+            const key = `${name}:${text}`;
+            if (this.FILTERS[key]) {
+                return Object.assign(term, { type: 'filter', key: key });
+            }
+        } else if (this.FIELDS[name]) {
+            return Object.assign(term, { type: 'field', field: this.FIELDS[name] });
+        }
+
+        // Unknown qualifiers are searched as plain text, e.g. "news:24"
+        if (qualifier) {
+            term.value = `${name}:${text}`;
+        }
+        return term;
+    },
+
+    /**
+     * Fold text for comparison, accent-insensitive when SearchIndex is loaded
+     */
+    fold(text) {
+        return window.SearchIndex ? SearchIndex.normalize(text) : String(text || '').toLowerCase();
+    },
+
+    /**
+     * Get the text of a channel field, including fields added by Enrichment
+     */
+    getText(channel, field) {
+        return window.SearchIndex ? SearchIndex.getText(channel, field) : channel[field];
+    },
+
+    /**
+     * Search channels and return ranked results: [{ channel, score, terms }]
+     * terms are the positive terms that matched, for showing why a channel was found
+     * context: { isFavorite(channel), isRecent(channel), hasEpg(channel), index }
+     * context.index is a SearchIndex updated with channels; text terms are then
+     * looked up fuzzily instead of scanning every channel
+     */
+    search(channels, query, context = {}) {
+        const clauses = Array.isArray(query) ? query : this.parse(query);
+        if (clauses.length === 0) {
+            return [];
+        }
+
+        const searchContext = Object.assign({
+            isFavorite: () => false,
+            isRecent: () => false,
+            // Without a guide, a tvg-id is what an EPG would be matched on
+            hasEpg: (channel) => Boolean(channel.tvgId),
+            index: null
+        }, context);
+
+        // Channels found by the index for each text term
+        searchContext.textMatches = new Map();
+        if (searchContext.index) {
+            clauses.forEach(clause => clause.forEach(term => {
+                if (term.type === 'text') {
+                    searchContext.textMatches.set(term, searchContext.index.lookup(term.value, { phrase: term.phrase }));
+                }
+            }));
+            channels = this.getCandidates(channels, clauses, searchContext.textMatches);
+        }
+
+        const results = [];
+        channels.forEach(channel => {
+            const result = this.matchChannel(channel, clauses, searchContext);
+            if (result) {
+                results.push(Object.assign({ channel }, result));
+            }
+        });
+
+        // Array sort is stable, so equal scores keep playlist order
+        return results.sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     * Narrow channels to those the index found for at least one clause
+     * Every clause needs a positive text term for this, otherwise all channels are candidates
+     */
+    getCandidates(channels, clauses, textMatches) {
+        const candidates = new Set();
+
+        for (const clause of clauses) {
+            let smallest = null;
+            clause.forEach(term => {
+                const matches = textMatches.get(term);
+                if (matches && !term.negate && (!smallest || matches.size < smallest.size)) {
+                    smallest = matches;
+                }
+            });
+            if (!smallest) {
+                return channels;
+            }
+            smallest.forEach((score, channel) => candidates.add(channel));
+        }
+
+        // Keep playlist order for equally ranked results
+        return channels.filter(channel => candidates.has(channel));
+    },
+
+    /**
+     * Match a channel against OR clauses, keeping the best scoring clause
+     */
+    matchChannel(channel, clauses, context) {
+        let best = null;
+
+        clauses.forEach(clause => {
+            let score = 0;
+            const terms = [];
+
+            for (const term of clause) {
+                const termScore = this.scoreTerm(channel, term, context);
+                if (term.negate ? termScore > 0 : termScore === 0) {
+                    return;
+                }
+                if (!term.negate) {
+                    score += termScore;
+                    terms.push(term);
+                }
+            }
+
+            if (!best || score > best.score) {
+                best = { score, terms };
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Score a single term against a channel, 0 when it does not match
+     */
+    scoreTerm(channel, term, context) {
+        if (term.type === 'filter') {
+            return this.FILTERS[term.key](channel, context) ? this.SCORES.filter : 0;
+        }
+
+        if (term.type === 'field') {
+            return [term.field].concat(this.RELATED_FIELDS[term.field] || [])
+                .reduce((best, field) => Math.max(best, this.scoreField(channel, field, term.value, context.index)), 0);
+        }
+
+        let best = 0;
+        const indexed = context.textMatches.get(term);
+        if (indexed) {
+            return indexed.get(channel) || 0;
+        }
+
+        Object.entries(this.TEXT_FIELDS).forEach(([field, weight]) => {
+            best = Math.max(best, this.scoreField(channel, field, term.value) * weight);
+        });
+        return best;
+    },
+
+    /**
+     * Score a value against a channel field
+     * List fields such as country may hold "US;GB", each entry is compared
+     */
+    scoreField(channel, field, value, index = null) {
+        const folded = index ? index.getField(channel, field) : undefined;
+        const text = folded !== undefined ? folded : this.fold(this.getText(channel, field));
+        if (!text) return 0;
+
+        const entries = this.LIST_FIELDS.includes(field)
+            ? text.split(/[;,|]/).map(entry => entry.trim())
+            : [text];
+
+        let best = 0;
+        entries.forEach(entry => {
+            best = Math.max(best, this.scoreText(entry, value));
+        });
+        return best;
+    },
+
+    /**
+     * Score how well value matches text: exact, prefix, word start or substring
+     */
+    scoreText(text, value) {
+        if (text === value) return this.SCORES.exact;
+        if (text.startsWith(value)) return this.SCORES.prefix;
+
+        const index = text.indexOf(value);
+        if (index === -1) return 0;
+        return /[\s\-_.:/([]/.test(text[index - 1]) ? this.SCORES.word : this.SCORES.contains;
+    },
+
+    /**
+     * Format a term for display
+     */
+    describeTerm(term) {
+        return term.raw.replace(/^-/, '');
+    }
+};
+
+// Export for use
+window.ChannelSearch = ChannelSearch;
@@ -0,0 +1,406 @@
+/**
+ * Playlist Sources Manager for IPTV UI
+ * Loads M3U URLs, uploaded files and Xtream logins and merges them into one channel list
+ */
+
+const Sources = {
+    // Source types
+    TYPES: {
+        m3u: 'M3U URL',
+        file: 'Uploaded File',
+        xtream: 'Xtream Codes'
+    },
+
+    // Loaded playlists per source id: { header, channels, report }
+    results: {},
+
+    // Merged channels of enabled sources, duplicates removed, with ChannelEdits applied
+    channels: [],
+
+    // Merged channels before ChannelEdits, including hidden ones
+    allChannels: [],
+
+    /**
+     * Create default sources on first run of a profile
+     */
+    init() {
+        if (Storage.getSources()) return;
+
+        const playlist = {
+            name: 'iptv-org',
+            type: 'm3u',
+            url: M3UParser.PLAYLIST_URL
+        };
+        // Other profiles get their own id, so they don't share the cache of an edited source
+        if (Storage.getProfileId() === Storage.DEFAULT_PROFILE) {
+            playlist.id = 'default';
+        }
+        const sources = [this.createSource(playlist)];
+
+        // Keep the Xtream login saved before sources existed
+        const legacyXtream = Storage.getLegacyXtreamSource();
+        if (legacyXtream) {
+            sources.push(this.createSource(Object.assign({
+                name: XtreamClient.normalizeServer(legacyXtream.server).replace(/^https?:\/\//, ''),
+                type: 'xtream'
+            }, legacyXtream)));
+        }
+
+        Storage.saveSources(sources);
+        Storage.clearLegacySources();
+    },
+
+    /**
+     * Create a source record with default status fields
+     */
+    createSource(data) {
+        return Object.assign({
+            id: 'src_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: 'Playlist',
+            type: 'm3u',
+            enabled: true,
+            lastUpdated: null,
+            lastError: null,
+            // Fetch route that served the last download
+            lastRoute: null,
+            // Xtream panel timezone from the last login, archive URLs use panel time
+            timezone: null,
+            channelCount: 0
+        }, data);
+    },
+
+    /**
+     * Get sources in priority order
+     */
+    getSources() {
+        return Storage.getSources() || [];
+    },
+
+    /**
+     * Get source by id
+     */
+    getSource(id) {
+        return this.getSources().find(source => source.id === id) || null;
+    },
+
+    /**
+     * Add a source and return it
+     */
+    addSource(data) {
+        const sources = this.getSources();
+        const source = this.createSource(data);
+        sources.push(source);
+        Storage.saveSources(sources);
+        return source;
+    },
+
+    /**
+     * Update source fields and return the updated source
+     */
+    updateSource(id, changes) {
+        const sources = this.getSources();
+        const source = sources.find(s => s.id === id);
+        if (!source) return null;
+
+        Object.assign(source, changes);
+        Storage.saveSources(sources);
+        return source;
+    },
+
+    /**
+     * Remove a source and its cache
+     */
+    removeSource(id) {
+        Storage.saveSources(this.getSources().filter(source => source.id !== id));
+        Storage.removeCachedPlaylist(id);
+        delete this.results[id];
+        return this.merge();
+    },
+
+    /**
+     * Move a source up (-1) or down (+1) in priority
+     */
+    moveSource(id, delta) {
+        const sources = this.getSources();
+        const index = sources.findIndex(source => source.id === id);
+        const target = index + delta;
+        if (index === -1 || target < 0 || target >= sources.length) {
+            return this.channels;
+        }
+
+        const [source] = sources.splice(index, 1);
+        sources.splice(target, 0, source);
+        Storage.saveSources(sources);
+        return this.merge();
+    },
+
+    /**
+     * Enable or disable a source, loading it if needed
+     */
+    async setEnabled(id, enabled) {
+        const source = this.updateSource(id, { enabled: enabled });
+        if (source && enabled && !this.results[id]) {
+            try {
+                await this.loadSource(source);
+            } catch (error) {
+                console.warn('Source failed:', source.name, error.message);
+            }
+        }
+        return this.merge();
+    },
+
+    /**
+     * Load all enabled sources in order
+     * options.onUpdate receives the merged channels while sources are loading
+     */
+    async loadAll(options = {}) {
+        for (const source of this.getSources().filter(s => s.enabled)) {
+            try {
+                await this.loadSource(source, options);
+            } catch (error) {
+                console.warn('Source failed:', source.name, error.message);
+            }
+        }
+        return this.merge();
+    },
+
+    /**
+     * Load a single source, from its cache unless options.force
+     */
+    async loadSource(source, options = {}) {
+        const progressive = typeof options.onUpdate === 'function';
+        const fetchOptions = {
+            sourceId: source.id,
+            force: Boolean(options.force),
+            onProgress: options.onProgress
+        };
+
+        // Show channels while the playlist is still streaming in
+        const partial = { header: null, channels: [], report: null };
+        if (progressive) {
+            const keyCounts = new Map();
+            fetchOptions.onBatch = (batch) => {
+                this.tagChannels(source, batch, keyCounts);
+                batch.forEach(channel => partial.channels.push(channel));
+                this.results[source.id] = partial;
+                options.onUpdate(this.merge());
+            };
+            fetchOptions.onReset = () => {
+                partial.channels = [];
+                keyCounts.clear();
+                options.onUpdate(this.merge());
+            };
+        }
+
+        try {
+            const result = await this.fetchSource(source, fetchOptions);
+            this.tagChannels(source, result.channels);
+            this.results[source.id] = result;
+
+            const status = { lastError: null, channelCount: result.channels.length };
+            if (!result.cached) {
+                status.lastUpdated = Date.now();
+                status.lastRoute = result.route ? result.route.name : null;
+                if (result.account) {
+                    status.timezone = result.account.serverInfo.timezone || null;
+                }
+            }
+            this.updateSource(source.id, status);
+
+            return result;
+        } catch (error) {
+            if (this.results[source.id] === partial) {
+                delete this.results[source.id];
+            }
+            this.updateSource(source.id, { lastError: error.message });
+            throw error;
+        } finally {
+            if (progressive) {
+                options.onUpdate(this.merge());
+            }
+        }
+    },
+
+    /**
+     * Use the cached playlist of a source, after another window loaded it
+     * Returns whether the source had a cache
+     */
+    async loadCached(source) {
+        const cached = await Storage.getCachedPlaylist(source.id);
+        if (!cached) return false;
+
+        this.tagChannels(source, cached.channels);
+        this.results[source.id] = { header: cached.header, channels: cached.channels, report: null, cached: true };
+        return true;
+    },
+
+    /**
+     * Fetch source playlist by type
+     */
+    async fetchSource(source, options) {
+        switch (source.type) {
+            case 'm3u':
+                return M3UParser.loadPlaylist(source.url, options);
+            case 'file': {
+                const cached = await Storage.getCachedPlaylist(source.id);
+                if (!cached) {
+                    throw new Error('File is no longer stored, upload it again');
+                }
+                return { header: cached.header, channels: cached.channels, report: null, cached: true };
+            }
+            case 'xtream': {
+                const cached = options.force ? null : await Storage.getCachedPlaylist(source.id);
+                if (cached && cached.channels.length > 0) {
+                    return { header: cached.header, channels: cached.channels, report: null, cached: true };
+                }
+                const result = await XtreamClient.fetchPlaylist(source);
+                Storage.cacheChannels(result.channels, 1, result.header, source.id);
+                return result;
+            }
+            default:
+                throw new Error(`Unknown source type: ${source.type}`);
+        }
+    },
+
+    /**
+     * Add an uploaded playlist file as a source
+     * result is the parsed file, after PlaylistLint fixes were applied
+     */
+    addFileSource(name, result) {
+        if (result.channels.length === 0) {
+            return null;
+        }
+
+        const source = this.addSource({
+            name: name,
+            type: 'file',
+            lastUpdated: Date.now(),
+            channelCount: result.channels.length
+        });
+
+        // Files cannot be fetched again, so their cache never expires
+        Storage.cacheChannels(result.channels, null, result.header, source.id);
+        this.tagChannels(source, result.channels);
+        this.results[source.id] = result;
+        this.merge();
+
+        return source;
+    },
+
+    /**
+     * Tag channels with the source they came from and enrich them when the channel database is loaded
+     * keyCounts continues the keys of earlier batches of the same playlist, see M3UParser.assignChannelKeys
+     */
+    tagChannels(source, channels, keyCounts = new Map()) {
+        channels.forEach(channel => {
+            channel.sourceId = source.id;
+            channel.sourceName = source.name;
+        });
+        M3UParser.assignChannelKeys(channels, keyCounts);
+        Enrichment.apply(channels);
+    },
+
+    /**
+     * Enrich all loaded channels again, after the channel database changed
+     */
+    enrich() {
+        Object.values(this.results).forEach(result => Enrichment.apply(result.channels));
+        return this.merge();
+    },
+
+    /**
+     * Merge loaded channels of enabled sources in priority order
+     * A channel an earlier source provides is left out of later ones, see getDuplicateKeys,
+     * every entry of a source itself is kept
+     */
+    merge() {
+        const seen = new Set();
+        const channels = [];
+
+        this.getSources()
+            .filter(source => source.enabled)
+            .forEach(source => {
+                const result = this.results[source.id];
+                if (!result) return;
+
+                const sourceKeys = [];
+                result.channels.forEach(channel => {
+                    const keys = this.getDuplicateKeys(channel);
+                    if (keys.some(key => seen.has(key))) return;
+                    sourceKeys.push(...keys);
+                    channels.push(channel);
+                });
+                sourceKeys.forEach(key => seen.add(key));
+            });
+
+        this.allChannels = channels;
+        this.channels = ChannelEdits.apply(channels);
+        return this.channels;
+    },
+
+    /**
+     * Keys used to detect the same channel across sources: its channel key, which providers with
+     * different or rotating stream URLs share through tvg-id, and its stream URL
+     * Keys are unique within a source (see M3UParser.assignChannelKeys), so merged channels have unique keys too
+     */
+    getDuplicateKeys(channel) {
+        return [channel.key || M3UParser.getChannelKey(channel), `url:${channel.url.trim()}`];
+    },
+
+    /**
+     * Get EPG URLs announced by loaded playlists
+     */
+    getEpgUrls() {
+        const urls = [];
+        this.getSources()
+            .filter(source => source.enabled && this.results[source.id])
+            .forEach(source => {
+                const header = this.results[source.id].header;
+                (header ? header.epgUrls : []).forEach(url => {
+                    if (!urls.includes(url)) {
+                        urls.push(url);
+                    }
+                });
+            });
+        return urls;
+    },
+
+    /**
+     * Combine the playlist headers of the sources the given channels came from
+     * EPG URLs are joined, other fields are only kept when every source agrees,
+     * so header defaults are not spread to channels of another playlist
+     */
+    getHeader(channels) {
+        const header = M3UParser.createHeader();
+        const sourceIds = [...new Set(channels.map(channel => channel.sourceId))];
+        const headers = sourceIds.map(id => this.results[id] && this.results[id].header);
+        if (headers.length === 0 || headers.some(sourceHeader => !sourceHeader)) {
+            return header;
+        }
+
+        headers.forEach(sourceHeader => {
+            (sourceHeader.epgUrls || []).forEach(url => {
+                if (!header.epgUrls.includes(url)) {
+                    header.epgUrls.push(url);
+                }
+            });
+        });
+
+        const [first, ...rest] = headers;
+        ['tvgShift', 'catchup', 'catchupDays', 'catchupSource', 'userAgent'].forEach(field => {
+            if (rest.every(sourceHeader => sourceHeader[field] === first[field])) {
+                header[field] = first[field];
+            }
+        });
+        Object.entries(first.attributes || {}).forEach(([key, value]) => {
+            if (rest.every(sourceHeader => (sourceHeader.attributes || {})[key] === value)) {
+                header.attributes[key] = value;
+            }
+        });
+
+        return header;
+    }
+};
+
+// Export for use
+window.Sources = Sources;
@@ -1,6 +1,8 @@
 /**
  * Storage Manager for IPTV UI
- * Handles localStorage operations for favorites, recent, and settings
+ * Keeps favorites, recent and settings per profile in localStorage (in memory when it is unavailable)
+ * and channel caches in IndexedDB
+ * Changes made here or in other windows of the app are announced to onChange listeners
  */
 
 const Storage = {
@@ -8,38 +10,604 @@ const Storage = {
         FAVORITES: 'iptv_favorites',
         RECENT: 'iptv_recent',
         SETTINGS: 'iptv_settings',
-        CACHE: 'iptv_cache'
+        CACHE: 'iptv_cache',
+        SOURCES: 'iptv_sources',
+        FETCH_STATS: 'iptv_fetch_stats',
+        REMINDERS: 'iptv_reminders',
+        NOTIFICATIONS: 'iptv_notifications',
+        LISTS: 'iptv_lists',
+        CHANNEL_EDITS: 'iptv_channel_edits',
+        PROFILES: 'iptv_profiles',
+        ACTIVE_PROFILE: 'iptv_active_profile',
+        SCHEMA_VERSION: 'iptv_schema_version',
+        // Stored values that could not be read, see quarantine
+        QUARANTINE: 'iptv_quarantine',
+        // Single Xtream login, replaced by sources
+        XTREAM: 'iptv_xtream'
     },
 
     MAX_RECENT: 20,
 
+    // Version of the stored data layout, the last step of MIGRATIONS
+    SCHEMA_VERSION: 2,
+
     /**
-     * Get favorites list
+     * Steps upgrading stored data, run once each in order on startup, see migrate
+     * Data of versions before the schema version counts as version 0
      */
-    getFavorites() {
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Move channel caches from localStorage to IndexedDB',
+            run: () => Storage.migrateLegacyCaches()
+        },
+        {
+            version: 2,
+            description: 'Quarantine unreadable data and drop the unused PIN settings of versions without profiles',
+            run: () => Storage.migrateSettingsPin()
+        }
+    ],
+
+    // Checks of stored JSON values by key, without profile suffix
+    FORMATS: {
+        iptv_favorites: value => Array.isArray(value),
+        iptv_recent: value => Array.isArray(value),
+        iptv_settings: value => Storage.isPlainObject(value),
+        iptv_sources: value => Array.isArray(value),
+        iptv_fetch_stats: value => Storage.isPlainObject(value),
+        iptv_reminders: value => Array.isArray(value),
+        iptv_notifications: value => Array.isArray(value),
+        iptv_lists: value => Array.isArray(value),
+        iptv_channel_edits: value => Array.isArray(value),
+        iptv_profiles: value => Array.isArray(value),
+        iptv_xtream: value => Storage.isPlainObject(value)
+    },
+
+    // Quarantined values kept, the oldest are dropped
+    MAX_QUARANTINE: 20,
+
+    // Values quarantined since the page loaded
+    quarantinedCount: 0,
+
+    // Data each profile keeps for itself, stored as key@profileId
+    // The first profile uses the plain keys, which hold the data of versions without profiles
+    PROFILE_KEYS: ['FAVORITES', 'RECENT', 'SETTINGS', 'SOURCES', 'REMINDERS', 'NOTIFICATIONS', 'LISTS', 'CHANNEL_EDITS'],
+    DEFAULT_PROFILE: 'default',
+
+    // Active profile id, read on first use
+    profileId: null,
+
+    // IndexedDB store of channel caches, which outgrow localStorage quotas
+    CACHE_STORE: 'playlists',
+
+    // Values localStorage refused, or all values when it is unavailable: key -> string
+    memory: new Map(),
+
+    // Whether localStorage works, null until checked
+    localStorageAvailable: null,
+
+    // Stored values as this window last read or wrote them: key -> string, null when missing, see writeJSON
+    snapshots: new Map(),
+
+    /**
+     * Merging of values another window changed since this window read them, see mergeJSON
+     * Lists are matched by getId, finish(list) trims a merged list; objects are merged by property
+     */
+    MERGE: {
+        iptv_favorites: { getId: ref => ref.key || ref.url },
+        iptv_recent: {
+            getId: ref => ref.key || ref.url,
+            finish: list => list
+                .sort((a, b) => (b.watchedAt || 0) - (a.watchedAt || 0))
+                .slice(0, Storage.MAX_RECENT)
+        },
+        iptv_settings: { defaults: () => Storage.getDefaultSettings() },
+        iptv_sources: { getId: source => source.id },
+        iptv_reminders: { getId: reminder => reminder.id },
+        iptv_notifications: { getId: notification => notification.id },
+        iptv_lists: { getId: list => list.id },
+        iptv_channel_edits: { getId: entry => entry.type === 'group' ? `group|${entry.group}` : `channel|${entry.key}` },
+        iptv_profiles: { getId: profile => profile.id }
+    },
+
+    // onChange listeners
+    listeners: [],
+
+    // Tells other windows about channel cache changes, which IndexedDB does not announce
+    channel: null,
+
+    /**
+     * Prepare storage: upgrade data of older versions and ask the browser not to evict IndexedDB data
+     */
+    async init() {
+        if (!this.hasLocalStorage()) {
+            console.warn('localStorage not available, keeping settings in memory');
+        }
+
+        if (navigator.storage && typeof navigator.storage.persist === 'function') {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        await this.migrate();
+        this.listen();
+    },
+
+    /**
+     * Follow changes other windows make: localStorage announces its own, channel caches come over a BroadcastChannel
+     */
+    listen() {
+        window.addEventListener('storage', (e) => {
+            if (!this.hasLocalStorage() || e.storageArea !== localStorage) return;
+
+            // clear() has no key, announce every value
+            const keys = e.key === null ? Object.values(this.KEYS) : [e.key];
+            keys.forEach(key => this.emitChange(key, true));
+        });
+
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel('free-tv-storage');
+            this.channel.onmessage = (e) => {
+                if (e.data && typeof e.data.key === 'string') {
+                    this.emitChange(e.data.key, true);
+                }
+            };
+        }
+    },
+
+    /**
+     * Call listener(change) when a stored value changes, in this window or another one
+     * change: { name, key, profileId, sourceId, remote }
+     * name is the KEYS entry, profileId is set for profile data and sourceId for channel caches
+     * Returns a function removing the listener
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    },
+
+    /**
+     * Tell listeners about a changed key, keys of other apps are ignored
+     */
+    emitChange(key, remote) {
+        const [base, suffix] = key.split('@');
+        const name = Object.keys(this.KEYS).find(n => this.KEYS[n] === base) ||
+            (this.isCacheKey(key) ? 'CACHE' : null);
+        if (!name) return;
+
+        const change = {
+            name: name,
+            key: key,
+            profileId: this.PROFILE_KEYS.includes(name) ? suffix || this.DEFAULT_PROFILE : null,
+            sourceId: name === 'CACHE' ? key.slice(this.KEYS.CACHE.length + 1) || null : null,
+            remote: remote
+        };
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('Error handling storage change:', e);
+            }
+        });
+    },
+
+    /**
+     * Tell this and other windows that a channel cache changed
+     */
+    announceCache(key) {
+        this.emitChange(key, false);
+        if (this.channel) {
+            this.channel.postMessage({ key: key });
+        }
+    },
+
+    /**
+     * Get the schema version of stored data
+     */
+    getSchemaVersion() {
+        return parseInt(this.getItem(this.KEYS.SCHEMA_VERSION), 10) || 0;
+    },
+
+    /**
+     * Run migrations above the stored schema version, recording each finished step
+     * A failed step stops the run and is tried again on the next start
+     */
+    async migrate() {
+        const version = this.getSchemaVersion();
+        if (version > this.SCHEMA_VERSION) {
+            console.warn(`Stored data is from a newer version (${version}), not migrating`);
+            return;
+        }
+
+        for (const migration of this.MIGRATIONS.filter(m => m.version > version)) {
+            try {
+                await migration.run();
+            } catch (e) {
+                console.error(`Storage migration ${migration.version} failed:`, e);
+                return;
+            }
+            this.setItem(this.KEYS.SCHEMA_VERSION, String(migration.version));
+            console.log(`Storage migrated to version ${migration.version}: ${migration.description}`);
+        }
+    },
+
+    /**
+     * Read every stored value once, quarantining unreadable ones,
+     * and drop the PIN settings of versions without profiles, which never protected anything
+     */
+    migrateSettingsPin() {
+        this.getItemKeys()
+            .filter(key => key.split('@')[0] in this.FORMATS)
+            .forEach(key => this.readStored(key, null));
+
+        this.getItemKeys()
+            .filter(key => key.split('@')[0] === this.KEYS.SETTINGS)
+            .forEach(key => {
+                const settings = this.readStored(key, null);
+                if (!settings || !('pin' in settings || 'pinEnabled' in settings)) return;
+
+                delete settings.pin;
+                delete settings.pinEnabled;
+                this.setItem(key, JSON.stringify(settings));
+            });
+    },
+
+    /**
+     * Check once if localStorage can be written
+     */
+    hasLocalStorage() {
+        if (this.localStorageAvailable === null) {
+            try {
+                const testKey = '__test__';
+                localStorage.setItem(testKey, 'test');
+                localStorage.removeItem(testKey);
+                this.localStorageAvailable = true;
+            } catch (e) {
+                this.localStorageAvailable = false;
+            }
+        }
+        return this.localStorageAvailable;
+    },
+
+    /**
+     * Read a small value, null if missing
+     */
+    getItem(key) {
+        if (this.memory.has(key)) {
+            return this.memory.get(key);
+        }
+        if (!this.hasLocalStorage()) return null;
+
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Write a small value, kept in memory for this session when localStorage refuses it
+     */
+    setItem(key, value) {
+        if (this.hasLocalStorage()) {
+            try {
+                localStorage.setItem(key, value);
+                this.memory.delete(key);
+                this.snapshots.set(key, value);
+                this.emitChange(key, false);
+                return true;
+            } catch (e) {
+                console.warn('Storage full, keeping in memory:', key);
+            }
+        }
+        this.memory.set(key, value);
+        this.snapshots.set(key, value);
+        this.emitChange(key, false);
+        return false;
+    },
+
+    /**
+     * Remove a small value
+     */
+    removeItem(key) {
+        this.memory.delete(key);
+        this.snapshots.set(key, null);
+        if (this.hasLocalStorage()) {
+            try {
+                localStorage.removeItem(key);
+            } catch (e) {
+                // Nothing stored
+            }
+        }
+        this.emitChange(key, false);
+    },
+
+    /**
+     * Get keys of all small values
+     */
+    getItemKeys() {
+        const keys = new Set(this.memory.keys());
+        if (this.hasLocalStorage()) {
+            for (let i = 0; i < localStorage.length; i++) {
+                keys.add(localStorage.key(i));
+            }
+        }
+        return Array.from(keys);
+    },
+
+    /**
+     * Read a stored JSON value, fallback when it is missing
+     * Values that do not parse or fail isValid are quarantined and read as missing
+     */
+    readJSON(key, fallback, isValid = () => true) {
+        const data = this.getItem(key);
+        if (data === null) {
+            this.snapshots.set(key, null);
+            return fallback;
+        }
+
+        let value;
+        try {
+            value = JSON.parse(data);
+        } catch (e) {
+            this.quarantine(key, data, `Invalid JSON: ${e.message}`);
+            return fallback;
+        }
+        if (!isValid(value)) {
+            this.quarantine(key, data, 'Unexpected format');
+            return fallback;
+        }
+        this.snapshots.set(key, data);
+        return value;
+    },
+
+    /**
+     * Write a JSON value
+     * When another window changed the value since this window read it, the changes of both are kept, see mergeJSON
+     */
+    writeJSON(key, value) {
+        const base = this.snapshots.get(key);
+        const current = this.getItem(key);
+        if (base !== undefined && current !== null && current !== base) {
+            try {
+                // A value stored since this window found none is merged with an empty one
+                const before = base === null ? (Array.isArray(value) ? [] : {}) : JSON.parse(base);
+                value = this.mergeJSON(key, before, value, JSON.parse(current));
+            } catch (e) {
+                // Unreadable values are replaced
+            }
+        }
+        this.setItem(key, JSON.stringify(value));
+    },
+
+    /**
+     * Merge the value this window writes (mine) with the one another window stored (theirs),
+     * both changed from base: what this window changed wins, everything else is kept from theirs
+     */
+    mergeJSON(key, base, mine, theirs) {
+        const rule = this.MERGE[key.split('@')[0]] || {};
+        if (rule.getId && [base, mine, theirs].every(value => Array.isArray(value))) {
+            const merged = this.mergeLists(base, mine, theirs, rule.getId);
+            return rule.finish ? rule.finish(merged) : merged;
+        }
+        if ([base, mine, theirs].every(value => this.isPlainObject(value))) {
+            // Values this window never stored read as their defaults
+            return this.mergeObjects(Object.assign(rule.defaults ? rule.defaults() : {}, base), mine, theirs);
+        }
+        return mine;
+    },
+
+    /**
+     * Merge lists of entries with ids
+     * Entries keep the order of theirs unless this window reordered them, added entries go where their window put them
+     */
+    mergeLists(base, mine, theirs, getId) {
+        const before = new Map(base.map(entry => [getId(entry), JSON.stringify(entry)]));
+        const ours = new Map(mine.map(entry => [getId(entry), entry]));
+
+        // Entries of base in the order this window left them, compared with their order in base
+        const reordered = JSON.stringify(mine.map(getId).filter(id => before.has(id))) !==
+            JSON.stringify(base.map(getId).filter(id => ours.has(id)));
+
+        // Entries this window added, changed or removed
+        const touched = new Set();
+        ours.forEach((entry, id) => {
+            if (before.get(id) !== JSON.stringify(entry)) {
+                touched.add(id);
+            }
+        });
+        before.forEach((entry, id) => {
+            if (!ours.has(id)) {
+                touched.add(id);
+            }
+        });
+
+        if (reordered) {
+            return this.mergeReordered(mine, theirs, getId, touched);
+        }
+
+        const merged = [];
+        theirs.forEach(entry => {
+            const id = getId(entry);
+            if (!touched.has(id)) {
+                merged.push(entry);
+            } else if (ours.has(id)) {
+                merged.push(ours.get(id));
+                ours.delete(id);
+            }
+        });
+        mine.forEach((entry, index) => {
+            const id = getId(entry);
+            if (touched.has(id) && ours.has(id)) {
+                merged.splice(Math.min(index, merged.length), 0, entry);
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Merge lists in the order of mine, see mergeLists
+     * touched: ids of entries this window added, changed or removed
+     */
+    mergeReordered(mine, theirs, getId, touched) {
+        const theirsById = new Map(theirs.map(entry => [getId(entry), entry]));
+        const merged = [];
+        mine.forEach(entry => {
+            const id = getId(entry);
+            if (touched.has(id)) {
+                merged.push(entry);
+            } else if (theirsById.has(id)) {
+                merged.push(theirsById.get(id));
+            }
+        });
+
+        const ours = new Set(mine.map(getId));
+        theirs.forEach((entry, index) => {
+            const id = getId(entry);
+            if (!ours.has(id) && !touched.has(id)) {
+                merged.splice(Math.min(index, merged.length), 0, entry);
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Merge objects by property
+     */
+    mergeObjects(base, mine, theirs) {
+        const merged = Object.assign({}, theirs);
+        new Set(Object.keys(base).concat(Object.keys(mine))).forEach(name => {
+            if (JSON.stringify(mine[name]) === JSON.stringify(base[name])) return;
+
+            if (name in mine) {
+                merged[name] = mine[name];
+            } else {
+                delete merged[name];
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Read the stored JSON value of a key in KEYS, checked by its FORMATS entry
+     */
+    readStored(key, fallback) {
+        return this.readJSON(key, fallback, this.FORMATS[key.split('@')[0]]);
+    },
+
+    /**
+     * Move an unreadable value aside so it is not overwritten, the app continues without it
+     */
+    quarantine(key, value, reason) {
+        console.warn('Quarantined unreadable data:', key, reason);
+        const entries = this.getQuarantine().concat({ key, value, reason, quarantinedAt: Date.now() });
+        this.setItem(this.KEYS.QUARANTINE, JSON.stringify(entries.slice(-this.MAX_QUARANTINE)));
+        this.removeItem(key);
+        this.quarantinedCount++;
+    },
+
+    /**
+     * Get quarantined values: [{ key, value, reason, quarantinedAt }]
+     */
+    getQuarantine() {
         try {
-            const data = localStorage.getItem(this.KEYS.FAVORITES);
-            return data ? JSON.parse(data) : [];
+            const data = this.getItem(this.KEYS.QUARANTINE);
+            const entries = data ? JSON.parse(data) : [];
+            return Array.isArray(entries) ? entries : [];
         } catch (e) {
-            console.error('Error reading favorites:', e);
             return [];
         }
     },
 
+    /**
+     * Discard quarantined values
+     */
+    clearQuarantine() {
+        this.removeItem(this.KEYS.QUARANTINE);
+    },
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Get the id of the active profile
+     */
+    getProfileId() {
+        if (!this.profileId) {
+            this.profileId = this.getItem(this.KEYS.ACTIVE_PROFILE) || this.DEFAULT_PROFILE;
+        }
+        return this.profileId;
+    },
+
+    /**
+     * Make a profile the active one, later reads and writes use its data
+     */
+    setProfileId(profileId) {
+        this.profileId = profileId;
+        this.setItem(this.KEYS.ACTIVE_PROFILE, profileId);
+    },
+
+    /**
+     * Get the key a profile stores a value under
+     */
+    scopeKey(key, profileId = this.getProfileId()) {
+        const scoped = this.PROFILE_KEYS.some(name => this.KEYS[name] === key);
+        return scoped && profileId !== this.DEFAULT_PROFILE ? `${key}@${profileId}` : key;
+    },
+
+    /**
+     * Get profiles, see Profiles.create
+     */
+    getProfiles() {
+        return this.readStored(this.KEYS.PROFILES, []);
+    },
+
+    /**
+     * Save profiles
+     */
+    saveProfiles(profiles) {
+        this.writeJSON(this.KEYS.PROFILES, profiles);
+    },
+
+    /**
+     * Remove all data of a profile, including the channel caches of its sources
+     * Source ids differ between profiles (see Sources.init), so no other profile uses these caches
+     */
+    async removeProfileData(profileId) {
+        for (const source of this.getSources(profileId) || []) {
+            await this.removeCachedPlaylist(source.id);
+        }
+        this.PROFILE_KEYS.forEach(name => {
+            this.removeItem(this.scopeKey(this.KEYS[name], profileId));
+        });
+    },
+
+    /**
+     * Get favorites list
+     */
+    getFavorites() {
+        return this.readStored(this.scopeKey(this.KEYS.FAVORITES), []);
+    },
+
+    /**
+     * Save favorites list
+     */
+    saveFavorites(favorites) {
+        this.writeJSON(this.scopeKey(this.KEYS.FAVORITES), favorites);
+    },
+
     /**
      * Add channel to favorites
      */
     addFavorite(channel) {
         const favorites = this.getFavorites();
-        if (!favorites.find(f => f.url === channel.url)) {
-            favorites.unshift({
-                name: channel.name,
-                url: channel.url,
-                logo: channel.logo,
-                group: channel.group,
+        if (!favorites.find(f => this.refMatches(f, channel))) {
+            favorites.unshift(Object.assign(this.createChannelRef(channel), {
                 addedAt: Date.now()
-            });
-            localStorage.setItem(this.KEYS.FAVORITES, JSON.stringify(favorites));
+            }));
+            this.saveFavorites(favorites);
             return true;
         }
         return false;
@@ -48,31 +616,114 @@ const Storage = {
     /**
      * Remove channel from favorites
      */
-    removeFavorite(channelUrl) {
+    removeFavorite(channel) {
         let favorites = this.getFavorites();
-        favorites = favorites.filter(f => f.url !== channelUrl);
-        localStorage.setItem(this.KEYS.FAVORITES, JSON.stringify(favorites));
+        favorites = favorites.filter(f => !this.refMatches(f, channel));
+        this.saveFavorites(favorites);
     },
 
     /**
      * Check if channel is favorite
      */
-    isFavorite(channelUrl) {
+    isFavorite(channel) {
         const favorites = this.getFavorites();
-        return favorites.some(f => f.url === channelUrl);
+        return favorites.some(f => this.refMatches(f, channel));
+    },
+
+    /**
+     * Create the entry stored in favorites and recent for a channel
+     * key is the stable identity from M3UParser.getChannelKey, the other fields
+     * let the entry be shown while the channel is missing from loaded playlists
+     */
+    createChannelRef(channel) {
+        return {
+            key: channel.key || M3UParser.getChannelKey(channel),
+            name: channel.name,
+            url: channel.url,
+            logo: channel.logo,
+            group: channel.group,
+            tvgId: channel.tvgId || '',
+            sourceId: channel.sourceId || null
+        };
+    },
+
+    /**
+     * Check if a stored entry refers to a channel
+     * Entries saved before channel keys existed only have a URL
+     */
+    refMatches(ref, channel) {
+        return ref.key ? ref.key === channel.key : ref.url === channel.url;
+    },
+
+    /**
+     * Build a fast channel -> boolean check for a list of stored entries
+     */
+    createRefMatcher(refs) {
+        const keys = new Set();
+        const urls = new Set();
+        refs.forEach(ref => {
+            if (ref.key) {
+                keys.add(ref.key);
+            } else {
+                urls.add(ref.url);
+            }
+        });
+        return (channel) => keys.has(channel.key) || urls.has(channel.url);
+    },
+
+    /**
+     * Give URL-only favorites and recent entries the key of the loaded channel with that URL
+     * Entries whose URL is not loaded keep matching by URL until it shows up
+     */
+    migrateChannelRefs(channels) {
+        const byUrl = new Map();
+        channels.forEach(channel => {
+            if (!byUrl.has(channel.url)) {
+                byUrl.set(channel.url, channel);
+            }
+        });
+
+        let migrated = 0;
+        [this.KEYS.FAVORITES, this.KEYS.RECENT].forEach(storageKey => {
+            const refs = storageKey === this.KEYS.FAVORITES ? this.getFavorites() : this.getRecent();
+            if (!refs.some(ref => !ref.key && byUrl.has(ref.url))) return;
+
+            const seen = new Set();
+            const updated = [];
+            refs.forEach(ref => {
+                const channel = !ref.key && byUrl.get(ref.url);
+                if (channel) {
+                    ref = Object.assign({}, ref, this.createChannelRef(channel));
+                    migrated++;
+                }
+                // Several old URLs can belong to the same channel now
+                const id = ref.key || ref.url;
+                if (seen.has(id)) return;
+                seen.add(id);
+                updated.push(ref);
+            });
+
+            this.writeJSON(this.scopeKey(storageKey), updated);
+        });
+
+        if (migrated > 0) {
+            console.log('Migrated favorites and recent to channel keys:', migrated);
+        }
+        return migrated;
     },
 
     /**
      * Get recently watched list
      */
     getRecent() {
-        try {
-            const data = localStorage.getItem(this.KEYS.RECENT);
-            return data ? JSON.parse(data) : [];
-        } catch (e) {
-            console.error('Error reading recent:', e);
-            return [];
-        }
+        return this.readStored(this.scopeKey(this.KEYS.RECENT), []);
+    },
+
+    /**
+     * Save recently watched list
+     */
+    saveRecent(recent) {
+        this.writeJSON(this.scopeKey(this.KEYS.RECENT), recent);
     },
 
     /**
@@ -82,50 +733,40 @@ const Storage = {
         let recent = this.getRecent();
         
         // Remove if already exists
-        recent = recent.filter(r => r.url !== channel.url);
+        recent = recent.filter(r => !this.refMatches(r, channel));
         
         // Add to beginning
-        recent.unshift({
-            name: channel.name,
-            url: channel.url,
-            logo: channel.logo,
-            group: channel.group,
+        recent.unshift(Object.assign(this.createChannelRef(channel), {
             watchedAt: Date.now()
-        });
+        }));
         
         // Keep only MAX_RECENT items
         if (recent.length > this.MAX_RECENT) {
             recent = recent.slice(0, this.MAX_RECENT);
         }
         
-        localStorage.setItem(this.KEYS.RECENT, JSON.stringify(recent));
+        this.saveRecent(recent);
     },
 
     /**
      * Clear recently watched
      */
     clearRecent() {
-        localStorage.removeItem(this.KEYS.RECENT);
+        this.removeItem(this.scopeKey(this.KEYS.RECENT));
     },
 
     /**
-     * Get settings
+     * Get settings, stored values over the defaults so settings added later have a value
      */
     getSettings() {
-        try {
-            const data = localStorage.getItem(this.KEYS.SETTINGS);
-            return data ? JSON.parse(data) : this.getDefaultSettings();
-        } catch (e) {
-            console.error('Error reading settings:', e);
-            return this.getDefaultSettings();
-        }
+        return Object.assign(this.getDefaultSettings(), this.readStored(this.scopeKey(this.KEYS.SETTINGS), {}));
     },
 
     /**
      * Save settings
      */
     saveSettings(settings) {
-        localStorage.setItem(this.KEYS.SETTINGS, JSON.stringify(settings));
+        this.writeJSON(this.scopeKey(this.KEYS.SETTINGS), settings);
     },
 
     /**
@@ -137,66 +778,264 @@ const Storage = {
             resolution: 'auto',
             autoplay: true,
             rememberPosition: true,
-            pinEnabled: false,
-            pin: '0000',
             language: 'en',
-            volume: 80
+            volume: 80,
+            relayUrl: '',
+            // Empty uses FetchStrategy.DEFAULT_PROXIES
+            proxies: [],
+            fetchTimeout: 15,
+            adaptiveRoutes: true,
+            // Base URL of iptv-org database files tried before the bundled copy
+            enrichmentUrl: '',
+            // Live TV facet filters, see Facets.createSelection
+            facetSelection: null,
+            // XMLTV guide URLs added by the user, tried before those announced by playlists
+            epgUrls: [],
+            epgFromPlaylists: true
         };
     },
 
+    /**
+     * Get health stats of fetch routes, keyed by proxy entry
+     */
+    getFetchStats() {
+        return this.readStored(this.KEYS.FETCH_STATS, {});
+    },
+
+    /**
+     * Save health stats of fetch routes
+     */
+    saveFetchStats(stats) {
+        this.writeJSON(this.KEYS.FETCH_STATS, stats);
+    },
+
+    /**
+     * Get programme reminders
+     */
+    getReminders() {
+        return this.readStored(this.scopeKey(this.KEYS.REMINDERS), []);
+    },
+
+    /**
+     * Save programme reminders
+     */
+    saveReminders(reminders) {
+        this.writeJSON(this.scopeKey(this.KEYS.REMINDERS), reminders);
+    },
+
+    /**
+     * Get notifications, newest first
+     */
+    getNotifications() {
+        return this.readStored(this.scopeKey(this.KEYS.NOTIFICATIONS), []);
+    },
+
+    /**
+     * Save notifications
+     */
+    saveNotifications(notifications) {
+        this.writeJSON(this.scopeKey(this.KEYS.NOTIFICATIONS), notifications);
+    },
+
+    /**
+     * Get channel lists, see ChannelLists.getAll
+     */
+    getLists() {
+        return this.readStored(this.scopeKey(this.KEYS.LISTS), []);
+    },
+
+    /**
+     * Save channel lists
+     */
+    saveLists(lists) {
+        this.writeJSON(this.scopeKey(this.KEYS.LISTS), lists);
+    },
+
+    /**
+     * Get channel edits, see ChannelEdits.getAll
+     */
+    getChannelEdits() {
+        return this.readStored(this.scopeKey(this.KEYS.CHANNEL_EDITS), []);
+    },
+
+    /**
+     * Save channel edits
+     */
+    saveChannelEdits(entries) {
+        this.writeJSON(this.scopeKey(this.KEYS.CHANNEL_EDITS), entries);
+    },
+
+    /**
+     * Get playlist sources in display order, of the active profile unless another is given
+     */
+    getSources(profileId = this.getProfileId()) {
+        return this.readStored(this.scopeKey(this.KEYS.SOURCES, profileId), null);
+    },
+
+    /**
+     * Save playlist sources
+     */
+    saveSources(sources) {
+        this.writeJSON(this.scopeKey(this.KEYS.SOURCES), sources);
+    },
+
+    /**
+     * Get saved Xtream Codes login from before playlist sources existed
+     */
+    getLegacyXtreamSource() {
+        return this.readStored(this.KEYS.XTREAM, null);
+    },
+
+    /**
+     * Remove single-playlist data replaced by sources
+     */
+    clearLegacySources() {
+        this.removeItem(this.KEYS.XTREAM);
+        this.removeCachedPlaylist(null);
+    },
+
+    /**
+     * Get cache key for a playlist source
+     */
+    getCacheKey(sourceId) {
+        return sourceId ? `${this.KEYS.CACHE}_${sourceId}` : this.KEYS.CACHE;
+    },
+
+    /**
+     * Check if a localStorage key holds a channel cache of an older version
+     */
+    isCacheKey(key) {
+        return key === this.KEYS.CACHE || key.startsWith(this.KEYS.CACHE + '_');
+    },
+
+    /**
+     * Move channel caches that older versions kept in localStorage to IndexedDB
+     */
+    async migrateLegacyCaches() {
+        const keys = this.getItemKeys().filter(key => this.isCacheKey(key));
+        for (const key of keys) {
+            try {
+                const cacheData = JSON.parse(this.getItem(key));
+                if (cacheData && Array.isArray(cacheData.channels)) {
+                    await IDBStore.set(this.CACHE_STORE, key, cacheData);
+                }
+            } catch (e) {
+                console.warn('Dropping unreadable channel cache:', key, e.message);
+            }
+            this.removeItem(key);
+        }
+
+        if (keys.length > 0) {
+            console.log('Moved channel caches to IndexedDB:', keys.length);
+        }
+    },
+
     /**
      * Cache channel data
+     * expiryHours null keeps the cache until it is replaced (uploaded files)
      */
-    cacheChannels(channels, expiryHours = 1) {
+    async cacheChannels(channels, expiryHours = 1, header = null, sourceId = null) {
+        const key = this.getCacheKey(sourceId);
         const cacheData = {
-            channels: channels,
-            expiry: Date.now() + (expiryHours * 60 * 60 * 1000)
+            // Enrichment info is rebuilt from its own database after loading
+            channels: channels.map(channel => {
+                const copy = Object.assign({}, channel);
+                delete copy.info;
+                return copy;
+            }),
+            header: header,
+            expiry: expiryHours === null ? null : Date.now() + (expiryHours * 60 * 60 * 1000)
         };
         try {
-            localStorage.setItem(this.KEYS.CACHE, JSON.stringify(cacheData));
+            await IDBStore.set(this.CACHE_STORE, key, cacheData);
+            this.announceCache(key);
         } catch (e) {
             console.error('Error caching channels:', e);
             // Clear cache if storage is full
-            localStorage.removeItem(this.KEYS.CACHE);
+            await this.removeCachedPlaylist(sourceId);
         }
     },
 
     /**
      * Get cached channels
      */
-    getCachedChannels() {
+    async getCachedChannels(sourceId = null) {
+        const cached = await this.getCachedPlaylist(sourceId);
+        return cached ? cached.channels : null;
+    },
+
+    /**
+     * Get cached playlist (channels and header metadata)
+     */
+    async getCachedPlaylist(sourceId = null) {
+        const key = this.getCacheKey(sourceId);
         try {
-            const data = localStorage.getItem(this.KEYS.CACHE);
-            if (!data) return null;
-            
-            const cacheData = JSON.parse(data);
-            if (Date.now() > cacheData.expiry) {
-                localStorage.removeItem(this.KEYS.CACHE);
+            const cacheData = await IDBStore.get(this.CACHE_STORE, key);
+            if (!cacheData) return null;
+
+            if (cacheData.expiry !== null && Date.now() > cacheData.expiry) {
+                await IDBStore.delete(this.CACHE_STORE, key);
                 return null;
             }
-            
-            return cacheData.channels;
+
+            return {
+                channels: cacheData.channels,
+                header: cacheData.header || null
+            };
         } catch (e) {
             console.error('Error reading cache:', e);
             return null;
         }
     },
 
+    /**
+     * Remove cached playlist of a source
+     */
+    async removeCachedPlaylist(sourceId = null) {
+        try {
+            await IDBStore.delete(this.CACHE_STORE, this.getCacheKey(sourceId));
+            this.announceCache(this.getCacheKey(sourceId));
+        } catch (e) {
+            console.error('Error removing cache:', e);
+        }
+    },
+
+    /**
+     * Get all channel cache keys, including per-source caches
+     */
+    getCacheKeys() {
+        return IDBStore.keys(this.CACHE_STORE);
+    },
+
     /**
      * Clear all cache
      */
-    clearCache() {
-        localStorage.removeItem(this.KEYS.CACHE);
-        localStorage.removeItem(this.KEYS.RECENT);
+    async clearCache() {
+        // Uploaded files only live in their cache, keep those of every profile
+        const profileIds = this.getProfiles().map(profile => profile.id).concat(this.DEFAULT_PROFILE);
+        const fileSources = [].concat(...profileIds.map(profileId => this.getSources(profileId) || []))
+            .filter(source => source.type === 'file')
+            .map(source => this.getCacheKey(source.id));
+
+        const keys = (await this.getCacheKeys()).filter(key => !fileSources.includes(key));
+        await IDBStore.deleteMany(this.CACHE_STORE, keys);
+        this.removeItem(this.scopeKey(this.KEYS.RECENT));
     },
 
     /**
      * Clear all data
      */
-    clearAll() {
-        Object.values(this.KEYS).forEach(key => {
-            localStorage.removeItem(key);
-        });
+    async clearAll() {
+        // Keys of all profiles: key and key@profileId
+        const keys = Object.values(this.KEYS);
+        this.getItemKeys()
+            .filter(key => keys.includes(key.split('@')[0]))
+            .forEach(key => this.removeItem(key));
+        this.profileId = null;
+        await IDBStore.clear(this.CACHE_STORE);
+        if (window.LogoCache) {
+            await LogoCache.clear();
+        }
     }
 };
 
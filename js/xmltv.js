@@ -0,0 +1,221 @@
+/**
+ * XMLTV Parser for IPTV UI
+ * Parses guide files chunk by chunk into channels and programmes
+ */
+
+const XMLTV = {
+    /**
+     * Create parser state
+     * options.from/options.to (ms) drop programmes outside that window
+     */
+    createState(options = {}) {
+        return {
+            buffer: '',
+            channels: new Map(),
+            programmes: new Map(),
+            from: options.from || -Infinity,
+            to: options.to || Infinity,
+            programmeCount: 0
+        };
+    },
+
+    /**
+     * Parse complete <channel> and <programme> elements of a text chunk
+     * Unfinished elements stay buffered for the next chunk
+     */
+    parseChunk(state, text) {
+        let buffer = state.buffer + text;
+        let position = 0;
+
+        while (true) {
+            const start = this.findElement(buffer, position);
+            if (start.index === -1) {
+                // Keep a possible partial start tag
+                position = Math.max(position, buffer.length - 16);
+                break;
+            }
+
+            const end = this.findElementEnd(buffer, start);
+            if (end === -1) {
+                position = start.index;
+                break;
+            }
+
+            const xml = buffer.slice(start.index, end);
+            if (start.tag === 'channel') {
+                this.addChannel(state, xml);
+            } else {
+                this.addProgramme(state, xml);
+            }
+            position = end;
+        }
+
+        state.buffer = buffer.slice(position);
+    },
+
+    /**
+     * Get parsed data: { channels: [{ id, names, icon }], programmes: { channelId: [programme] } }
+     * Programmes are sorted by start time
+     */
+    finish(state) {
+        const programmes = {};
+        state.programmes.forEach((list, id) => {
+            programmes[id] = this.fillStopTimes(list.sort((a, b) => a.start - b.start));
+        });
+
+        return {
+            channels: Array.from(state.channels.values()),
+            programmes: programmes,
+            programmeCount: state.programmeCount
+        };
+    },
+
+    /**
+     * Find the next <channel> or <programme> start tag from position
+     */
+    findElement(buffer, position) {
+        const channel = buffer.indexOf('<channel', position);
+        const programme = buffer.indexOf('<programme', position);
+
+        if (channel === -1 && programme === -1) {
+            return { index: -1, tag: null };
+        }
+        if (programme === -1 || (channel !== -1 && channel < programme)) {
+            return { index: channel, tag: 'channel' };
+        }
+        return { index: programme, tag: 'programme' };
+    },
+
+    /**
+     * Find the end of an element, -1 when it is not complete yet
+     */
+    findElementEnd(buffer, start) {
+        const tagEnd = buffer.indexOf('>', start.index);
+        if (tagEnd === -1) return -1;
+        if (buffer[tagEnd - 1] === '/') {
+            return tagEnd + 1;
+        }
+
+        const close = `</${start.tag}>`;
+        const end = buffer.indexOf(close, tagEnd);
+        return end === -1 ? -1 : end + close.length;
+    },
+
+    /**
+     * Parse a <channel> element
+     */
+    addChannel(state, xml) {
+        const id = this.getAttribute(xml, 'id');
+        if (!id) return;
+
+        const names = [];
+        const pattern = /<display-name\b[^>]*>([\s\S]*?)<\/display-name>/gi;
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const name = this.decode(match[1]).trim();
+            if (name && !names.includes(name)) {
+                names.push(name);
+            }
+        }
+
+        const icon = xml.match(/<icon\b[^>]*\bsrc="([^"]*)"/i);
+        state.channels.set(id, {
+            id: id,
+            names: names,
+            icon: icon ? this.decode(icon[1]) : ''
+        });
+    },
+
+    /**
+     * Parse a <programme> element
+     */
+    addProgramme(state, xml) {
+        const tagEnd = xml.indexOf('>');
+        const tag = xml.slice(0, tagEnd);
+        const channel = this.getAttribute(tag, 'channel');
+        const start = this.parseTime(this.getAttribute(tag, 'start'));
+        if (!channel || start === null) return;
+
+        // Without a stop time the programme lasts until the next one, see fillStopTimes
+        const stop = this.parseTime(this.getAttribute(tag, 'stop'));
+        if ((stop !== null ? stop : start) < state.from || start > state.to) return;
+
+        const icon = xml.match(/<icon\b[^>]*\bsrc="([^"]*)"/i);
+        const episode = xml.match(/<episode-num\b[^>]*system="onscreen"[^>]*>([\s\S]*?)<\/episode-num>/i) ||
+            xml.match(/<episode-num\b[^>]*>([\s\S]*?)<\/episode-num>/i);
+
+        const programme = {
+            start: start,
+            stop: stop,
+            title: this.getText(xml, 'title'),
+            subTitle: this.getText(xml, 'sub-title'),
+            desc: this.getText(xml, 'desc'),
+            category: this.getText(xml, 'category'),
+            icon: icon ? this.decode(icon[1]) : '',
+            episode: episode ? this.decode(episode[1]).trim() : ''
+        };
+
+        if (!state.programmes.has(channel)) {
+            state.programmes.set(channel, []);
+        }
+        state.programmes.get(channel).push(programme);
+        state.programmeCount++;
+    },
+
+    /**
+     * Give programmes without a stop time the start of the next programme
+     */
+    fillStopTimes(programmes) {
+        programmes.forEach((programme, index) => {
+            if (programme.stop === null) {
+                const next = programmes[index + 1];
+                programme.stop = next ? next.start : programme.start + 60 * 60 * 1000;
+            }
+        });
+        return programmes;
+    },
+
+    /**
+     * Parse an XMLTV time like "20240101203000 +0100" to ms since epoch
+     * Times without an offset are UTC
+     */
+    parseTime(value) {
+        const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*(?:([+-])(\d{2}):?(\d{2}))?/);
+        if (!match) return null;
+
+        const [, year, month, day, hour = '00', minute = '00', second = '00', sign, offsetHours, offsetMinutes] = match;
+        let time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+        if (sign) {
+            const offset = (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+            time += sign === '+' ? -offset : offset;
+        }
+        return time;
+    },
+
+    /**
+     * Get an attribute of the first tag in xml
+     */
+    getAttribute(xml, name) {
+        const match = xml.match(new RegExp(`\\s${name}="([^"]*)"`, 'i')) ||
+            xml.match(new RegExp(`\\s${name}='([^']*)'`, 'i'));
+        return match ? this.decode(match[1]) : '';
+    },
+
+    /**
+     * Get the text of the first element with a tag name
+     */
+    getText(xml, tag) {
+        return PlaylistFormats.getXmlText(xml, tag);
+    },
+
+    /**
+     * Decode XML entities
+     */
+    decode(text) {
+        return PlaylistFormats.decodeXml(text);
+    }
+};
+
+// Export for use (also loaded by the EPG worker)
+self.XMLTV = XMLTV;
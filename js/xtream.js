@@ -0,0 +1,246 @@
+/**
+ * Xtream Codes API Client for IPTV UI
+ * Logs in to Xtream Codes-style panels and converts their catalog to channels
+ */
+
+const XtreamClient = {
+    // Stream formats for live channels
+    OUTPUT_FORMATS: ['ts', 'm3u8'],
+
+    // Catalog sections pulled from the panel
+    CONTENT_TYPES: {
+        live: {
+            categoriesAction: 'get_live_categories',
+            streamsAction: 'get_live_streams'
+        },
+        vod: {
+            categoriesAction: 'get_vod_categories',
+            streamsAction: 'get_vod_streams'
+        },
+        series: {
+            categoriesAction: 'get_series_categories',
+            streamsAction: 'get_series'
+        }
+    },
+
+    /**
+     * Normalize server address to scheme://host[:port]
+     */
+    normalizeServer(server) {
+        let normalized = (server || '').trim().replace(/\/+$/, '');
+        if (normalized && !/^https?:\/\//i.test(normalized)) {
+            normalized = 'http://' + normalized;
+        }
+        // Users often paste the full player_api.php URL
+        return normalized.replace(/\/(player_api|get)\.php.*$/i, '');
+    },
+
+    /**
+     * Build player_api.php URL
+     */
+    buildApiUrl(source, action, params = {}) {
+        const query = new URLSearchParams({
+            username: source.username,
+            password: source.password
+        });
+        if (action) {
+            query.set('action', action);
+        }
+        Object.entries(params).forEach(([key, value]) => query.set(key, value));
+
+        return `${this.normalizeServer(source.server)}/player_api.php?${query.toString()}`;
+    },
+
+    /**
+     * Build stream URL for live, movie or series content
+     */
+    buildStreamUrl(source, type, streamId, extension) {
+        const server = this.normalizeServer(source.server);
+        const username = encodeURIComponent(source.username);
+        const password = encodeURIComponent(source.password);
+        const path = type === 'vod' ? 'movie' : type;
+
+        return `${server}/${path}/${username}/${password}/${streamId}.${extension}`;
+    },
+
+    /**
+     * Request player_api.php and parse JSON response
+     */
+    async request(source, action, params = {}) {
+        return (await this.send(source, action, params)).data;
+    },
+
+    /**
+     * Request player_api.php and return { data, route }
+     * Panels rarely send CORS headers, so proxies are tried after a direct request
+     */
+    async send(source, action, params = {}) {
+        try {
+            return await FetchStrategy.fetch(this.buildApiUrl(source, action, params), {
+                accept: 'application/json',
+                directFirst: true,
+                read: response => response.json()
+            });
+        } catch (error) {
+            console.warn('Xtream request failed:', action || 'login', error.message);
+            throw error;
+        }
+    },
+
+    /**
+     * Log in and return account info
+     */
+    async login(source) {
+        const { data, route } = await this.send(source);
+        const userInfo = data && data.user_info;
+
+        if (!userInfo || Number(userInfo.auth) !== 1) {
+            throw new Error('Invalid username or password');
+        }
+
+        if (userInfo.status && userInfo.status !== 'Active') {
+            throw new Error(`Account is ${userInfo.status.toLowerCase()}`);
+        }
+
+        return {
+            username: userInfo.username,
+            status: userInfo.status || 'Active',
+            expiresAt: userInfo.exp_date ? Number(userInfo.exp_date) * 1000 : null,
+            maxConnections: Number(userInfo.max_connections) || null,
+            serverInfo: data.server_info || {},
+            route: { id: route.id, name: route.name }
+        };
+    },
+
+    /**
+     * Log in and pull live, VOD and series catalogs as channels
+     * source: { server, username, password, output: 'ts' | 'm3u8', include: { live, vod, series } }
+     */
+    async fetchPlaylist(source) {
+        const account = await this.login(source);
+        const include = Object.assign({ live: true, vod: true, series: true }, source.include);
+
+        const header = M3UParser.createHeader();
+        header.epgUrls.push(`${this.normalizeServer(source.server)}/xmltv.php?` +
+            new URLSearchParams({ username: source.username, password: source.password }).toString());
+
+        const report = {
+            entries: 0,
+            imported: 0,
+            playback: { browser: 0, relay: 0, unsupported: 0 },
+            skipped: []
+        };
+
+        const channels = [];
+
+        for (const type of Object.keys(this.CONTENT_TYPES)) {
+            if (!include[type]) continue;
+
+            const { categoriesAction, streamsAction } = this.CONTENT_TYPES[type];
+            const [categories, streams] = await Promise.all([
+                this.request(source, categoriesAction),
+                this.request(source, streamsAction)
+            ]);
+
+            const categoryNames = new Map();
+            (Array.isArray(categories) ? categories : []).forEach(category => {
+                categoryNames.set(String(category.category_id), category.category_name);
+            });
+
+            (Array.isArray(streams) ? streams : []).forEach(stream => {
+                report.entries++;
+
+                const channel = this.toChannel(source, type, stream, categoryNames);
+                if (!channel) {
+                    report.skipped.push({
+                        line: report.entries,
+                        name: stream.name || 'Unknown Channel',
+                        url: '',
+                        reason: 'missing-stream-id',
+                        message: 'Stream has no ID'
+                    });
+                    return;
+                }
+
+                report.imported++;
+                report.playback[channel.playback]++;
+                channels.push(channel);
+            });
+        }
+
+        console.log('Xtream catalog loaded:', channels.length, 'for', account.username);
+
+        return { header, channels, report, account, route: account.route };
+    },
+
+    /**
+     * Convert a panel stream entry to a channel object
+     */
+    toChannel(source, type, stream, categoryNames) {
+        const streamId = type === 'series' ? stream.series_id : stream.stream_id;
+        if (streamId === undefined || streamId === null || streamId === '') {
+            return null;
+        }
+
+        const channel = M3UParser.createChannel();
+        channel.name = stream.name || channel.name;
+        channel.group = categoryNames.get(String(stream.category_id)) || channel.group;
+        channel.kind = type;
+
+        switch (type) {
+            case 'live':
+                channel.logo = stream.stream_icon || '';
+                channel.tvgId = stream.epg_channel_id || '';
+                channel.tvgChno = M3UParser.parseNumber(stream.num, null);
+                if (Number(stream.tv_archive) === 1) {
+                    channel.catchup = 'xtream';
+                    channel.catchupDays = M3UParser.parseNumber(stream.tv_archive_duration, 0);
+                }
+                channel.url = this.buildStreamUrl(source, 'live', streamId, source.output || 'm3u8');
+                break;
+            case 'vod':
+                channel.logo = stream.stream_icon || '';
+                channel.url = this.buildStreamUrl(source, 'vod', streamId, stream.container_extension || 'mp4');
+                break;
+            case 'series':
+                // Episodes are fetched on demand with fetchSeriesEpisodes
+                channel.logo = stream.cover || '';
+                channel.seriesId = String(streamId);
+                channel.url = this.buildApiUrl(source, 'get_series_info', { series_id: streamId });
+                break;
+        }
+
+        return M3UParser.finalizeChannel(channel, M3UParser.createHeader());
+    },
+
+    /**
+     * Fetch episodes of a series as playable channels
+     */
+    async fetchSeriesEpisodes(source, series) {
+        const data = await this.request(source, 'get_series_info', { series_id: series.seriesId });
+        const seasons = (data && data.episodes) || {};
+        const episodes = [];
+
+        Object.keys(seasons)
+            .sort((a, b) => Number(a) - Number(b))
+            .forEach(season => {
+                (seasons[season] || []).forEach(episode => {
+                    const channel = M3UParser.createChannel();
+                    const info = episode.info || {};
+
+                    channel.name = episode.title || `S${season} E${episode.episode_num}`;
+                    channel.logo = info.movie_image || series.logo;
+                    channel.group = series.name;
+                    channel.kind = 'episode';
+                    channel.duration = M3UParser.parseNumber(info.duration_secs, -1);
+                    channel.url = this.buildStreamUrl(source, 'series', episode.id, episode.container_extension || 'mp4');
+                    episodes.push(M3UParser.finalizeChannel(channel, M3UParser.createHeader()));
+                });
+            });
+
+        return episodes;
+    }
+};
+
+// Export for use
+window.XtreamClient = XtreamClient;
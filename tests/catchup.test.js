@@ -0,0 +1,185 @@
+/**
+ * Catch-up URL builder tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Load js/catchup.js the way the browser does, with sources given by id
+ */
+function loadCatchup(sources = {}) {
+    const window = {
+        Sources: { getSource: id => sources[id] || null }
+    };
+    // Unknown timezones are warned about, keep the test output clean
+    const quiet = Object.assign({}, console, { warn: () => {} });
+    const context = vm.createContext({ window, Sources: window.Sources, Intl, console: quiet });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/catchup.js'), 'utf8'), context);
+    return window.Catchup;
+}
+
+// 2024-01-15 20:00:00 UTC to 21:30:00 UTC, watched at 22:00:00 UTC
+const START = Date.UTC(2024, 0, 15, 20, 0, 0);
+const STOP = Date.UTC(2024, 0, 15, 21, 30, 0);
+const NOW = Date.UTC(2024, 0, 15, 22, 0, 0);
+const START_S = START / 1000;
+const STOP_S = STOP / 1000;
+const NOW_S = NOW / 1000;
+
+test('default fills the catchup-source template', () => {
+    const Catchup = loadCatchup();
+    const channel = {
+        url: 'http://example.com/live/one.m3u8',
+        catchup: 'default',
+        catchupSource: 'http://example.com/archive/one.m3u8?start=${start}&end={utcend}&d={duration:60}&t={utc:Y-m-d H:M:S}'
+    };
+
+    assert.equal(
+        Catchup.buildUrl(channel, START, STOP, NOW),
+        `http://example.com/archive/one.m3u8?start=${START_S}&end=${STOP_S}&d=90&t=2024-01-15 20:00:00`
+    );
+});
+
+test('catchup-source without a type is a default template', () => {
+    const Catchup = loadCatchup();
+    const channel = { url: 'http://example.com/one', catchupSource: 'http://example.com/one?from={utc}' };
+
+    assert.equal(Catchup.getType(channel), 'default');
+    assert.equal(Catchup.buildUrl(channel, START, STOP, NOW), `http://example.com/one?from=${START_S}`);
+});
+
+test('append adds the template to the live URL', () => {
+    const Catchup = loadCatchup();
+    const channel = {
+        url: 'http://example.com/live/one.m3u8?token=abc',
+        catchup: 'append',
+        catchupSource: '&utc={utc}&lutc={lutc}&offset={offset:60}'
+    };
+
+    assert.equal(
+        Catchup.buildUrl(channel, START, STOP, NOW),
+        `http://example.com/live/one.m3u8?token=abc&utc=${START_S}&lutc=${NOW_S}&offset=120`
+    );
+});
+
+test('default and append need a catchup-source', () => {
+    const Catchup = loadCatchup();
+
+    assert.equal(Catchup.buildUrl({ url: 'http://example.com/one', catchup: 'default' }, START, STOP, NOW), null);
+    assert.equal(Catchup.buildUrl({ url: 'http://example.com/one', catchup: 'append' }, START, STOP, NOW), null);
+});
+
+test('shift adds utc and lutc to the query', () => {
+    const Catchup = loadCatchup();
+
+    assert.equal(
+        Catchup.buildUrl({ url: 'http://example.com/one.m3u8', catchup: 'shift' }, START, STOP, NOW),
+        `http://example.com/one.m3u8?utc=${START_S}&lutc=${NOW_S}`
+    );
+    assert.equal(
+        Catchup.buildUrl({ url: 'http://example.com/one.m3u8?token=abc', catchup: 'timeshift' }, START, STOP, NOW),
+        `http://example.com/one.m3u8?token=abc&utc=${START_S}&lutc=${NOW_S}`
+    );
+});
+
+test('flussonic rewrites HLS playlists', () => {
+    const Catchup = loadCatchup();
+    const build = url => Catchup.buildUrl({ url, catchup: 'flussonic' }, START, STOP, NOW);
+
+    assert.equal(build('http://example.com/one/index.m3u8'), `http://example.com/one/index-${START_S}-5400.m3u8`);
+    assert.equal(build('http://example.com/one/video.m3u8'), `http://example.com/one/video-${START_S}-5400.m3u8`);
+    assert.equal(build('http://example.com/one'), `http://example.com/one/index-${START_S}-5400.m3u8`);
+});
+
+test('flussonic keeps the query string', () => {
+    const Catchup = loadCatchup();
+    const build = url => Catchup.buildUrl({ url, catchup: 'fs' }, START, STOP, NOW);
+
+    assert.equal(
+        build('http://example.com/one/index.m3u8?token=abc'),
+        `http://example.com/one/index-${START_S}-5400.m3u8?token=abc`
+    );
+    assert.equal(
+        build('http://example.com/one/mpegts?token=abc'),
+        `http://example.com/one/timeshift_abs-${START_S}.ts?token=abc`
+    );
+});
+
+test('flussonic rewrites mpegts streams', () => {
+    const Catchup = loadCatchup();
+
+    assert.equal(
+        Catchup.buildUrl({ url: 'http://example.com/one/mpegts', catchup: 'flussonic-ts' }, START, STOP, NOW),
+        `http://example.com/one/timeshift_abs-${START_S}.ts`
+    );
+});
+
+test('flussonic gives up on other files', () => {
+    const Catchup = loadCatchup();
+
+    assert.equal(Catchup.buildUrl({ url: 'http://example.com/one/video.mp4', catchup: 'flussonic' }, START, STOP, NOW), null);
+});
+
+test('xtream uses UTC without a panel timezone', () => {
+    const Catchup = loadCatchup();
+    const channel = { url: 'http://panel.example.com:8080/live/user/pass/42.ts', catchup: 'xtream' };
+
+    assert.equal(
+        Catchup.buildUrl(channel, START, STOP, NOW),
+        'http://panel.example.com:8080/timeshift/user/pass/90/2024-01-15:20-00/42.ts'
+    );
+});
+
+test('xtream formats the start in the panel timezone', () => {
+    const Catchup = loadCatchup({
+        src_berlin: { id: 'src_berlin', timezone: 'Europe/Berlin' },
+        src_ny: { id: 'src_ny', timezone: 'America/New_York' }
+    });
+    const url = 'http://panel.example.com/live/user/pass/42.m3u8';
+
+    assert.equal(
+        Catchup.buildUrl({ url, catchup: 'xc', sourceId: 'src_berlin' }, START, STOP, NOW),
+        'http://panel.example.com/timeshift/user/pass/90/2024-01-15:21-00/42.m3u8'
+    );
+    // Crosses midnight backwards
+    assert.equal(
+        Catchup.buildUrl({ url, catchup: 'xtream', sourceId: 'src_ny' }, Date.UTC(2024, 0, 16, 2, 30), Date.UTC(2024, 0, 16, 3, 0), NOW),
+        'http://panel.example.com/timeshift/user/pass/30/2024-01-15:21-30/42.m3u8'
+    );
+});
+
+test('xtream falls back to UTC for an unknown timezone', () => {
+    const Catchup = loadCatchup({ src_bad: { id: 'src_bad', timezone: 'Not/AZone' } });
+    assert.equal(
+        Catchup.buildUrl({ url: 'http://panel.example.com/user/pass/42', catchup: 'xtream', sourceId: 'src_bad' }, START, STOP, NOW),
+        'http://panel.example.com/timeshift/user/pass/90/2024-01-15:20-00/42.ts'
+    );
+});
+
+test('xtream prefers a catchup-source template', () => {
+    const Catchup = loadCatchup();
+    const channel = {
+        url: 'http://panel.example.com/live/user/pass/42.ts',
+        catchup: 'xtream',
+        catchupSource: 'http://panel.example.com/streaming/timeshift.php?stream=42&start={Y}-{m}-{d}:{H}-{M}&duration={duration:60}'
+    };
+
+    assert.equal(
+        Catchup.buildUrl(channel, START, STOP, NOW),
+        'http://panel.example.com/streaming/timeshift.php?stream=42&start=2024-01-15:20-00&duration=90'
+    );
+});
+
+test('short programmes get at least a minute', () => {
+    const Catchup = loadCatchup();
+
+    assert.equal(
+        Catchup.buildUrl({ url: 'http://panel.example.com/live/user/pass/42.ts', catchup: 'xtream' }, START, START, NOW),
+        'http://panel.example.com/timeshift/user/pass/1/2024-01-15:20-00/42.ts'
+    );
+});
@@ -0,0 +1,222 @@
+/**
+ * HLS Catch-up Fixture Server
+ * Serves live and archive HLS playlists for every catch-up type, plus a playlist and guide using them
+ *
+ * Usage: node tools/hls-fixture-server.js [port] [segment.ts]
+ * Then add http://localhost:8090/playlist.m3u as a playlist source; its guide URL loads with it.
+ * Segments are empty unless a .ts file is given, so the log of requested archive URLs
+ * is what shows the app built them right.
+ */
+
+const http = require('http');
+const fs = require('fs');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8090);
+const SEGMENT = process.argv[3] ? fs.readFileSync(process.argv[3]) : Buffer.alloc(0);
+const BASE = `http://localhost:${PORT}`;
+
+// Segment length (s) and segments of the live window
+const SEGMENT_DURATION = 10;
+const LIVE_SEGMENTS = 6;
+
+const HOUR = 60 * 60 * 1000;
+
+// One channel per catch-up type: live URL and catchup-source
+const CHANNELS = [
+    {
+        id: 'default',
+        name: 'Fixture Default',
+        catchup: 'default',
+        url: `${BASE}/default/live.m3u8`,
+        source: `${BASE}/default/archive-{utc}-{utcend}.m3u8`
+    },
+    {
+        id: 'append',
+        name: 'Fixture Append',
+        catchup: 'append',
+        url: `${BASE}/append/index.m3u8`,
+        source: '?start={utc}&end={utcend}'
+    },
+    {
+        id: 'shift',
+        name: 'Fixture Shift',
+        catchup: 'shift',
+        url: `${BASE}/shift/index.m3u8`,
+        source: ''
+    },
+    {
+        id: 'flussonic',
+        name: 'Fixture Flussonic',
+        catchup: 'flussonic',
+        url: `${BASE}/flussonic/index.m3u8?token=demo`,
+        source: ''
+    },
+    {
+        id: 'xtream',
+        name: 'Fixture Xtream',
+        catchup: 'xc',
+        url: `${BASE}/live/demo/demo/101.m3u8`,
+        source: ''
+    }
+];
+
+/**
+ * Send a response with CORS headers
+ */
+function send(res, status, type, body) {
+    res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(body);
+}
+
+/**
+ * Playlist of the fixture channels with a day of archive
+ */
+function buildPlaylist() {
+    const lines = [`#EXTM3U url-tvg="${BASE}/epg.xml"`];
+    CHANNELS.forEach(channel => {
+        const source = channel.source ? ` catchup-source="${channel.source}"` : '';
+        lines.push(`#EXTINF:-1 tvg-id="${channel.id}.fixture" group-title="Catch-up" catchup="${channel.catchup}" catchup-days="1"${source},${channel.name}`);
+        lines.push(channel.url);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * XMLTV guide with hourly programmes from a day ago until a day ahead
+ */
+function buildGuide() {
+    const format = time => new Date(time).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+    const start = Math.floor(Date.now() / HOUR) * HOUR - 24 * HOUR;
+
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<tv>'];
+    CHANNELS.forEach(channel => {
+        lines.push(`<channel id="${channel.id}.fixture"><display-name>${channel.name}</display-name></channel>`);
+    });
+    CHANNELS.forEach(channel => {
+        for (let time = start; time < start + 48 * HOUR; time += HOUR) {
+            const hour = new Date(time).getUTCHours();
+            lines.push(`<programme start="${format(time)}" stop="${format(time + HOUR)}" channel="${channel.id}.fixture">` +
+                `<title>${hour % 2 ? 'Fixture Magazine' : 'Fixture News'}</title>` +
+                `<desc>${channel.catchup} archive at ${new Date(time).toISOString()}</desc></programme>`);
+        }
+    });
+    lines.push('</tv>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Sliding live playlist, the media sequence follows the clock
+ */
+function buildLivePlaylist() {
+    const sequence = Math.floor(Date.now() / 1000 / SEGMENT_DURATION);
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${SEGMENT_DURATION}`,
+        `#EXT-X-MEDIA-SEQUENCE:${sequence}`
+    ];
+    for (let i = 0; i < LIVE_SEGMENTS; i++) {
+        lines.push(`#EXTINF:${SEGMENT_DURATION}.0,`);
+        lines.push(`${BASE}/segment/${sequence + i}.ts`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Finished playlist covering start..start+duration (unix seconds), seekable like a recording
+ */
+function buildArchivePlaylist(start, duration) {
+    const count = Math.max(1, Math.ceil(duration / SEGMENT_DURATION));
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${SEGMENT_DURATION}`,
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        `#EXT-X-PROGRAM-DATE-TIME:${new Date(start * 1000).toISOString()}`
+    ];
+    for (let i = 0; i < count; i++) {
+        lines.push(`#EXTINF:${SEGMENT_DURATION}.0,`);
+        lines.push(`${BASE}/segment/archive-${start + i * SEGMENT_DURATION}.ts`);
+    }
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Read the archive request of each catch-up type: { start, duration } in unix seconds,
+ * null for live requests
+ */
+function parseArchive(url) {
+    const path = url.pathname;
+    const query = url.searchParams;
+    let match;
+
+    if ((match = path.match(/^\/default\/archive-(\d+)-(\d+)\.m3u8$/))) {
+        return { type: 'default', start: Number(match[1]), duration: Number(match[2]) - Number(match[1]) };
+    }
+    if (path === '/append/index.m3u8' && query.has('start')) {
+        return { type: 'append', start: Number(query.get('start')), duration: Number(query.get('end')) - Number(query.get('start')) };
+    }
+    if (path === '/shift/index.m3u8' && query.has('utc')) {
+        // Shift archives run until now
+        return { type: 'shift', start: Number(query.get('utc')), duration: Number(query.get('lutc')) - Number(query.get('utc')) };
+    }
+    if ((match = path.match(/^\/flussonic\/index-(\d+)-(\d+)\.m3u8$/))) {
+        return { type: 'flussonic', start: Number(match[1]), duration: Number(match[2]) };
+    }
+    if ((match = path.match(/^\/timeshift\/[^/]+\/[^/]+\/(\d+)\/(\d{4})-(\d{2})-(\d{2}):(\d{2})-(\d{2})\/\d+\.m3u8$/))) {
+        const [, minutes, year, month, day, hour, minute] = match;
+        const start = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute)) / 1000;
+        return { type: 'xtream', start: start, duration: Number(minutes) * 60 };
+    }
+    return null;
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, BASE);
+
+    if (url.pathname === '/playlist.m3u') {
+        console.log(req.method, url.pathname);
+        send(res, 200, 'audio/x-mpegurl', buildPlaylist());
+        return;
+    }
+    if (url.pathname === '/epg.xml') {
+        console.log(req.method, url.pathname);
+        send(res, 200, 'application/xml', buildGuide());
+        return;
+    }
+    if (url.pathname.startsWith('/segment/')) {
+        send(res, 200, 'video/mp2t', SEGMENT);
+        return;
+    }
+
+    const archive = parseArchive(url);
+    if (archive) {
+        if (!(archive.start > 0) || !(archive.duration > 0)) {
+            console.log(req.method, url.pathname + url.search, '-> bad archive request');
+            send(res, 400, 'text/plain', 'Bad archive request\n');
+            return;
+        }
+        console.log(req.method, url.pathname + url.search,
+            `-> ${archive.type} archive from ${new Date(archive.start * 1000).toISOString()} for ${archive.duration}s`);
+        send(res, 200, 'application/vnd.apple.mpegurl', buildArchivePlaylist(archive.start, archive.duration));
+        return;
+    }
+
+    if (CHANNELS.some(channel => new URL(channel.url).pathname === url.pathname)) {
+        console.log(req.method, url.pathname + url.search, '-> live');
+        send(res, 200, 'application/vnd.apple.mpegurl', buildLivePlaylist());
+        return;
+    }
+
+    console.log(req.method, url.pathname + url.search, '-> not found');
+    send(res, 404, 'text/plain', 'Not found\n');
+});
+
+server.listen(PORT, () => {
+    console.log(`HLS fixture server listening on http://localhost:${PORT}`);
+    console.log(`Playlist: http://localhost:${PORT}/playlist.m3u`);
+});
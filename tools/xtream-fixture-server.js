@@ -0,0 +1,146 @@
+/**
+ * Xtream Codes Fixture Server
+ * Mimics the player_api.php endpoints of an Xtream Codes panel for offline testing
+ *
+ * Usage: node tools/xtream-fixture-server.js [port]
+ * Then log in from Settings > Playlist with server http://localhost:8089,
+ * username "demo" and password "demo".
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8089);
+
+const ACCOUNT = {
+    username: 'demo',
+    password: 'demo'
+};
+
+const LIVE_CATEGORIES = [
+    { category_id: '1', category_name: 'News', parent_id: 0 },
+    { category_id: '2', category_name: 'Sports', parent_id: 0 }
+];
+
+const LIVE_STREAMS = [
+    { num: 1, name: 'Fixture News', stream_type: 'live', stream_id: 101, stream_icon: '', epg_channel_id: 'FixtureNews.us', category_id: '1', tv_archive: 1, tv_archive_duration: 3 },
+    { num: 2, name: 'Fixture World', stream_type: 'live', stream_id: 102, stream_icon: '', epg_channel_id: 'FixtureWorld.uk', category_id: '1', tv_archive: 0, tv_archive_duration: 0 },
+    { num: 3, name: 'Fixture Sports', stream_type: 'live', stream_id: 103, stream_icon: '', epg_channel_id: '', category_id: '2', tv_archive: 0, tv_archive_duration: 0 },
+    { num: 4, name: 'Broken Entry', stream_type: 'live', stream_icon: '', category_id: '2' }
+];
+
+const VOD_CATEGORIES = [
+    { category_id: '10', category_name: 'Movies', parent_id: 0 }
+];
+
+const VOD_STREAMS = [
+    { num: 1, name: 'Fixture Movie', stream_type: 'movie', stream_id: 201, stream_icon: '', category_id: '10', container_extension: 'mp4' }
+];
+
+const SERIES_CATEGORIES = [
+    { category_id: '20', category_name: 'Shows', parent_id: 0 }
+];
+
+const SERIES = [
+    { num: 1, name: 'Fixture Show', series_id: 301, cover: '', category_id: '20' }
+];
+
+const SERIES_INFO = {
+    301: {
+        info: { name: 'Fixture Show' },
+        episodes: {
+            1: [
+                { id: '3011', episode_num: 1, title: 'Pilot', container_extension: 'mp4', season: 1, info: { duration_secs: 1500 } },
+                { id: '3012', episode_num: 2, title: 'Second', container_extension: 'mp4', season: 1, info: { duration_secs: 1480 } }
+            ]
+        }
+    }
+};
+
+/**
+ * Send JSON response with CORS headers
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle player_api.php requests
+ */
+function handleApi(res, query) {
+    if (query.get('username') !== ACCOUNT.username || query.get('password') !== ACCOUNT.password) {
+        sendJson(res, 200, { user_info: { auth: 0 } });
+        return;
+    }
+
+    switch (query.get('action')) {
+        case null:
+            sendJson(res, 200, {
+                user_info: {
+                    auth: 1,
+                    username: ACCOUNT.username,
+                    status: 'Active',
+                    exp_date: String(Math.floor(Date.now() / 1000) + 30 * 86400),
+                    max_connections: '1'
+                },
+                server_info: { url: 'localhost', port: String(PORT), server_protocol: 'http' }
+            });
+            break;
+        case 'get_live_categories':
+            sendJson(res, 200, LIVE_CATEGORIES);
+            break;
+        case 'get_live_streams':
+            sendJson(res, 200, LIVE_STREAMS);
+            break;
+        case 'get_vod_categories':
+            sendJson(res, 200, VOD_CATEGORIES);
+            break;
+        case 'get_vod_streams':
+            sendJson(res, 200, VOD_STREAMS);
+            break;
+        case 'get_series_categories':
+            sendJson(res, 200, SERIES_CATEGORIES);
+            break;
+        case 'get_series':
+            sendJson(res, 200, SERIES);
+            break;
+        case 'get_series_info':
+            sendJson(res, 200, SERIES_INFO[query.get('series_id')] || { info: {}, episodes: {} });
+            break;
+        default:
+            sendJson(res, 200, []);
+    }
+}
+
+/**
+ * Answer stream URLs with a one-segment HLS playlist
+ */
+function handleStream(res, pathname) {
+    res.writeHead(200, {
+        'Content-Type': pathname.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(pathname.endsWith('.m3u8')
+        ? '#EXTM3U\n#EXT-X-VERSION:3\n#EXT-X-TARGETDURATION:10\n#EXTINF:10.0,\nsegment.ts\n#EXT-X-ENDLIST\n'
+        : '');
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(req.method, url.pathname + url.search);
+
+    if (url.pathname === '/player_api.php') {
+        handleApi(res, url.searchParams);
+    } else if (/^\/(live|movie|series)\//.test(url.pathname)) {
+        handleStream(res, url.pathname);
+    } else {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Xtream fixture server listening on http://localhost:${PORT}`);
+});